@@ -0,0 +1,282 @@
+/**
+ * Account matching for the Apollo.io to Bigin integration
+ *
+ * Decides which existing Bigin account an Apollo organization belongs to.
+ * Accounts are matched on their normalized website domain first, then on a
+ * normalized company name with a fuzzy score, so "Pilgrim" and "Pilgrim
+ * Cosmetics Pvt. Ltd." end up as one account. When several accounts match
+ * equally well the match is reported as ambiguous instead of guessing.
+ */
+
+require('dotenv').config();
+
+// Minimum name similarity (0-1) for a fuzzy name match
+const DEFAULT_THRESHOLD = 0.85;
+
+// Name matches scoring within this margin of the best one make the match ambiguous
+const AMBIGUITY_MARGIN = 0.05;
+
+// Legal and filler words ignored when comparing company names
+const NAME_STOPWORDS = [
+    'inc', 'incorporated', 'llc', 'llp', 'ltd', 'limited', 'pvt', 'private', 'plc', 'corp',
+    'corporation', 'co', 'company', 'gmbh', 'ag', 'sa', 'sas', 'bv', 'pte', 'pty', 'srl',
+    'the', 'and', 'group', 'holdings'
+];
+
+/**
+ * Get the fuzzy name match threshold
+ * @returns {number} - Threshold between 0 and 1
+ */
+function getThreshold() {
+    const threshold = parseFloat(process.env.ACCOUNT_MATCH_THRESHOLD);
+    if (isNaN(threshold) || threshold <= 0 || threshold > 1) return DEFAULT_THRESHOLD;
+    return threshold;
+}
+
+/**
+ * Normalize a website URL or domain to its bare host name
+ * e.g. "https://www.Pilgrim.com/about" -> "pilgrim.com"
+ * @param {string} value - Website URL or domain
+ * @returns {string} - Normalized domain, or an empty string
+ */
+function normalizeDomain(value) {
+    if (!value || typeof value !== 'string') return '';
+
+    return value.trim().toLowerCase()
+        .replace(/^[a-z]+:\/\//, '')
+        .replace(/^www\d*\./, '')
+        .split(/[/?#:]/)[0]
+        .replace(/\.$/, '');
+}
+
+/**
+ * Normalize a company name for comparison
+ * e.g. "Pilgrim Cosmetics Pvt. Ltd." -> "pilgrim cosmetics"
+ * @param {string} name - Company name
+ * @returns {string} - Normalized name, or an empty string
+ */
+function normalizeCompanyName(name) {
+    if (!name || typeof name !== 'string') return '';
+
+    const words = name.toLowerCase()
+        .normalize('NFKD').replace(/[\u0300-\u036f]/g, '')
+        .replace(/&/g, ' and ')
+        .replace(/[^a-z0-9]+/g, ' ')
+        .trim()
+        .split(' ')
+        .filter(Boolean);
+
+    const significant = words.filter(word => !NAME_STOPWORDS.includes(word));
+
+    // Keep the original words if the name is nothing but stopwords
+    return (significant.length > 0 ? significant : words).join(' ');
+}
+
+/**
+ * Character bigrams of a string, ignoring spaces
+ * @param {string} value - String to split
+ * @returns {Array<string>} - Bigrams
+ */
+function getBigrams(value) {
+    const compact = value.replace(/ /g, '');
+    const bigrams = [];
+
+    for (let i = 0; i < compact.length - 1; i++) {
+        bigrams.push(compact.slice(i, i + 2));
+    }
+
+    return bigrams;
+}
+
+/**
+ * Score how similar two company names are
+ * Uses bigram overlap, and treats a name whose words all appear at the start
+ * of the other ("Pilgrim" / "Pilgrim Cosmetics") as a strong match when the
+ * other adds a single word
+ * @param {string} a - First company name
+ * @param {string} b - Second company name
+ * @returns {number} - Similarity between 0 and 1
+ */
+function nameSimilarity(a, b) {
+    const left = normalizeCompanyName(a);
+    const right = normalizeCompanyName(b);
+
+    if (!left || !right) return 0;
+    if (left === right) return 1;
+
+    const leftBigrams = getBigrams(left);
+    const rightBigrams = getBigrams(right);
+    const remaining = [...rightBigrams];
+    let overlap = 0;
+
+    leftBigrams.forEach(bigram => {
+        const index = remaining.indexOf(bigram);
+        if (index !== -1) {
+            overlap++;
+            remaining.splice(index, 1);
+        }
+    });
+
+    const total = leftBigrams.length + rightBigrams.length;
+    const dice = total > 0 ? (2 * overlap) / total : 0;
+
+    // "Pilgrim" vs "Pilgrim Cosmetics": the shorter name is a word-for-word prefix of the longer one.
+    // Each word the longer name adds beyond the first weakens the match, so "Apple" doesn't
+    // pass for "Apple Hospitality REIT"
+    const [shorter, longer] = left.length <= right.length ? [left, right] : [right, left];
+    const extraWords = longer.split(' ').length - shorter.split(' ').length;
+    const prefix = `${longer} `.startsWith(`${shorter} `) ? Math.max(0.9 - 0.1 * (extraWords - 1), 0) : 0;
+
+    return Math.round(Math.max(dice, prefix) * 1000) / 1000;
+}
+
+/**
+ * Get the organization details used to match a contact's account
+ * @param {Object} apolloContact - Apollo.io contact data
+ * @returns {Object|null} - { name, domain, website }, or null if the contact has no organization
+ */
+function getOrganizationIdentity(apolloContact) {
+    const organization = apolloContact.organization || {};
+    const name = apolloContact.organization_name || organization.name || '';
+    const website = organization.website_url || '';
+    const domain = normalizeDomain(organization.primary_domain || website);
+
+    if (!name && !domain) return null;
+
+    return {
+        name: name || domain,
+        domain,
+        website
+    };
+}
+
+/**
+ * Key identifying the same organization across contacts
+ * @param {Object} identity - Organization identity ({ name, domain })
+ * @returns {string} - Key
+ */
+function getIdentityKey(identity) {
+    return identity.domain ? `domain:${identity.domain}` : `name:${normalizeCompanyName(identity.name)}`;
+}
+
+/**
+ * Summarize a candidate account for reports
+ * @param {Object} account - Bigin account
+ * @param {number} score - Match score
+ * @returns {Object} - Candidate details
+ */
+function describeCandidate(account, score) {
+    return {
+        id: account.id,
+        name: account.Account_Name,
+        website: account.Website || null,
+        score
+    };
+}
+
+/**
+ * Match an organization against existing Bigin accounts
+ * @param {Object} identity - Organization identity ({ name, domain })
+ * @param {Array<Object>} accounts - Bigin accounts (with id, Account_Name and Website)
+ * @param {Object} options - Match options
+ * @param {number} options.threshold - Minimum name similarity (defaults to ACCOUNT_MATCH_THRESHOLD)
+ * @returns {Object} - { status: matched|ambiguous|none, account, matchedOn, score, reason, candidates }
+ */
+function matchAccount(identity, accounts, { threshold = getThreshold() } = {}) {
+    // 1. Website domain
+    if (identity.domain) {
+        const domainMatches = accounts.filter(account => normalizeDomain(account.Website) === identity.domain);
+
+        if (domainMatches.length === 1) {
+            return {
+                status: 'matched',
+                account: domainMatches[0],
+                matchedOn: 'domain',
+                score: 1,
+                candidates: [describeCandidate(domainMatches[0], 1)]
+            };
+        }
+
+        if (domainMatches.length > 1) {
+            // Several accounts share the domain; prefer one whose name matches exactly
+            const exact = domainMatches.filter(account =>
+                normalizeCompanyName(account.Account_Name) === normalizeCompanyName(identity.name));
+
+            if (exact.length === 1) {
+                return {
+                    status: 'matched',
+                    account: exact[0],
+                    matchedOn: 'domain',
+                    score: 1,
+                    candidates: domainMatches.map(account => describeCandidate(account, 1))
+                };
+            }
+
+            return {
+                status: 'ambiguous',
+                account: null,
+                matchedOn: 'domain',
+                score: 1,
+                reason: `Several accounts use ${identity.domain}`,
+                candidates: domainMatches.map(account => describeCandidate(account, 1))
+            };
+        }
+    }
+
+    // 2. Company name
+    const scored = accounts
+        .map(account => ({ account, score: nameSimilarity(identity.name, account.Account_Name) }))
+        .filter(candidate => candidate.score >= threshold)
+        .sort((a, b) => b.score - a.score);
+
+    if (scored.length === 0) {
+        return { status: 'none', account: null, matchedOn: null, score: 0, candidates: [] };
+    }
+
+    const best = scored[0];
+    const rivals = scored.filter(candidate =>
+        candidate !== best && best.score - candidate.score < AMBIGUITY_MARGIN);
+
+    const candidates = scored.map(candidate => describeCandidate(candidate.account, candidate.score));
+
+    if (rivals.length > 0) {
+        return {
+            status: 'ambiguous',
+            account: null,
+            matchedOn: 'name',
+            score: best.score,
+            reason: 'Several accounts have similar names',
+            candidates
+        };
+    }
+
+    // A close name with a different website may or may not be the same company
+    const bestDomain = normalizeDomain(best.account.Website);
+    if (identity.domain && bestDomain && bestDomain !== identity.domain) {
+        return {
+            status: 'ambiguous',
+            account: null,
+            matchedOn: 'name',
+            score: best.score,
+            reason: `Similar name but different website (${bestDomain})`,
+            candidates
+        };
+    }
+
+    return {
+        status: 'matched',
+        account: best.account,
+        matchedOn: 'name',
+        score: best.score,
+        candidates
+    };
+}
+
+module.exports = {
+    normalizeDomain,
+    normalizeCompanyName,
+    nameSimilarity,
+    getOrganizationIdentity,
+    getIdentityKey,
+    matchAccount
+};
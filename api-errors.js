@@ -0,0 +1,137 @@
+/**
+ * Typed errors for Apollo.io and Bigin API calls
+ *
+ * The HTTP client turns failed API responses into these errors, so callers
+ * and routes can handle rate limits, auth failures and rejected data without
+ * inspecting error messages.
+ */
+
+/**
+ * Base class for errors from an upstream API
+ */
+class ApiError extends Error {
+    /**
+     * @param {string} message - Error message
+     * @param {Object} options - Error details
+     * @param {string} options.provider - API that failed (apollo, bigin or zoho-auth)
+     * @param {number} options.status - HTTP status returned by the API
+     * @param {*} options.details - Response body returned by the API
+     * @param {Error} options.cause - Underlying error
+     */
+    constructor(message, { provider, status, details, cause } = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        this.provider = provider || null;
+        this.status = status || null;
+        this.details = details === undefined ? null : details;
+        if (cause) this.cause = cause;
+    }
+}
+
+/**
+ * The API is rate limiting us; retryAfter is in seconds when known
+ */
+class RateLimitError extends ApiError {
+    constructor(message, options = {}) {
+        super(message, options);
+        this.retryAfter = options.retryAfter || null;
+        // Kept for code that checks the flag instead of the class
+        this.isRateLimit = true;
+    }
+}
+
+/**
+ * Credentials are missing, invalid or expired and couldn't be refreshed
+ */
+class AuthError extends ApiError {}
+
+/**
+ * The request was rejected because of its data
+ */
+class ValidationError extends ApiError {}
+
+/**
+ * Check whether an error is a rate limit error
+ * @param {Error} error - Error to check
+ * @returns {boolean} - True for rate limit errors
+ */
+function isRateLimitError(error) {
+    return error instanceof RateLimitError || Boolean(error && error.isRateLimit);
+}
+
+/**
+ * Map an error to the HTTP response a route should send
+ * @param {Error} error - Error thrown while handling the request
+ * @returns {Object} - { status, body } for the response
+ */
+function toHttpResponse(error) {
+    if (isRateLimitError(error)) {
+        return {
+            status: 429,
+            body: {
+                success: false,
+                error: 'Rate limit exceeded. Please try again later.',
+                errorType: 'RateLimitError',
+                isRateLimit: true,
+                retryAfter: error.retryAfter || null,
+                provider: error.provider || null
+            }
+        };
+    }
+
+    if (error instanceof AuthError) {
+        return {
+            status: 401,
+            body: {
+                success: false,
+                error: error.message,
+                errorType: 'AuthError',
+                provider: error.provider
+            }
+        };
+    }
+
+    if (error instanceof ValidationError) {
+        return {
+            status: 400,
+            body: {
+                success: false,
+                error: error.message,
+                errorType: 'ValidationError',
+                provider: error.provider,
+                details: error.details
+            }
+        };
+    }
+
+    if (error instanceof ApiError) {
+        // Any other upstream failure
+        return {
+            status: 502,
+            body: {
+                success: false,
+                error: error.message,
+                errorType: 'ApiError',
+                provider: error.provider,
+                details: error.details
+            }
+        };
+    }
+
+    return {
+        status: 500,
+        body: {
+            success: false,
+            error: error.message
+        }
+    };
+}
+
+module.exports = {
+    ApiError,
+    RateLimitError,
+    AuthError,
+    ValidationError,
+    isRateLimitError,
+    toHttpResponse
+};
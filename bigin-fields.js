@@ -0,0 +1,247 @@
+/**
+ * Bigin field metadata and mapping validation
+ *
+ * The field mapping writes to fields such as Industry_Drop, LinkedIn or
+ * Employees that may not exist in the connected Bigin org, or that have
+ * another type or a shorter maximum length there. This module reads the
+ * field metadata of each module from Bigin and checks the mapping (and the
+ * checkbox fields set by contact rules) against it:
+ *
+ * - missing_field: the target field doesn't exist in Bigin
+ * - type_mismatch: the mapped value can't be written to the field's type
+ * - truncated: a value is longer than the field allows
+ * - picklist_value: a value isn't one of the field's picklist values
+ *
+ * Values are known in advance for defaults and lookup tables; pass sample
+ * Apollo people to also check the values they'd be mapped to.
+ */
+
+const integration = require('./integration');
+const fieldMapping = require('./field-mapping');
+const mappingConfig = require('./field-mapping-config');
+const contactRules = require('./contact-rules');
+
+// Kinds of value each Bigin data type accepts; other types aren't checked
+const TYPE_KINDS = {
+    text: ['string', 'number'],
+    textarea: ['string', 'number'],
+    email: ['string'],
+    phone: ['string', 'number'],
+    website: ['string'],
+    picklist: ['string'],
+    multiselectpicklist: ['list'],
+    integer: ['number'],
+    bigint: ['number'],
+    double: ['number'],
+    decimal: ['number'],
+    currency: ['number'],
+    boolean: ['boolean'],
+    date: ['string'],
+    datetime: ['string'],
+    lookup: ['lookup'],
+    ownerlookup: ['lookup']
+};
+
+// Transforms that decide the kind of value a field ends up with
+const TRANSFORM_KINDS = {
+    object: 'lookup',
+    number: 'number',
+    join: 'string',
+    split: 'string',
+    lookup: 'string',
+    phone: 'string'
+};
+
+/**
+ * Get the field metadata of a Bigin module
+ * @param {string} module - Bigin module (e.g. Contacts or Accounts)
+ * @param {boolean} forceRefresh - Reload the fields from Bigin
+ * @returns {Promise<Array>} - { apiName, label, dataType, length, picklistValues, readOnly } per field
+ */
+async function getFieldMetadata(module, forceRefresh = false) {
+    const fields = await integration.getBiginFields(module, forceRefresh);
+
+    return fields.map(field => ({
+        apiName: field.api_name,
+        label: field.field_label || field.display_label || field.api_name,
+        dataType: field.data_type,
+        length: field.length || null,
+        picklistValues: (field.pick_list_values || []).map(value => value.actual_value || value.display_value),
+        readOnly: Boolean(field.read_only || field.field_read_only)
+    }));
+}
+
+/**
+ * Get the kind of a value, as compared with TYPE_KINDS
+ * @param {*} value - Mapped value
+ * @returns {string} - string, number, boolean, list or lookup
+ */
+function getValueKind(value) {
+    if (Array.isArray(value)) return 'list';
+    if (value && typeof value === 'object') return 'lookup';
+    return typeof value;
+}
+
+/**
+ * Get the kind of value a mapped field ends up with, when the mapping decides it
+ * @param {Object} field - Field entry of the mapping
+ * @returns {string|null} - Kind, or null when it depends on the Apollo data
+ */
+function getMappedKind(field) {
+    const transforms = (field.transforms || []).map(transform => (typeof transform === 'string' ? transform : transform.type));
+    const decisive = transforms.reverse().find(type => TRANSFORM_KINDS[type]);
+
+    if (decisive) return TRANSFORM_KINDS[decisive];
+    if (field.default !== undefined && field.default !== null) return getValueKind(field.default);
+    return null;
+}
+
+/**
+ * Get the values a mapped field can have that are known without Apollo data
+ * @param {Object} field - Field entry of the mapping
+ * @param {Object} lookups - Named lookup tables of the mapping
+ * @returns {Array} - Default, lookup table and fallback values
+ */
+function getKnownValues(field, lookups) {
+    const values = field.default !== undefined && field.default !== '' ? [field.default] : [];
+
+    (field.transforms || [])
+        .filter(transform => transform && transform.type === 'lookup')
+        .forEach(transform => {
+            const table = transform.table !== undefined ? lookups[transform.table] : transform.values;
+            values.push(...Object.values(table || {}));
+
+            if (transform.fallback) {
+                values.push(transform.fallback);
+            }
+        });
+
+    return values;
+}
+
+/**
+ * Map sample Apollo people with a mapping
+ * @param {Array<Object>} contacts - Apollo.io people
+ * @param {Object} config - Mapping configuration
+ * @returns {Object} - Mapped records per module
+ */
+function mapSamples(contacts, config) {
+    return {
+        Contacts: contacts.map(contact => fieldMapping.mapApolloContactToBigin(contact, config)),
+        Accounts: contacts
+            .filter(contact => contact.organization_name || contact.organization)
+            .map(contact => fieldMapping.mapContactOrganizationToBigin(contact, null, config))
+    };
+}
+
+/**
+ * Check one mapped field against the Bigin field metadata
+ * @param {Object} target - { module, field, source, kind, values } describing what is written
+ * @param {Map} metadata - Bigin fields of the module by API name
+ * @returns {Array<Object>} - Issues found
+ */
+function checkTarget({ module, field, source, kind, values }, metadata) {
+    const issue = (type, severity, message) => ({ module, field, source, type, severity, message });
+    const biginField = metadata.get(field);
+
+    if (!biginField) {
+        return [issue('missing_field', 'error', `${module} has no field ${field}`)];
+    }
+
+    const issues = [];
+    const accepted = TYPE_KINDS[biginField.dataType];
+    const kinds = new Set([kind, ...values.map(getValueKind)].filter(Boolean));
+
+    if (accepted) {
+        const wrong = [...kinds].filter(valueKind => !accepted.includes(valueKind));
+        if (wrong.length > 0) {
+            issues.push(issue('type_mismatch', 'error',
+                `${field} is a field of type ${biginField.dataType} in Bigin but is mapped to a ${wrong.join(' or ')} value`));
+        }
+    }
+
+    if (biginField.length) {
+        const tooLong = values
+            .filter(value => typeof value === 'string' || typeof value === 'number')
+            .map(String)
+            .filter(value => value.length > biginField.length);
+
+        if (tooLong.length > 0) {
+            const longest = tooLong.reduce((a, b) => (b.length > a.length ? b : a));
+            issues.push(issue('truncated', 'warning',
+                `${field} takes up to ${biginField.length} characters; ${tooLong.length} value(s) are longer, ` +
+                `e.g. "${longest.slice(0, 40)}${longest.length > 40 ? '…' : ''}" (${longest.length})`));
+        }
+    }
+
+    if (biginField.dataType === 'picklist' && biginField.picklistValues.length > 0) {
+        const options = biginField.picklistValues.map(option => String(option).toLowerCase());
+        const invalid = [...new Set(values
+            .filter(value => typeof value === 'string')
+            .filter(value => !options.includes(value.trim().toLowerCase())))];
+
+        if (invalid.length > 0) {
+            issues.push(issue('picklist_value', 'warning',
+                `${field} has no picklist value for ${invalid.slice(0, 10).map(value => `"${value}"`).join(', ')}` +
+                `${invalid.length > 10 ? ` and ${invalid.length - 10} more` : ''}`));
+        }
+    }
+
+    return issues;
+}
+
+/**
+ * Validate the field mapping against the Bigin field metadata
+ * @param {Object} options - Validation options
+ * @param {Object} options.config - Mapping configuration (defaults to the saved one)
+ * @param {Array<Object>} options.contacts - Sample Apollo people whose mapped values are checked too
+ * @param {boolean} options.forceRefresh - Reload the field metadata from Bigin
+ * @returns {Promise<Object>} - { checkedAt, modules, issues }; modules has { fields, mapped } per module
+ */
+async function validateMapping({ config = mappingConfig.loadConfig().config, contacts = [], forceRefresh = false } = {}) {
+    const lookups = config.lookups || {};
+    const samples = mapSamples(contacts, config);
+    const modules = {};
+    const issues = [];
+
+    for (const module of mappingConfig.MODULES) {
+        const metadata = new Map((await getFieldMetadata(module, forceRefresh)).map(field => [field.apiName, field]));
+        const fields = (config[module] && config[module].fields) || [];
+
+        const targets = fields.map(field => ({
+            module,
+            field: field.target,
+            source: field.source || null,
+            kind: getMappedKind(field),
+            values: [
+                ...getKnownValues(field, lookups),
+                ...samples[module]
+                    .map(record => record[field.target])
+                    .filter(value => value !== undefined && value !== null && value !== '')
+            ]
+        }));
+
+        // Contact rules set checkbox fields next to the mapping
+        if (module === 'Contacts') {
+            contactRules.loadRules().rules.forEach(rule => {
+                Object.entries(rule.fields || {}).forEach(([field, value]) => {
+                    targets.push({ module, field, source: `rule "${rule.name}"`, kind: 'boolean', values: [value] });
+                });
+            });
+        }
+
+        targets.forEach(target => issues.push(...checkTarget(target, metadata)));
+        modules[module] = { fields: metadata.size, mapped: fields.length };
+    }
+
+    return {
+        checkedAt: new Date().toISOString(),
+        modules,
+        issues
+    };
+}
+
+module.exports = {
+    getFieldMetadata,
+    validateMapping
+};
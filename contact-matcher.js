@@ -0,0 +1,226 @@
+/**
+ * Contact duplicate detection for the Apollo.io to Bigin integration
+ *
+ * Apollo contacts often have no email before a reveal, so email alone can't
+ * tell whether a contact is already in Bigin. This matcher compares the
+ * LinkedIn URL, the normalized phone number, and the first and last name
+ * together with the account, and combines them into a confidence score.
+ * Confident matches are linked to the existing Bigin contact; weaker ones are
+ * flagged for review instead of creating a possible duplicate.
+ */
+
+require('dotenv').config();
+const { normalizeCompanyName } = require('./account-matcher');
+
+// Confidence (0-1) needed to link a contact to an existing Bigin contact
+const DEFAULT_LINK_THRESHOLD = 0.9;
+
+// Confidence (0-1) at which a possible duplicate is flagged for review
+const DEFAULT_REVIEW_THRESHOLD = 0.5;
+
+// How much each signal on its own says about two records being the same person
+const SIGNAL_WEIGHTS = {
+    linkedin: 0.95,
+    phone: 0.8,
+    name_and_account: 0.85,
+    name: 0.4
+};
+
+// Phone numbers are compared on their last digits, so country code formats don't matter
+const PHONE_DIGITS_COMPARED = 10;
+const MIN_PHONE_DIGITS = 7;
+
+/**
+ * Read a 0-1 threshold from the environment
+ * @param {string} name - Environment variable name
+ * @param {number} fallback - Value used when the variable is missing or invalid
+ * @returns {number} - Threshold
+ */
+function getThreshold(name, fallback) {
+    const threshold = parseFloat(process.env[name]);
+    if (isNaN(threshold) || threshold <= 0 || threshold > 1) return fallback;
+    return threshold;
+}
+
+/**
+ * Get the link and review thresholds
+ * @returns {Object} - { link, review }
+ */
+function getThresholds() {
+    const link = getThreshold('CONTACT_MATCH_THRESHOLD', DEFAULT_LINK_THRESHOLD);
+    const review = getThreshold('CONTACT_REVIEW_THRESHOLD', DEFAULT_REVIEW_THRESHOLD);
+
+    return { link, review: Math.min(review, link) };
+}
+
+/**
+ * Normalize a LinkedIn profile URL
+ * e.g. "https://www.LinkedIn.com/in/Jane-Doe/?trk=x" -> "linkedin.com/in/jane-doe"
+ * @param {string} url - LinkedIn URL
+ * @returns {string} - Normalized URL, or an empty string
+ */
+function normalizeLinkedInUrl(url) {
+    if (!url || typeof url !== 'string') return '';
+
+    return url.trim().toLowerCase()
+        .replace(/^[a-z]+:\/\//, '')
+        .replace(/^[a-z]{2,3}\.linkedin\.com/, 'linkedin.com')
+        .replace(/^www\./, '')
+        .split(/[?#]/)[0]
+        .replace(/\/+$/, '');
+}
+
+/**
+ * Normalize a phone number for comparison
+ * e.g. "+1 (415) 555-0100" -> "4155550100"
+ * @param {string} phone - Phone number
+ * @returns {string} - Last digits of the number, or an empty string if it's too short to compare
+ */
+function normalizePhone(phone) {
+    if (!phone) return '';
+
+    const digits = String(phone).replace(/\D/g, '');
+    if (digits.length < MIN_PHONE_DIGITS) return '';
+
+    return digits.slice(-PHONE_DIGITS_COMPARED);
+}
+
+/**
+ * Normalize a person's name for comparison
+ * @param {string} name - Name
+ * @returns {string} - Lowercase name without accents or punctuation
+ */
+function normalizePersonName(name) {
+    if (!name || typeof name !== 'string') return '';
+
+    return name.toLowerCase()
+        .normalize('NFKD').replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^a-z0-9]+/g, ' ')
+        .trim();
+}
+
+/**
+ * Get the ID of the account a Bigin contact payload or record is linked to
+ * @param {Object} contact - Bigin contact
+ * @returns {string|null} - Account ID
+ */
+function getAccountId(contact) {
+    return contact.Account_Name && contact.Account_Name.id ? contact.Account_Name.id : null;
+}
+
+/**
+ * Get the name of the account a Bigin contact payload or record is linked to
+ * @param {Object} contact - Bigin contact
+ * @returns {string} - Normalized account name
+ */
+function getAccountName(contact) {
+    return normalizeCompanyName(contact.Account_Name && contact.Account_Name.name);
+}
+
+/**
+ * Score how likely an existing Bigin contact is the same person as a new one
+ * Signals are combined as independent evidence: 1 - (1 - a)(1 - b)...
+ * @param {Object} contact - Bigin contact payload about to be written
+ * @param {Object} candidate - Existing Bigin contact
+ * @returns {Object} - { confidence, matchedOn }
+ */
+function scoreCandidate(contact, candidate) {
+    const matchedOn = [];
+
+    const linkedin = normalizeLinkedInUrl(contact.LinkedIn);
+    if (linkedin && linkedin === normalizeLinkedInUrl(candidate.LinkedIn)) {
+        matchedOn.push('linkedin');
+    }
+
+    const phone = normalizePhone(contact.Phone);
+    const candidatePhones = [candidate.Phone, candidate.Mobile].map(normalizePhone);
+    if (phone && candidatePhones.includes(phone)) {
+        matchedOn.push('phone');
+    }
+
+    const firstName = normalizePersonName(contact.First_Name);
+    const lastName = normalizePersonName(contact.Last_Name);
+    const sameName = Boolean(lastName) &&
+        lastName === normalizePersonName(candidate.Last_Name) &&
+        firstName === normalizePersonName(candidate.First_Name);
+
+    if (sameName) {
+        const accountId = getAccountId(contact);
+        const accountName = getAccountName(contact);
+        const sameAccount = (accountId && accountId === getAccountId(candidate)) ||
+            (accountName && accountName === getAccountName(candidate));
+
+        matchedOn.push(sameAccount ? 'name_and_account' : 'name');
+    }
+
+    const unlikely = matchedOn.reduce((product, signal) => product * (1 - SIGNAL_WEIGHTS[signal]), 1);
+
+    return {
+        confidence: Math.round((1 - unlikely) * 1000) / 1000,
+        matchedOn
+    };
+}
+
+/**
+ * Summarize a candidate contact for reports
+ * @param {Object} candidate - Existing Bigin contact
+ * @param {Object} score - { confidence, matchedOn }
+ * @returns {Object} - Candidate details
+ */
+function describeCandidate(candidate, score) {
+    return {
+        id: candidate.id,
+        name: [candidate.First_Name, candidate.Last_Name].filter(Boolean).join(' '),
+        email: candidate.Email || null,
+        account: candidate.Account_Name ? candidate.Account_Name.name || null : null,
+        confidence: score.confidence,
+        matchedOn: score.matchedOn
+    };
+}
+
+/**
+ * Find the existing Bigin contact a contact without an email duplicates
+ * @param {Object} contact - Bigin contact payload about to be written
+ * @param {Array<Object>} candidates - Existing Bigin contacts that share a LinkedIn URL, phone or name
+ * @param {Object} options - Match options
+ * @param {Object} options.thresholds - { link, review } confidence thresholds (defaults from the environment)
+ * @returns {Object} - { status: matched|review|none, contact, confidence, matchedOn, candidates }
+ */
+function matchContact(contact, candidates, { thresholds = getThresholds() } = {}) {
+    const seen = new Set();
+    const scored = candidates
+        .filter(candidate => {
+            if (seen.has(candidate.id)) return false;
+            seen.add(candidate.id);
+            return true;
+        })
+        .map(candidate => ({ candidate, score: scoreCandidate(contact, candidate) }))
+        .filter(entry => entry.score.confidence >= thresholds.review)
+        .sort((a, b) => b.score.confidence - a.score.confidence);
+
+    if (scored.length === 0) {
+        return { status: 'none', contact: null, confidence: 0, matchedOn: [], candidates: [] };
+    }
+
+    const best = scored[0];
+    const described = scored.map(entry => describeCandidate(entry.candidate, entry.score));
+
+    // Two confident matches mean Bigin already has duplicates; let someone pick
+    const confident = scored.filter(entry => entry.score.confidence >= thresholds.link);
+
+    return {
+        status: confident.length === 1 ? 'matched' : 'review',
+        contact: confident.length === 1 ? best.candidate : null,
+        confidence: best.score.confidence,
+        matchedOn: best.score.matchedOn,
+        candidates: described
+    };
+}
+
+module.exports = {
+    normalizeLinkedInUrl,
+    normalizePhone,
+    normalizePersonName,
+    scoreCandidate,
+    matchContact
+};
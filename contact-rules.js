@@ -0,0 +1,227 @@
+/**
+ * Rule-based tags and checkbox fields for synced contacts
+ *
+ * Rules look at Apollo attributes (seniority, departments, employee count,
+ * industry, country and title) and, when they match, add Bigin tags or set
+ * boolean fields such as "Star Client Criteria" on the synced contact.
+ *
+ * Rules are read from contact-rules.json (or CONTACT_RULES_PATH):
+ *
+ *   {
+ *     "rules": [{
+ *       "name": "Star client",
+ *       "when": { "seniority": ["c_suite", "founder"], "employees": { "min": 50 } },
+ *       "tags": ["Star Client"],
+ *       "fields": { "Star_Client_Criteria": true }
+ *     }]
+ *   }
+ *
+ * Every condition of a rule must match. A list matches when the contact has
+ * any of its values (ignoring case); a range matches numbers from min to max.
+ * When several rules set the same field, the last one wins.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ValidationError } = require('./api-errors');
+
+/**
+ * Read a value from the contact, falling back to its organization
+ * @param {Object} apolloContact - Apollo.io contact data
+ * @param {string} field - Field name
+ * @returns {*} - Value
+ */
+function getContactOrOrgValue(apolloContact, field) {
+    if (apolloContact[field] !== undefined && apolloContact[field] !== null && apolloContact[field] !== '') {
+        return apolloContact[field];
+    }
+    return apolloContact.organization ? apolloContact.organization[field] : undefined;
+}
+
+// Apollo attributes rules can test, and whether they're compared as lists or ranges
+const ATTRIBUTES = {
+    seniority: { type: 'list', get: contact => contact.seniority },
+    departments: { type: 'list', get: contact => [...(contact.departments || []), ...(contact.subdepartments || [])] },
+    employees: { type: 'range', get: contact => getContactOrOrgValue(contact, 'estimated_num_employees') },
+    industry: { type: 'list', get: contact => getContactOrOrgValue(contact, 'industry') },
+    country: { type: 'list', get: contact => contact.country },
+    title: { type: 'contains', get: contact => contact.title }
+};
+
+let cache = null;
+
+/**
+ * Check that a list of rules is well formed
+ * @param {Array<Object>} rules - Rules to check
+ * @returns {Array<Object>} - The same rules
+ * @throws {ValidationError} - Describing the first problem found
+ */
+function validateRules(rules) {
+    if (!Array.isArray(rules)) {
+        throw new ValidationError('Rules must be a list');
+    }
+
+    rules.forEach((rule, index) => {
+        const label = rule && rule.name ? `Rule "${rule.name}"` : `Rule ${index + 1}`;
+
+        if (!rule || typeof rule !== 'object' || !rule.name) {
+            throw new ValidationError(`${label} needs a name`);
+        }
+
+        const conditions = Object.entries(rule.when || {});
+        if (conditions.length === 0) {
+            throw new ValidationError(`${label} needs at least one condition in "when"`);
+        }
+
+        conditions.forEach(([attribute, condition]) => {
+            const definition = ATTRIBUTES[attribute];
+
+            if (!definition) {
+                throw new ValidationError(`${label} uses unknown attribute "${attribute}"; use ${Object.keys(ATTRIBUTES).join(', ')}`);
+            }
+
+            if (definition.type === 'range') {
+                const bounds = [condition && condition.min, condition && condition.max].filter(bound => bound !== undefined);
+                if (bounds.length === 0 || bounds.some(bound => typeof bound !== 'number')) {
+                    throw new ValidationError(`${label}: "${attribute}" needs a numeric min and/or max`);
+                }
+            } else if (!Array.isArray(condition) || condition.length === 0) {
+                throw new ValidationError(`${label}: "${attribute}" needs a list of values`);
+            }
+        });
+
+        const tags = rule.tags || [];
+        const fields = rule.fields || {};
+
+        if (!Array.isArray(tags) || tags.some(tag => typeof tag !== 'string' || !tag.trim())) {
+            throw new ValidationError(`${label}: "tags" must be a list of tag names`);
+        }
+
+        Object.entries(fields).forEach(([field, value]) => {
+            if (typeof value !== 'boolean') {
+                throw new ValidationError(`${label}: field ${field} must be set to true or false`);
+            }
+        });
+
+        if (tags.length === 0 && Object.keys(fields).length === 0) {
+            throw new ValidationError(`${label} doesn't add any tags or set any fields`);
+        }
+    });
+
+    return rules;
+}
+
+/**
+ * Load the rules configuration
+ * Reads CONTACT_RULES_PATH, or contact-rules.json next to this module
+ * An invalid file is reported and no rules are applied
+ * @returns {Object} - { path, rules, error }
+ */
+function loadRules() {
+    if (cache) return cache;
+
+    const rulesPath = process.env.CONTACT_RULES_PATH ?
+        path.resolve(process.env.CONTACT_RULES_PATH) :
+        path.join(__dirname, 'contact-rules.json');
+
+    cache = { path: rulesPath, rules: [], error: null };
+
+    try {
+        if (fs.existsSync(rulesPath)) {
+            const loaded = JSON.parse(fs.readFileSync(rulesPath, 'utf8'));
+            cache.rules = validateRules(loaded.rules || []);
+        }
+    } catch (error) {
+        console.error('Error loading contact rules, no rules will be applied:', error.message);
+        cache.error = error.message;
+    }
+
+    return cache;
+}
+
+/**
+ * Check a single rule condition against a contact
+ * @param {Object} apolloContact - Apollo.io contact data
+ * @param {string} attribute - Attribute name
+ * @param {*} condition - List of values or { min, max }
+ * @returns {boolean} - True if the condition matches
+ */
+function matchesCondition(apolloContact, attribute, condition) {
+    const definition = ATTRIBUTES[attribute];
+    const value = definition.get(apolloContact);
+
+    if (definition.type === 'range') {
+        const number = Number(value);
+        if (value === undefined || value === null || value === '' || isNaN(number)) return false;
+        if (condition.min !== undefined && number < condition.min) return false;
+        if (condition.max !== undefined && number > condition.max) return false;
+        return true;
+    }
+
+    const values = (Array.isArray(value) ? value : [value])
+        .filter(Boolean)
+        .map(item => String(item).trim().toLowerCase());
+    const wanted = condition.map(item => String(item).trim().toLowerCase());
+
+    if (definition.type === 'contains') {
+        return values.some(item => wanted.some(word => item.includes(word)));
+    }
+
+    return values.some(item => wanted.includes(item));
+}
+
+/**
+ * Evaluate rules against an Apollo contact
+ * @param {Object} apolloContact - Apollo.io contact data
+ * @param {Array<Object>} rules - Rules to evaluate (defaults to the configured rules)
+ * @returns {Object} - { matchedRules, tags, fields }
+ */
+function evaluateRules(apolloContact, rules = loadRules().rules) {
+    const matchedRules = [];
+    const tags = [];
+    const fields = {};
+
+    rules.forEach(rule => {
+        const matches = Object.entries(rule.when).every(([attribute, condition]) =>
+            matchesCondition(apolloContact, attribute, condition));
+
+        if (!matches) return;
+
+        matchedRules.push(rule.name);
+        (rule.tags || []).forEach(tag => {
+            if (!tags.some(existing => existing.toLowerCase() === tag.trim().toLowerCase())) {
+                tags.push(tag.trim());
+            }
+        });
+        Object.assign(fields, rule.fields || {});
+    });
+
+    return { matchedRules, tags, fields };
+}
+
+/**
+ * Add the tags and fields of matching rules to a Bigin contact payload
+ * Tags go in the Tag field, merged with existing tags by the "append" merge policy
+ * @param {Object} apolloContact - Apollo.io contact data
+ * @param {Object} biginContact - Bigin contact payload, updated in place
+ * @returns {Object} - { matchedRules, tags, fields }
+ */
+function applyRules(apolloContact, biginContact) {
+    const evaluation = evaluateRules(apolloContact);
+
+    Object.assign(biginContact, evaluation.fields);
+
+    if (evaluation.tags.length > 0) {
+        biginContact.Tag = evaluation.tags.map(name => ({ name }));
+    }
+
+    return evaluation;
+}
+
+module.exports = {
+    ATTRIBUTES,
+    loadRules,
+    validateRules,
+    evaluateRules,
+    applyRules
+};
@@ -0,0 +1,165 @@
+/**
+ * Cron schedule parsing for saved searches
+ *
+ * Supports standard five-field cron expressions (minute, hour, day of month,
+ * month, day of week) with `*`, lists, ranges and steps, e.g. "0 8 * * 1-5"
+ * for 08:00 on weekdays. Times are in the server's local time zone.
+ */
+
+const { ValidationError } = require('./api-errors');
+
+// Allowed range of each field, in expression order
+const FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'day of month', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12 },
+    { name: 'day of week', min: 0, max: 7 }
+];
+
+// Shortcuts for common schedules
+const ALIASES = {
+    '@hourly': '0 * * * *',
+    '@daily': '0 0 * * *',
+    '@weekly': '0 0 * * 0',
+    '@monthly': '0 0 1 * *'
+};
+
+// Stop looking for the next run after this long; only impossible dates (e.g. 31 February) get here
+const MAX_LOOKAHEAD_MINUTES = 366 * 24 * 60;
+
+/**
+ * Parse one cron field into the set of values it allows
+ * @param {string} value - Field text, e.g. "*", "1-5", "0,30" or "*\/15"
+ * @param {Object} field - Field definition ({ name, min, max })
+ * @returns {Set<number>} - Allowed values
+ */
+function parseField(value, field) {
+    const allowed = new Set();
+
+    value.split(',').forEach(part => {
+        const [range, stepText] = part.split('/');
+        const step = stepText === undefined ? 1 : Number(stepText);
+        let start = field.min;
+        let end = field.max;
+
+        if (range !== '*') {
+            const bounds = range.split('-').map(Number);
+            start = bounds[0];
+            end = bounds.length > 1 ? bounds[1] : (stepText === undefined ? start : field.max);
+        }
+
+        if (range === '' || !Number.isInteger(start) || !Number.isInteger(end) || !Number.isInteger(step) || step < 1 ||
+            start < field.min || end > field.max || start > end) {
+            throw new ValidationError(`Invalid ${field.name} "${part}" in schedule`);
+        }
+
+        for (let i = start; i <= end; i += step) {
+            allowed.add(i);
+        }
+    });
+
+    return allowed;
+}
+
+/**
+ * Parse a cron expression
+ * @param {string} expression - Five-field cron expression or alias (@hourly, @daily, @weekly, @monthly)
+ * @returns {Object} - Allowed minutes, hours, days, months and weekdays
+ * @throws {ValidationError} - When the expression is invalid
+ */
+function parse(expression) {
+    const text = String(expression || '').trim();
+    const parts = (ALIASES[text] || text).split(/\s+/);
+
+    if (parts.length !== FIELDS.length) {
+        throw new ValidationError(`Schedule "${text}" must have 5 fields: minute hour day-of-month month day-of-week`);
+    }
+
+    const [minutes, hours, days, months, weekdays] = parts.map((part, index) => parseField(part, FIELDS[index]));
+
+    // Both 0 and 7 mean Sunday
+    if (weekdays.has(7)) {
+        weekdays.add(0);
+    }
+
+    return {
+        minutes,
+        hours,
+        days,
+        months,
+        weekdays,
+        // Like cron, a restricted day of month and day of week match when either does
+        anyDay: parts[2] === '*',
+        anyWeekday: parts[4] === '*'
+    };
+}
+
+/**
+ * Check whether a schedule includes a given day
+ * @param {Object} schedule - Parsed schedule
+ * @param {Date} date - Date to check
+ * @returns {boolean} - True if the schedule runs on that day
+ */
+function matchesDay(schedule, date) {
+    const dayMatches = schedule.days.has(date.getDate());
+    const weekdayMatches = schedule.weekdays.has(date.getDay());
+
+    if (schedule.anyDay) return weekdayMatches;
+    if (schedule.anyWeekday) return dayMatches;
+    return dayMatches || weekdayMatches;
+}
+
+/**
+ * Get the next time a schedule runs
+ * @param {string} expression - Cron expression
+ * @param {Date} from - Find the first run strictly after this time
+ * @returns {Date|null} - Next run, or null if the schedule never runs
+ */
+function getNextRun(expression, from = new Date()) {
+    const schedule = parse(expression);
+    const next = new Date(from.getTime());
+    next.setSeconds(0, 0);
+    next.setMinutes(next.getMinutes() + 1);
+
+    for (let i = 0; i < MAX_LOOKAHEAD_MINUTES; i++) {
+        if (!schedule.months.has(next.getMonth() + 1) || !matchesDay(schedule, next)) {
+            // Skip to the start of the next day
+            next.setHours(24, 0, 0, 0);
+            continue;
+        }
+
+        if (!schedule.hours.has(next.getHours())) {
+            next.setHours(next.getHours() + 1, 0, 0, 0);
+            continue;
+        }
+
+        if (schedule.minutes.has(next.getMinutes())) {
+            return next;
+        }
+
+        next.setMinutes(next.getMinutes() + 1);
+    }
+
+    return null;
+}
+
+/**
+ * Check whether a cron expression is valid
+ * @param {string} expression - Cron expression
+ * @returns {boolean} - True if valid
+ */
+function isValid(expression) {
+    try {
+        parse(expression);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+module.exports = {
+    parse,
+    getNextRun,
+    isValid
+};
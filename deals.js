@@ -0,0 +1,227 @@
+/**
+ * Bigin pipeline deals for synced contacts
+ *
+ * Bigin is pipeline-centric: besides the contact and account, a sync can
+ * create a deal (a record of the Pipelines module) in a chosen pipeline and
+ * stage, linked to the synced contact and its account. A contact that
+ * already has an open deal doesn't get another one.
+ */
+
+require('dotenv').config();
+const integration = require('./integration');
+const { ValidationError } = require('./api-errors');
+
+// Deal name used when no template is configured
+const DEFAULT_NAME_TEMPLATE = '{company} – {title}';
+
+// Stages that mean a deal is no longer open
+const DEFAULT_CLOSED_STAGES = ['Closed Won', 'Closed Lost'];
+
+// Days from today used for a new deal's closing date
+const DEFAULT_CLOSING_DAYS = 30;
+
+// Bigin limits deal names to 120 characters
+const MAX_DEAL_NAME_LENGTH = 120;
+
+/**
+ * Get the stages that count as closed
+ * @returns {Array<string>} - Lowercase stage names
+ */
+function getClosedStages() {
+    const stages = process.env.BIGIN_DEAL_CLOSED_STAGES ?
+        process.env.BIGIN_DEAL_CLOSED_STAGES.split(',') : DEFAULT_CLOSED_STAGES;
+
+    return stages.map(stage => stage.trim().toLowerCase()).filter(Boolean);
+}
+
+/**
+ * Resolve the deal options of a sync
+ * Values not given in the request come from the environment
+ * @param {boolean|Object} options - true to use the configured defaults, or { pipeline, pipelineId, stage, nameTemplate, closingDays }
+ * @returns {Object|null} - Deal options, or null when no deals should be created
+ * @throws {ValidationError} - When the pipeline or stage is missing
+ */
+function getDealOptions(options) {
+    if (!options) return null;
+
+    const requested = typeof options === 'object' ? options : {};
+    const closingDays = parseInt(requested.closingDays !== undefined ?
+        requested.closingDays : process.env.BIGIN_DEAL_CLOSING_DAYS);
+
+    const dealOptions = {
+        pipeline: String(requested.pipeline || process.env.BIGIN_DEAL_PIPELINE || '').trim(),
+        pipelineId: String(requested.pipelineId || process.env.BIGIN_DEAL_PIPELINE_ID || '').trim() || null,
+        stage: String(requested.stage || process.env.BIGIN_DEAL_STAGE || '').trim(),
+        nameTemplate: String(requested.nameTemplate || process.env.BIGIN_DEAL_NAME_TEMPLATE || DEFAULT_NAME_TEMPLATE),
+        closingDays: isNaN(closingDays) || closingDays < 0 ? DEFAULT_CLOSING_DAYS : closingDays
+    };
+
+    if (!dealOptions.pipeline) {
+        throw new ValidationError('A pipeline is required to create deals');
+    }
+    if (!dealOptions.stage) {
+        throw new ValidationError('A stage is required to create deals');
+    }
+
+    return dealOptions;
+}
+
+/**
+ * Build a deal name from a template
+ * e.g. "{company} – {title}" -> "Acme – Head of Sales"
+ * Supported placeholders: {company}, {title}, {first_name}, {last_name} and {name}
+ * @param {string} template - Name template
+ * @param {Object} apolloContact - Apollo.io contact data
+ * @returns {string} - Deal name
+ */
+function buildDealName(template, apolloContact) {
+    const firstName = apolloContact.first_name || '';
+    const lastName = apolloContact.last_name || '';
+    const values = {
+        company: apolloContact.organization_name || (apolloContact.organization && apolloContact.organization.name) || '',
+        title: apolloContact.title || '',
+        first_name: firstName,
+        last_name: lastName,
+        name: [firstName, lastName].filter(Boolean).join(' ')
+    };
+
+    const name = template
+        .replace(/\{(\w+)\}/g, (placeholder, key) => (key in values ? values[key] : placeholder))
+        // Drop separators left dangling by empty placeholders
+        .replace(/^[\s\-–—|:,]+|[\s\-–—|:,]+$/g, '')
+        .replace(/\s+/g, ' ');
+
+    return (name || values.name || 'New deal').slice(0, MAX_DEAL_NAME_LENGTH);
+}
+
+/**
+ * Get a closing date a number of days from today
+ * @param {number} days - Days from today
+ * @returns {string} - Date as YYYY-MM-DD
+ */
+function getClosingDate(days) {
+    const date = new Date();
+    date.setDate(date.getDate() + days);
+    return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Find the open deals of Bigin contacts
+ * @param {Array<string>} contactIds - Bigin contact IDs
+ * @returns {Promise<Map>} - Contact ID to its first open deal
+ */
+async function findOpenDeals(contactIds) {
+    const closedStages = getClosedStages();
+    const deals = await integration.searchBiginRecordsByField('Pipelines', 'Contact_Name', contactIds);
+    const openDeals = new Map();
+
+    deals.forEach(deal => {
+        const contactId = deal.Contact_Name && deal.Contact_Name.id;
+        const isOpen = !closedStages.includes(String(deal.Stage || '').toLowerCase());
+
+        if (contactId && isOpen && !openDeals.has(contactId)) {
+            openDeals.set(contactId, deal);
+        }
+    });
+
+    return openDeals;
+}
+
+/**
+ * Create deals for synced contacts that don't have an open deal yet
+ * @param {Array<Object>} entries - { apolloContact, contactId, accountId } per synced contact; contactId is null for contacts a dry run would create
+ * @param {Object} dealOptions - Options from getDealOptions
+ * @param {Object} options - Creation options
+ * @param {boolean} options.dryRun - Only report what would happen
+ * @returns {Promise<Array>} - Per-entry deal results ({ action, id, name, pipeline, stage, message }), in the same order as the entries
+ */
+async function createDeals(entries, dealOptions, { dryRun = false } = {}) {
+    const { pipeline, pipelineId, stage, nameTemplate, closingDays } = dealOptions;
+    const openDeals = await findOpenDeals(entries.map(entry => entry.contactId));
+    const results = new Array(entries.length);
+    const creates = [];
+
+    // Contacts listed twice get one deal
+    const claimed = new Map();
+
+    entries.forEach((entry, index) => {
+        const name = buildDealName(nameTemplate, entry.apolloContact);
+        const existing = entry.contactId ? openDeals.get(entry.contactId) : null;
+
+        if (existing) {
+            results[index] = {
+                action: 'exists',
+                id: existing.id,
+                name: existing.Deal_Name,
+                pipeline,
+                stage: existing.Stage,
+                message: `Open deal "${existing.Deal_Name}" already exists`
+            };
+            return;
+        }
+
+        if (entry.contactId && claimed.has(entry.contactId)) {
+            results[index] = { ...claimed.get(entry.contactId), action: 'exists', message: 'Deal created for the same contact' };
+            return;
+        }
+
+        results[index] = {
+            action: 'create',
+            id: null,
+            name,
+            pipeline,
+            stage,
+            message: dryRun ? `Would create deal "${name}" in ${pipeline} (${stage})` : null
+        };
+
+        if (entry.contactId) {
+            claimed.set(entry.contactId, results[index]);
+        }
+
+        if (!dryRun) {
+            const record = {
+                Deal_Name: name,
+                Sub_Pipeline: pipeline,
+                Stage: stage,
+                Closing_Date: getClosingDate(closingDays),
+                Contact_Name: { id: entry.contactId }
+            };
+
+            if (pipelineId) {
+                record.Pipeline = { id: pipelineId };
+            }
+            if (entry.accountId) {
+                record.Account_Name = { id: entry.accountId };
+            }
+
+            creates.push({ index, record });
+        }
+    });
+
+    if (creates.length === 0) {
+        return results;
+    }
+
+    const created = await integration.createBiginRecords('Pipelines', creates.map(create => create.record));
+
+    creates.forEach(({ index }, i) => {
+        const response = created[i] || {};
+        const result = results[index];
+
+        if (response.status === 'success') {
+            result.id = response.details.id;
+            result.message = `Created deal "${result.name}" in ${pipeline} (${stage})`;
+        } else {
+            result.action = 'failed';
+            result.message = response.message || 'Error creating deal';
+        }
+    });
+
+    return results;
+}
+
+module.exports = {
+    getDealOptions,
+    buildDealName,
+    createDeals
+};
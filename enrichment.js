@@ -0,0 +1,218 @@
+/**
+ * Re-enrichment of existing Bigin contacts through Apollo.io
+ *
+ * Looks up Bigin contacts (for example ones that were added by hand) with
+ * Apollo's people/match endpoint, maps the Apollo person through the usual
+ * field mapping and merge policies, and reports what would change. Nothing
+ * is written until the changes are approved and applied.
+ */
+
+const integration = require('./integration');
+const fieldMapping = require('./field-mapping');
+const mergePolicies = require('./merge-policies');
+const { AuthError, ValidationError, isRateLimitError } = require('./api-errors');
+
+// Each contact costs an Apollo people/match call, so previews are capped
+const MAX_ENRICH_CONTACTS = 100;
+
+// Fields enrichment never touches: where the contact came from and which account it belongs to
+const EXCLUDED_FIELDS = ['Lead_Source', 'Account_Name'];
+
+/**
+ * Load the Bigin contacts to enrich
+ * @param {Object} selection - Contacts to enrich
+ * @param {Array<string>} selection.contactIds - Bigin contact IDs
+ * @param {string} selection.query - Bigin search (name, email or company), used when no IDs are given
+ * @returns {Promise<Array>} - Bigin contacts
+ */
+async function loadContacts({ contactIds, query }) {
+    if (Array.isArray(contactIds) && contactIds.length > 0) {
+        if (contactIds.length > MAX_ENRICH_CONTACTS) {
+            throw new ValidationError(`Enrich at most ${MAX_ENRICH_CONTACTS} contacts at a time`);
+        }
+        return integration.getBiginContactsByIds(contactIds);
+    }
+
+    if (query) {
+        const data = await integration.searchBiginContacts(query, { perPage: MAX_ENRICH_CONTACTS });
+        return data.data || [];
+    }
+
+    throw new ValidationError('Provide contactIds or a search query');
+}
+
+/**
+ * Build the Apollo people/match lookup for a Bigin contact
+ * @param {Object} contact - Bigin contact
+ * @returns {Object} - Apollo match parameters
+ */
+function toApolloLookup(contact) {
+    return {
+        first_name: contact.First_Name || undefined,
+        last_name: contact.Last_Name || undefined,
+        email: contact.Email || undefined,
+        organization_name: contact.Account_Name && contact.Account_Name.name || undefined,
+        linkedin_url: contact.LinkedIn || undefined
+    };
+}
+
+/**
+ * Map an Apollo person to the Bigin fields enrichment may write
+ * @param {Object} person - Apollo person from people/match
+ * @param {Object} contact - Existing Bigin contact
+ * @returns {Object} - Bigin contact payload
+ */
+function mapPerson(person, contact) {
+    const mapped = fieldMapping.mapApolloContactToBigin({
+        ...person,
+        organization_name: person.organization_name || (person.organization && person.organization.name)
+    });
+
+    EXCLUDED_FIELDS.forEach(field => delete mapped[field]);
+
+    // The email is how the contact was found; only fill it in when Bigin has none
+    if (contact.Email) {
+        delete mapped.Email;
+    }
+
+    return mapped;
+}
+
+/**
+ * Summarize an enrichment preview
+ * @param {Array<Object>} results - Per-contact results
+ * @returns {Object} - Counts per status
+ */
+function summarize(results) {
+    return {
+        total: results.length,
+        changes: results.filter(r => r.status === 'changes').length,
+        unchanged: results.filter(r => r.status === 'unchanged').length,
+        notFound: results.filter(r => r.status === 'not_found').length,
+        error: results.filter(r => r.status === 'error').length
+    };
+}
+
+/**
+ * Look up Bigin contacts in Apollo and report what enrichment would change
+ * @param {Object} selection - Contacts to enrich ({ contactIds } or { query })
+ * @returns {Promise<Object>} - Per-contact results with field changes, and a summary
+ */
+async function previewEnrichment(selection) {
+    const contacts = await loadContacts(selection);
+    const results = [];
+
+    await integration.loadBiginPicklists();
+
+    for (const contact of contacts) {
+        const result = {
+            id: contact.id,
+            name: [contact.First_Name, contact.Last_Name].filter(Boolean).join(' '),
+            email: contact.Email || null,
+            company: contact.Account_Name ? contact.Account_Name.name || null : null
+        };
+
+        try {
+            const person = await integration.enrichContactWithApollo(toApolloLookup(contact));
+
+            if (!person) {
+                results.push({ ...result, status: 'not_found', message: 'No match in Apollo' });
+                continue;
+            }
+
+            const merge = mergePolicies.mergeRecord('Contacts', mapPerson(person, contact), contact);
+
+            results.push({
+                ...result,
+                status: merge.changes.length > 0 ? 'changes' : 'unchanged',
+                apolloId: person.id,
+                changes: merge.changes,
+                skipped: merge.skipped,
+                message: merge.changes.length > 0 ?
+                    `${merge.changes.length} field(s) can be updated` : 'Already up to date'
+            });
+        } catch (error) {
+            // Every remaining lookup would fail the same way
+            if (isRateLimitError(error) || error instanceof AuthError) {
+                throw error;
+            }
+
+            console.error(`Error enriching Bigin contact ${contact.id}:`, error.message);
+            results.push({ ...result, status: 'error', message: error.message });
+        }
+    }
+
+    return {
+        results,
+        summary: summarize(results)
+    };
+}
+
+/**
+ * Write approved enrichment changes back to Bigin
+ * The contacts are read first, so their previous values can be snapshotted for a rollback
+ * @param {Array<Object>} updates - { id, fields } per contact, with the approved field values from the preview
+ * @param {Object} options - Options
+ * @param {Array<Object>} options.snapshots - Sync run snapshots; every contact updated is added (see sync-runs.js)
+ * @returns {Promise<Array>} - Per-contact results
+ */
+async function applyEnrichment(updates, { snapshots = [] } = {}) {
+    if (!Array.isArray(updates) || updates.length === 0) {
+        throw new ValidationError('No approved changes provided');
+    }
+
+    const records = updates.map(update => {
+        const fields = {};
+
+        Object.entries(update.fields || {}).forEach(([field, value]) => {
+            if (EXCLUDED_FIELDS.includes(field) || mergePolicies.getPolicy('Contacts', field) === 'never') {
+                throw new ValidationError(`Field ${field} can't be changed by enrichment`);
+            }
+            fields[field] = value;
+        });
+
+        return { ...fields, id: update.id };
+    }).filter(record => Object.keys(record).length > 1);
+
+    if (records.length === 0) {
+        return [];
+    }
+
+    const current = await integration.getBiginRecordsByIds('Contacts', records.map(record => record.id));
+    const responses = await integration.updateBiginRecords('Contacts', records);
+
+    return records.map((record, index) => {
+        const response = responses[index] || {};
+        const { id, ...fields } = record;
+        const contact = current.get(id) || {};
+
+        if (response.status === 'success') {
+            const before = {};
+            Object.keys(fields).forEach(field => {
+                before[field] = contact[field] === undefined ? null : contact[field];
+            });
+
+            snapshots.push({
+                module: 'Contacts',
+                id,
+                action: 'update',
+                label: contact.Full_Name || [contact.First_Name, contact.Last_Name].filter(Boolean).join(' ') || contact.Email,
+                before,
+                after: fields
+            });
+        }
+
+        return {
+            id,
+            success: response.status === 'success',
+            updatedFields: Object.keys(fields),
+            message: response.status === 'success' ?
+                `Updated in Bigin: ${Object.keys(fields).join(', ')}` : response.message || 'Error updating Bigin contact'
+        };
+    });
+}
+
+module.exports = {
+    previewEnrichment,
+    applyEnrichment
+};
@@ -28,25 +28,11 @@ async function searchApolloOrganizations(searchParams) {
 
         return response.data.organizations;
     } catch (error) {
-        console.error('Error searching Apollo organizations:', error.response ? .data || error.message);
+        console.error('Error searching Apollo organizations:', error.response?.data || error.message);
         throw error;
     }
 }
 
-/**
- * Transform Apollo organization to Bigin account format
- * @param {Object} apolloOrg - Apollo organization
- * @returns {Object} - Bigin account format
- */
-function transformToAccount(apolloOrg) {
-    return {
-        name: apolloOrg.name,
-        website: apolloOrg.website_url,
-        industry: apolloOrg.industry,
-        phone_number: apolloOrg.phone
-    };
-}
-
 async function syncOrganizations() {
     try {
         console.log('Organization Search and Sync Example');
@@ -117,12 +103,9 @@ async function syncOrganizations() {
                 console.log(`✓ Organization "${apolloOrg.name}" already exists in Bigin`);
                 syncResults.push(existingAccount);
             } else {
-                // Transform Apollo organization to Bigin account format
-                const accountData = transformToAccount(apolloOrg);
-
-                // Create account in Bigin
+                // Create account in Bigin (mapped with fieldMapping.mapApolloOrgToBigin)
                 console.log(`Creating organization "${apolloOrg.name}" in Bigin...`);
-                const newAccount = await integration.createBiginAccount(accountData);
+                const newAccount = await integration.createBiginAccount(apolloOrg);
                 console.log(`✓ Organization created successfully with ID: ${newAccount.id}`);
 
                 syncResults.push(newAccount);
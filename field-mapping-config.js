@@ -0,0 +1,604 @@
+/**
+ * Declarative field mapping from Apollo.io records to Bigin records
+ *
+ * Which Apollo value goes into which Bigin field is defined in
+ * field-mappings.json instead of in code. Edits made through the API are
+ * saved to field-mappings.json in the data directory (or FIELD_MAPPINGS_PATH),
+ * so the defaults that ship with the code are never rewritten:
+ *
+ *   {
+ *     "lookups": { "industry": { "SaaS": "Software" } },
+ *     "Contacts": {
+ *       "fields": [{
+ *         "target": "Industry_Drop",
+ *         "source": "industry",
+ *         "fallbacks": ["organization.industry"],
+ *         "transforms": ["trim", { "type": "lookup", "table": "industry", "partial": true }],
+ *         "default": ""
+ *       }]
+ *     },
+ *     "Accounts": { "fields": [] }
+ *   }
+ *
+ * Each field reads its source path (dots reach into nested objects such as
+ * organization.website_url), then its fallbacks in order, until one has a
+ * value. The field's transforms are applied to that value. When nothing is
+ * left, the field gets its default, or is left out when it has none.
+ *
+ * The phone transform converts numbers to E.164 (see phone-normalizer.js),
+ * taking the country from the record's own fields when a number has no
+ * country code.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ValidationError } = require('./api-errors');
+const { getDataDir } = require('./json-store');
+const phoneNormalizer = require('./phone-normalizer');
+
+const MODULES = ['Contacts', 'Accounts'];
+
+const DEFAULT_PATH = path.join(__dirname, 'field-mappings.json');
+
+// Transforms and the options they take
+const TRANSFORMS = {
+    trim: [],
+    lowercase: [],
+    uppercase: [],
+    number: [],
+    join: ['separator'],
+    split: ['separator', 'index'],
+    lookup: ['table', 'values', 'partial', 'unmatched', 'picklist', 'fallback'],
+    object: ['key'],
+    phone: ['country', 'invalid']
+};
+
+// Where the phone transform looks for the country of a number without a country code
+const DEFAULT_PHONE_COUNTRY_PATHS = ['country', 'organization.country'];
+
+let cache = null;
+
+// Live Bigin picklist values by "Module.Field", set from the field metadata
+const picklists = new Map();
+
+/**
+ * Check whether a mapped value counts as empty
+ * @param {*} value - Value
+ * @returns {boolean} - True for null, undefined, empty strings and empty lists
+ */
+function isEmpty(value) {
+    if (value === null || value === undefined) return true;
+    if (typeof value === 'string') return value === '';
+    if (Array.isArray(value)) return value.length === 0;
+    return false;
+}
+
+/**
+ * Normalize a transform given as a name or an object
+ * @param {string|Object} transform - e.g. "trim" or { type: "join", separator: "; " }
+ * @returns {Object} - Transform with a type
+ */
+function toTransform(transform) {
+    return typeof transform === 'string' ? { type: transform } : transform;
+}
+
+/**
+ * Normalize a fallback given as a path or an object
+ * @param {string|Object} fallback - e.g. "corporate_phone" or { source: "email", transforms: [...] }
+ * @returns {Object} - { source, transforms }
+ */
+function toFallback(fallback) {
+    return typeof fallback === 'string' ? { source: fallback, transforms: [] } : fallback;
+}
+
+/**
+ * Check a list of transforms
+ * @param {Array} transforms - Transforms to check
+ * @param {Object} lookups - Named lookup tables of the config
+ * @param {string} label - Field label for error messages
+ * @throws {ValidationError} - Describing the first problem found
+ */
+function validateTransforms(transforms, lookups, label) {
+    if (!Array.isArray(transforms)) {
+        throw new ValidationError(`${label}: "transforms" must be a list`);
+    }
+
+    transforms.forEach(item => {
+        const transform = toTransform(item);
+        const type = transform && transform.type;
+
+        if (!TRANSFORMS[type]) {
+            throw new ValidationError(`${label} uses unknown transform "${type}"; use ${Object.keys(TRANSFORMS).join(', ')}`);
+        }
+
+        const unknown = Object.keys(transform).filter(option => option !== 'type' && !TRANSFORMS[type].includes(option));
+        if (unknown.length > 0) {
+            throw new ValidationError(`${label}: transform "${type}" doesn't take ${unknown.join(', ')}`);
+        }
+
+        if (type === 'lookup') {
+            if (transform.table !== undefined && !lookups[transform.table]) {
+                throw new ValidationError(`${label} uses unknown lookup table "${transform.table}"`);
+            }
+            if (transform.table === undefined && (!transform.values || typeof transform.values !== 'object')) {
+                throw new ValidationError(`${label}: a lookup needs a table name or values`);
+            }
+            if (transform.unmatched !== undefined && !['keep', 'empty'].includes(transform.unmatched)) {
+                throw new ValidationError(`${label}: lookup "unmatched" must be keep or empty`);
+            }
+            if (transform.picklist !== undefined && typeof transform.picklist !== 'boolean') {
+                throw new ValidationError(`${label}: lookup "picklist" must be true or false`);
+            }
+            if (transform.fallback !== undefined && typeof transform.fallback !== 'string') {
+                throw new ValidationError(`${label}: lookup "fallback" must be a text value`);
+            }
+        }
+
+        if (type === 'phone') {
+            const countries = transform.country === undefined ? [] : [].concat(transform.country);
+            if (countries.some(country => typeof country !== 'string' || !country.trim())) {
+                throw new ValidationError(`${label}: phone "country" must be an Apollo field path or a list of them`);
+            }
+            if (transform.invalid !== undefined && !['keep', 'empty'].includes(transform.invalid)) {
+                throw new ValidationError(`${label}: phone "invalid" must be keep or empty`);
+            }
+        }
+
+        if (type === 'split' && (typeof transform.separator !== 'string' || transform.separator === '')) {
+            throw new ValidationError(`${label}: split needs a separator`);
+        }
+        if (type === 'object' && (typeof transform.key !== 'string' || transform.key === '')) {
+            throw new ValidationError(`${label}: object needs a key`);
+        }
+    });
+}
+
+/**
+ * Check that a mapping configuration is well formed
+ * @param {Object} config - { lookups, Contacts: { fields }, Accounts: { fields } }
+ * @returns {Object} - The same config
+ * @throws {ValidationError} - Describing the first problem found
+ */
+function validateConfig(config) {
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+        throw new ValidationError('The field mapping must be an object');
+    }
+
+    const lookups = config.lookups || {};
+    if (typeof lookups !== 'object' || Array.isArray(lookups)) {
+        throw new ValidationError('"lookups" must map table names to { "Apollo value": "Bigin value" }');
+    }
+
+    Object.entries(lookups).forEach(([name, table]) => {
+        if (!table || typeof table !== 'object' || Array.isArray(table)) {
+            throw new ValidationError(`Lookup table "${name}" must map Apollo values to Bigin values`);
+        }
+    });
+
+    Object.keys(config)
+        .filter(key => key !== 'lookups' && !MODULES.includes(key))
+        .forEach(key => {
+            throw new ValidationError(`Unknown module "${key}"; use ${MODULES.join(', ')}`);
+        });
+
+    MODULES.filter(module => config[module] !== undefined).forEach(module => {
+        const fields = config[module] && config[module].fields;
+        if (!Array.isArray(fields)) {
+            throw new ValidationError(`${module} needs a list of fields`);
+        }
+
+        const targets = new Set();
+
+        fields.forEach((field, index) => {
+            const label = `${module} field ${index + 1}${field && field.target ? ` (${field.target})` : ''}`;
+
+            if (!field || typeof field !== 'object' || typeof field.target !== 'string' || !field.target.trim()) {
+                throw new ValidationError(`${label} needs a target Bigin field`);
+            }
+            if (targets.has(field.target)) {
+                throw new ValidationError(`${label}: ${field.target} is mapped more than once`);
+            }
+            targets.add(field.target);
+
+            if (field.source !== undefined && (typeof field.source !== 'string' || !field.source.trim())) {
+                throw new ValidationError(`${label}: "source" must be an Apollo field path`);
+            }
+            if (field.source === undefined && field.default === undefined) {
+                throw new ValidationError(`${label} needs a source or a default`);
+            }
+
+            const fallbacks = field.fallbacks || [];
+            if (!Array.isArray(fallbacks)) {
+                throw new ValidationError(`${label}: "fallbacks" must be a list`);
+            }
+            fallbacks.forEach(item => {
+                const fallback = toFallback(item);
+                if (!fallback || typeof fallback.source !== 'string' || !fallback.source.trim()) {
+                    throw new ValidationError(`${label}: each fallback needs a source path`);
+                }
+                validateTransforms(fallback.transforms || [], lookups, label);
+            });
+
+            validateTransforms(field.transforms || [], lookups, label);
+        });
+    });
+
+    return config;
+}
+
+/**
+ * Complete a configuration with a base one and validate the result
+ * Modules and lookup tables missing from the config come from the base
+ * @param {Object} config - Configuration to complete
+ * @param {Object} base - Complete configuration
+ * @returns {Object} - Validated configuration
+ * @throws {ValidationError} - When the result is invalid
+ */
+function completeConfig(config, base) {
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+        throw new ValidationError('The field mapping must be an object');
+    }
+
+    return validateConfig({
+        ...base,
+        ...config,
+        lookups: { ...base.lookups, ...config.lookups }
+    });
+}
+
+/**
+ * Get the path of the saved mapping configuration
+ * The field-mappings.json next to this module only holds the defaults; it's
+ * part of the source and read-only when deployed (e.g. on Vercel)
+ * @returns {string} - FIELD_MAPPINGS_PATH, or field-mappings.json in the data directory
+ */
+function getConfigPath() {
+    return process.env.FIELD_MAPPINGS_PATH ?
+        path.resolve(process.env.FIELD_MAPPINGS_PATH) :
+        path.join(getDataDir(), 'field-mappings.json');
+}
+
+/**
+ * Load the field mapping configuration
+ * Modules and lookup tables missing from the saved file come from field-mappings.json.
+ * Without a saved file, or with an invalid one (which is reported), field-mappings.json is used
+ * @returns {Object} - { path, config, error }
+ */
+function loadConfig() {
+    if (cache) return cache;
+
+    const configPath = getConfigPath();
+    const defaults = validateConfig(JSON.parse(fs.readFileSync(DEFAULT_PATH, 'utf8')));
+
+    cache = { path: configPath, config: defaults, error: null };
+
+    if (configPath === DEFAULT_PATH) {
+        return cache;
+    }
+
+    try {
+        if (fs.existsSync(configPath)) {
+            cache.config = completeConfig(JSON.parse(fs.readFileSync(configPath, 'utf8')), defaults);
+        }
+    } catch (error) {
+        console.error('Error loading field mappings, using field-mappings.json:', error.message);
+        cache.error = error.message;
+    }
+
+    return cache;
+}
+
+/**
+ * Validate a draft configuration, completed with the current one
+ * @param {Object} config - Draft mapping configuration
+ * @returns {Object} - Complete configuration
+ * @throws {ValidationError} - When the draft is invalid
+ */
+function resolveConfig(config) {
+    return completeConfig(config, loadConfig().config);
+}
+
+/**
+ * Validate and save a field mapping configuration to the configured path
+ * @param {Object} config - Mapping configuration; modules and lookup tables missing from it keep their current values
+ * @returns {Object} - { path, config, error } as loaded afterwards
+ * @throws {ValidationError} - When the config is invalid
+ */
+function saveConfig(config) {
+    const saved = resolveConfig(config);
+
+    const configPath = getConfigPath();
+
+    fs.mkdirSync(path.dirname(configPath), { recursive: true });
+    fs.writeFileSync(configPath, JSON.stringify(saved, null, 4) + '\n');
+    cache = null;
+
+    return loadConfig();
+}
+
+/**
+ * Read a value by path
+ * @param {Object} record - Apollo record
+ * @param {string} sourcePath - Dot-separated path, e.g. "organization.primary_phone.number"
+ * @returns {*} - Value, or undefined
+ */
+function getValue(record, sourcePath) {
+    return sourcePath.split('.').reduce((value, key) =>
+        (value === null || value === undefined ? undefined : value[key.trim()]), record);
+}
+
+/**
+ * Record the picklist values of a Bigin module's fields
+ * @param {string} module - Bigin module
+ * @param {Array<Object>} fields - Bigin field metadata ({ api_name, pick_list_values })
+ */
+function setPicklists(module, fields) {
+    [...picklists.keys()]
+        .filter(key => key.startsWith(`${module}.`))
+        .forEach(key => picklists.delete(key));
+
+    fields
+        .filter(field => Array.isArray(field.pick_list_values) && field.pick_list_values.length > 0)
+        .forEach(field => {
+            picklists.set(`${module}.${field.api_name}`,
+                field.pick_list_values.map(value => value.actual_value || value.display_value));
+        });
+}
+
+/**
+ * Get the picklist values of a Bigin field, when its metadata has been loaded
+ * @param {string} module - Bigin module
+ * @param {string} field - Field API name
+ * @returns {Array<string>|null} - Picklist values, or null when unknown
+ */
+function getPicklist(module, field) {
+    return picklists.get(`${module}.${field}`) || null;
+}
+
+/**
+ * Find a value in a lookup table
+ * Tries an exact match, then ignores case, then (when partial) a key contained in the value or the other way round
+ * @param {*} value - Apollo value
+ * @param {Object} table - Apollo value to Bigin value
+ * @param {boolean} partial - Allow partial matches
+ * @returns {*} - Bigin value, or undefined when nothing matches
+ */
+function findInTable(value, table, partial = false) {
+    const text = String(value);
+    if (Object.prototype.hasOwnProperty.call(table, text)) return table[text];
+
+    const lower = text.trim().toLowerCase();
+    const entries = Object.entries(table);
+
+    const exact = entries.find(([key]) => key.trim().toLowerCase() === lower);
+    if (exact) return exact[1];
+
+    if (partial) {
+        const match = entries.find(([key]) => lower.includes(key.toLowerCase()) || key.toLowerCase().includes(lower));
+        if (match) return match[1];
+    }
+
+    return undefined;
+}
+
+/**
+ * Find a value in a lookup table
+ * @param {*} value - Apollo value
+ * @param {Object} table - Apollo value to Bigin value
+ * @param {Object} options - Lookup options
+ * @param {boolean} options.partial - Allow partial matches
+ * @param {string} options.unmatched - keep (default) returns the value unchanged, empty returns ''
+ * @returns {*} - Bigin value
+ */
+function lookupValue(value, table, { partial = false, unmatched = 'keep' } = {}) {
+    const match = findInTable(value, table, partial);
+    if (match !== undefined) return match;
+
+    return unmatched === 'empty' ? '' : value;
+}
+
+/**
+ * Resolve a value against the live picklist of the target field
+ * The table's value (or the value itself) must be one of the picklist values, ignoring case.
+ * Until the field metadata is loaded, only table matches are accepted.
+ * Anything else is reported as unmapped and replaced by the fallback
+ * @param {*} value - Apollo value
+ * @param {Object} transform - Lookup transform with picklist set
+ * @param {Object} context - { lookups, module, field, unmapped }
+ * @returns {*} - Picklist value, or the fallback
+ */
+function lookupPicklistValue(value, transform, context) {
+    const table = (transform.table !== undefined ? context.lookups[transform.table] : transform.values) || {};
+    const match = findInTable(value, table, transform.partial);
+    const options = getPicklist(context.module, context.field);
+
+    if (options) {
+        const wanted = String(match !== undefined ? match : value).trim().toLowerCase();
+        const option = options.find(candidate => String(candidate).toLowerCase() === wanted);
+        if (option !== undefined) return option;
+    } else if (match !== undefined) {
+        return match;
+    }
+
+    if (context.unmapped) {
+        context.unmapped.push({ module: context.module, field: context.field, value });
+    }
+
+    return transform.fallback !== undefined ? transform.fallback : '';
+}
+
+/**
+ * Get the name of an Apollo record for reports
+ * @param {Object} record - Apollo.io contact or organization
+ * @returns {string} - Person or organization name
+ */
+function getRecordName(record) {
+    if (record.name) return String(record.name);
+    return [record.first_name, record.last_name].filter(Boolean).join(' ');
+}
+
+/**
+ * Normalize a phone number to E.164, inferring the country from the record
+ * Numbers that can't be parsed are reported as invalid and emptied, or kept as they are with invalid: "keep"
+ * @param {*} value - Phone number
+ * @param {Object} transform - Phone transform
+ * @param {Object} context - { module, field, record, invalidPhones }
+ * @returns {string} - E.164 number
+ */
+function normalizePhoneValue(value, transform, context) {
+    const paths = transform.country !== undefined ? [].concat(transform.country) : DEFAULT_PHONE_COUNTRY_PATHS;
+    const countries = paths.map(countryPath => getValue(context.record || {}, countryPath)).filter(Boolean);
+    const phone = phoneNormalizer.normalizePhone(value, { countries });
+
+    if (phone.valid) return phone.e164;
+
+    if (context.invalidPhones) {
+        context.invalidPhones.push({
+            source: `${context.module}.${context.field}`,
+            recordId: (context.record && context.record.id) || null,
+            name: getRecordName(context.record || {}),
+            value: phone.original,
+            reason: phone.reason
+        });
+    }
+
+    return transform.invalid === 'keep' ? value : '';
+}
+
+/**
+ * Apply one transform to a value
+ * @param {*} value - Value (not empty)
+ * @param {Object} transform - Transform with a type
+ * @param {Object} context - { lookups, module, field, record, unmapped, invalidPhones } of the field being mapped
+ * @returns {*} - Transformed value
+ */
+function applyTransform(value, transform, context) {
+    const { type } = transform;
+
+    if (['trim', 'lowercase', 'uppercase'].includes(type)) {
+        if (typeof value !== 'string') return value;
+        return type === 'trim' ? value.trim() : type === 'lowercase' ? value.toLowerCase() : value.toUpperCase();
+    }
+
+    if (type === 'number') {
+        // Apollo sends numbers, older exports text like "$12,000,000"
+        const number = typeof value === 'number' ? Math.round(value) : parseInt(String(value).replace(/[^0-9]/g, ''));
+        return isNaN(number) ? '' : number;
+    }
+
+    if (type === 'join') {
+        if (!Array.isArray(value)) return value;
+        return value
+            .map(item => (item && typeof item === 'object' ? item.name : item))
+            .filter(item => !isEmpty(item))
+            .join(transform.separator !== undefined ? transform.separator : ', ');
+    }
+
+    if (type === 'split') {
+        return String(value).split(transform.separator)[transform.index || 0] || '';
+    }
+
+    if (type === 'lookup' && transform.picklist) {
+        return lookupPicklistValue(value, transform, context);
+    }
+
+    if (type === 'phone') {
+        return normalizePhoneValue(value, transform, context);
+    }
+
+    if (type === 'lookup') {
+        return lookupValue(value, transform.table !== undefined ? context.lookups[transform.table] : transform.values, transform);
+    }
+
+    return { [transform.key]: value };
+}
+
+/**
+ * Apply a list of transforms, stopping once the value is empty
+ * @param {*} value - Value
+ * @param {Array} transforms - Transforms, as names or objects
+ * @param {Object} context - { lookups, module, field, record, unmapped, invalidPhones } of the field being mapped
+ * @returns {*} - Transformed value
+ */
+function applyTransforms(value, transforms, context) {
+    return (transforms || []).map(toTransform).reduce((result, transform) =>
+        (isEmpty(result) ? result : applyTransform(result, transform, context)), value);
+}
+
+/**
+ * Map a single value with the transforms of a mapped field
+ * @param {string} module - Bigin module (Contacts or Accounts)
+ * @param {string} target - Bigin field the value is mapped to
+ * @param {*} value - Apollo value
+ * @param {Object} config - Mapping configuration (defaults to the loaded one)
+ * @param {Object} apolloRecord - Apollo record the value belongs to, e.g. for the country of a phone number
+ * @returns {*} - Bigin value; the value itself when the field isn't mapped
+ */
+function mapFieldValue(module, target, value, config = loadConfig().config, apolloRecord = {}) {
+    const field = ((config[module] && config[module].fields) || []).find(candidate => candidate.target === target);
+    if (!field || isEmpty(value)) return value;
+
+    return applyTransforms(value, field.transforms, {
+        lookups: config.lookups || {},
+        module,
+        field: target,
+        record: apolloRecord,
+        unmapped: null,
+        invalidPhones: null
+    });
+}
+
+/**
+ * Map an Apollo record to a Bigin record
+ * @param {string} module - Bigin module (Contacts or Accounts)
+ * @param {Object} apolloRecord - Apollo.io contact or organization
+ * @param {Object} config - Mapping configuration (defaults to the loaded one)
+ * @param {Object} report - Collects problems found while mapping
+ * @param {Array<Object>} report.unmapped - { module, field, value } for values a picklist lookup couldn't map
+ * @param {Array<Object>} report.invalidPhones - { source, recordId, name, value, reason } for numbers that couldn't be normalized
+ * @returns {Object} - Bigin record
+ */
+function mapRecord(module, apolloRecord, config = loadConfig().config, report = null) {
+    const lookups = config.lookups || {};
+    const fields = (config[module] && config[module].fields) || [];
+    const record = {};
+    const { unmapped = null, invalidPhones = null } = report || {};
+
+    fields.forEach(field => {
+        const context = { lookups, module, field: field.target, record: apolloRecord, unmapped, invalidPhones };
+        const candidates = [
+            ...(field.source !== undefined ? [{ source: field.source, transforms: [] }] : []),
+            ...(field.fallbacks || []).map(toFallback)
+        ];
+
+        let value;
+        for (const candidate of candidates) {
+            value = applyTransforms(getValue(apolloRecord, candidate.source), candidate.transforms, context);
+            if (!isEmpty(value)) break;
+        }
+
+        value = applyTransforms(value, field.transforms, context);
+
+        if (!isEmpty(value)) {
+            record[field.target] = value;
+        } else if (field.default !== undefined) {
+            record[field.target] = field.default;
+        }
+    });
+
+    return record;
+}
+
+module.exports = {
+    MODULES,
+    TRANSFORMS,
+    loadConfig,
+    validateConfig,
+    resolveConfig,
+    saveConfig,
+    setPicklists,
+    getPicklist,
+    lookupValue,
+    mapFieldValue,
+    mapRecord
+};
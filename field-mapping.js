@@ -1,249 +1,212 @@
 /**
  * Field mapping module for Apollo.io to Bigin integration
  * 
- * This module handles mapping between Apollo.io and Bigin fields
+ * This module handles mapping between Apollo.io and Bigin fields.
+ * Which Apollo value fills which Bigin field is configured in
+ * field-mappings.json (see field-mapping-config.js)
  */
 
-// Industry mapping from Apollo to Bigin industry dropdown
-const INDUSTRY_MAPPING = {
-    // Direct matches
-    'Software': 'Software',
-    'Technology': 'Technology',
-    'Healthcare': 'Healthcare',
-    'Financial Services': 'Financial Services',
-    'Retail': 'Retail',
-    'Manufacturing': 'Manufacturing',
-    'Education': 'Education',
-    'Telecommunications': 'Telecommunications',
-    'Media': 'Media',
-    'Real Estate': 'Real Estate',
-    'Transportation': 'Transportation',
-    'Agriculture': 'Agriculture',
-
-    // Mappings that need transformation
-    'Information Technology': 'Technology',
-    'IT Services': 'Technology',
-    'Computer Software': 'Software',
-    'SaaS': 'Software',
-    'Internet': 'Technology',
-    'Finance': 'Financial Services',
-    'Banking': 'Financial Services',
-    'Insurance': 'Financial Services',
-    'Hospital & Health Care': 'Healthcare',
-    'Pharmaceuticals': 'Healthcare',
-    'Medical Devices': 'Healthcare',
-    'E-Commerce': 'Retail',
-    'Wholesale': 'Retail',
-    'Construction': 'Construction',
-    'Marketing & Advertising': 'Advertising',
-    'Public Relations': 'Advertising',
-    'Entertainment': 'Media',
-    'Publishing': 'Media',
-    'Hospitality': 'Hospitality',
-    'Food & Beverages': 'Hospitality',
-    'Automotive': 'Automotive',
-    'Consumer Goods': 'Consumer Goods',
-    'Non-Profit': 'Non-Profit',
-    'Government': 'Government',
-    'Legal Services': 'Legal',
-    'Professional Services': 'Professional Services',
-    'Consulting': 'Consulting',
-    'Energy': 'Energy & Utilities',
-    'Utilities': 'Energy & Utilities',
-    'D2C': 'Consumer Goods'
-};
+const mappingConfig = require('./field-mapping-config');
+const unmappedValues = require('./unmapped-values');
+const invalidPhones = require('./invalid-phones');
 
 /**
- * Map an Apollo.io contact to Bigin contact format
- * @param {Object} apolloContact - Apollo.io contact data
- * @returns {Object} - Bigin formatted contact data
+ * Create a collector for the problems found while mapping
+ * Pass it to the mappers, then to recordMappingReport once the mapped record has been written
+ * @returns {Object} - { unmapped, invalidPhones }
  */
-function mapApolloContactToBigin(apolloContact) {
-    // Create a new contact object in Bigin format
-    const biginContact = {
-        // Required fields
-        Last_Name: getLastName(apolloContact),
-
-        // Other important fields
-        First_Name: apolloContact.first_name || '',
-        Email: apolloContact.email || '',
-        Phone: apolloContact.phone_number || apolloContact.corporate_phone || apolloContact.work_direct_phone || '',
-        Title: apolloContact.title || '',
-        Industry_Drop: mapIndustry(apolloContact.industry),
-        Lead_Source: 'Apollo.io',
-        Description: generateDescription(apolloContact)
-    };
-
-    // Add account/company if available
-    if (apolloContact.organization_name) {
-        biginContact.Account_Name = {
-            name: apolloContact.organization_name
-        };
-    }
+function createMappingReport() {
+    return { unmapped: [], invalidPhones: [] };
+}
 
-    // Add additional fields if they exist
-    if (apolloContact.city || apolloContact.state || apolloContact.country) {
-        biginContact.Mailing_City = apolloContact.city || '';
-        biginContact.Mailing_State = apolloContact.state || '';
-        biginContact.Mailing_Country = apolloContact.country || '';
-    }
+/**
+ * Record what a mapping report collected in the unmapped-value and invalid-phone reports
+ * Only called for records actually written to Bigin, so previews and dry runs don't inflate the counts
+ * @param {Object} report - Collector from createMappingReport
+ */
+function recordMappingReport(report) {
+    if (!report) return;
 
-    // Social media fields
-    if (apolloContact.linkedin_url) {
-        biginContact.LinkedIn = apolloContact.linkedin_url;
-    }
-    if (apolloContact.twitter_url) {
-        biginContact.Twitter = apolloContact.twitter_url;
-    }
+    unmappedValues.recordUnmapped(report.unmapped);
+    invalidPhones.recordInvalidPhones(report.invalidPhones);
+}
 
-    return biginContact;
+/**
+ * Map an Apollo.io contact to Bigin contact format
+ * Fields are mapped by the Contacts section of field-mappings.json
+ * @param {Object} apolloContact - Apollo.io contact data
+ * @param {Object} config - Mapping configuration to use instead of the saved one
+ * @param {Object} report - Collects unmapped values and invalid phones (see createMappingReport)
+ * @returns {Object} - Bigin formatted contact data
+ */
+function mapApolloContactToBigin(apolloContact, config, report) {
+    return mappingConfig.mapRecord('Contacts', apolloContact, config || undefined, report);
 }
 
 /**
  * Map an Apollo.io organization to Bigin account format
+ * Fields are mapped by the Accounts section of field-mappings.json
  * @param {Object} apolloOrg - Apollo.io organization data
+ * @param {Object} config - Mapping configuration to use instead of the saved one
+ * @param {Object} report - Collects unmapped values and invalid phones (see createMappingReport)
  * @returns {Object} - Bigin formatted account data
  */
-function mapApolloOrgToBigin(apolloOrg) {
-    // Create a new account object in Bigin format
-    const biginAccount = {
-        // Required fields
-        Account_Name: apolloOrg.name || '',
-
-        // Other important fields
-        Website: apolloOrg.website_url || '',
-        Industry: mapIndustry(apolloOrg.industry),
-        Phone: apolloOrg.phone || '',
-        Description: generateOrgDescription(apolloOrg)
-    };
-
-    // Add address if available
-    if (apolloOrg.city || apolloOrg.state || apolloOrg.country) {
-        biginAccount.Billing_City = apolloOrg.city || '';
-        biginAccount.Billing_State = apolloOrg.state || '';
-        biginAccount.Billing_Country = apolloOrg.country || '';
-    }
+function mapApolloOrgToBigin(apolloOrg, config, report) {
+    return mappingConfig.mapRecord('Accounts', apolloOrg, config || undefined, report);
+}
 
-    // Add other fields if they exist
-    if (apolloOrg.estimated_num_employees) {
-        biginAccount.Employees = apolloOrg.estimated_num_employees;
-    }
-    if (apolloOrg.annual_revenue) {
-        // Convert to number and format appropriately
-        const revenue = parseInt(apolloOrg.annual_revenue.replace(/[^0-9]/g, ''));
-        if (!isNaN(revenue)) {
-            biginAccount.Annual_Revenue = revenue;
-        }
-    }
+/**
+ * Map the organization of an Apollo person to a Bigin account
+ * People from mixed_people/search carry a nested organization with the company's
+ * website, industry, phone, address and headcount; CSV-style records only have a name
+ * @param {Object} apolloContact - Apollo.io contact data
+ * @param {string} accountName - Name of the account the contact is linked to
+ * @param {Object} config - Mapping configuration to use instead of the saved one
+ * @param {Object} report - Collects unmapped values and invalid phones (see createMappingReport)
+ * @returns {Object} - Bigin account data, without empty fields
+ */
+function mapContactOrganizationToBigin(apolloContact, accountName, config, report) {
+    const organization = apolloContact.organization || {};
 
-    return biginAccount;
+    return removeEmptyFields(mapApolloOrgToBigin({
+        ...organization,
+        name: accountName || apolloContact.organization_name || organization.name
+    }, config, report));
+}
+
+/**
+ * Drop fields without a value, so creating a record doesn't send blanks
+ * @param {Object} record - Bigin record data
+ * @returns {Object} - Copy of the record without empty fields
+ */
+function removeEmptyFields(record) {
+    const result = {};
+
+    Object.entries(record).forEach(([field, value]) => {
+        if (value !== '' && value !== null && value !== undefined) result[field] = value;
+    });
+
+    return result;
 }
 
 /**
  * Map Apollo industry to Bigin industry dropdown
+ * Uses the mapping of Industry_Drop: the "industry" lookup table, resolved against the live picklist
  * @param {string} apolloIndustry - Industry from Apollo.io
- * @returns {string} - Industry for Bigin dropdown
+ * @returns {string} - Industry for Bigin dropdown, or the configured fallback
  */
 function mapIndustry(apolloIndustry) {
     if (!apolloIndustry) return '';
 
-    // Check for direct match first
-    if (INDUSTRY_MAPPING[apolloIndustry]) {
-        return INDUSTRY_MAPPING[apolloIndustry];
-    }
+    return mappingConfig.mapFieldValue('Contacts', 'Industry_Drop', apolloIndustry);
+}
 
-    // Try to find a partial match
-    const industry = apolloIndustry.toLowerCase();
+/**
+ * Format a list of Apollo values for a summary line
+ * @param {Array} values - Strings, or objects with a name
+ * @param {number} limit - Maximum number of values shown
+ * @returns {string} - Comma-separated values
+ */
+function formatList(values, limit = 15) {
+    if (!Array.isArray(values)) return '';
 
-    // Check for partial matches in the keys
-    for (const [key, value] of Object.entries(INDUSTRY_MAPPING)) {
-        if (industry.includes(key.toLowerCase()) || key.toLowerCase().includes(industry)) {
-            return value;
-        }
-    }
+    const names = values.map(value => (value && typeof value === 'object' ? value.name : value)).filter(Boolean);
+    const more = names.length > limit ? ` and ${names.length - limit} more` : '';
 
-    // Default fallback
-    return apolloIndustry;
+    return names.slice(0, limit).join(', ') + more;
 }
 
 /**
- * Extract last name from Apollo contact
- * @param {Object} apolloContact - Apollo.io contact data
- * @returns {string} - Last name
+ * Describe an organization's funding
+ * @param {Object} apolloOrg - Apollo.io organization data
+ * @returns {string} - e.g. "$12M total, latest Series A (2023-04-01)"
  */
-function getLastName(apolloContact) {
-    // Last name is required in Bigin, so we need to handle cases where it might be missing
-    if (apolloContact.last_name) {
-        return apolloContact.last_name;
-    } else if (apolloContact.first_name) {
-        // If no last name but first name exists, use first name as last name
-        return apolloContact.first_name;
-    } else if (apolloContact.email) {
-        // If no names at all but email exists, extract name part from email
-        const emailParts = apolloContact.email.split('@');
-        return emailParts[0] || 'Unknown';
-    } else {
-        // Last resort
-        return 'Unknown';
+function formatFunding(apolloOrg) {
+    const parts = [];
+
+    if (apolloOrg.total_funding_printed || apolloOrg.total_funding) {
+        parts.push(`${apolloOrg.total_funding_printed || apolloOrg.total_funding} total`);
+    }
+
+    if (apolloOrg.latest_funding_stage) {
+        const date = apolloOrg.latest_funding_round_date ? ` (${String(apolloOrg.latest_funding_round_date).split('T')[0]})` : '';
+        parts.push(`latest ${apolloOrg.latest_funding_stage}${date}`);
     }
+
+    return parts.join(', ');
+}
+
+/**
+ * Generate the summary lines of an organization's Apollo data
+ * @param {Object} apolloOrg - Apollo.io organization data
+ * @returns {string} - Summary lines
+ */
+function generateOrgSummaryLines(apolloOrg) {
+    const lines = [
+        ['Website', apolloOrg.website_url],
+        ['Industry', apolloOrg.industry],
+        ['Estimated Employees', apolloOrg.estimated_num_employees],
+        ['Keywords', formatList(apolloOrg.keywords)],
+        ['Technologies', formatList(apolloOrg.technology_names || apolloOrg.current_technologies)],
+        ['Funding', formatFunding(apolloOrg)],
+        ['Company LinkedIn', apolloOrg.linkedin_url]
+    ];
+
+    return lines
+        .filter(([, value]) => value)
+        .map(([label, value]) => `${label}: ${value}\n`)
+        .join('');
 }
 
 /**
- * Generate a detailed description for the contact
+ * Generate a summary of a contact's Apollo data for a Bigin note
  * @param {Object} apolloContact - Apollo.io contact data
- * @returns {string} - Formatted description
+ * @returns {string} - Formatted summary
  */
-function generateDescription(apolloContact) {
-    let description = `Contact imported from Apollo.io on ${new Date().toISOString().split('T')[0]}.\n\n`;
+function generateContactSummary(apolloContact) {
+    const organization = apolloContact.organization || {};
+    let summary = '';
 
-    if (apolloContact.organization_name) {
-        description += `Company: ${apolloContact.organization_name}\n`;
+    if (apolloContact.organization_name || organization.name) {
+        summary += `Company: ${apolloContact.organization_name || organization.name}\n`;
     }
 
     if (apolloContact.title) {
-        description += `Title: ${apolloContact.title}\n`;
+        summary += `Title: ${apolloContact.title}\n`;
     }
 
     if (apolloContact.seniority) {
-        description += `Seniority: ${apolloContact.seniority}\n`;
+        summary += `Seniority: ${apolloContact.seniority}\n`;
+    }
+
+    if (Array.isArray(apolloContact.departments) && apolloContact.departments.length > 0) {
+        summary += `Departments: ${formatList(apolloContact.departments)}\n`;
     }
 
     if (apolloContact.linkedin_url) {
-        description += `LinkedIn: ${apolloContact.linkedin_url}\n`;
+        summary += `LinkedIn: ${apolloContact.linkedin_url}\n`;
     }
 
-    return description;
+    return summary + generateOrgSummaryLines(organization);
 }
 
 /**
- * Generate a detailed description for the organization
+ * Generate a summary of an organization's Apollo data for a Bigin note
  * @param {Object} apolloOrg - Apollo.io organization data
- * @returns {string} - Formatted description
+ * @returns {string} - Formatted summary
  */
-function generateOrgDescription(apolloOrg) {
-    let description = `Organization imported from Apollo.io on ${new Date().toISOString().split('T')[0]}.\n\n`;
-
-    if (apolloOrg.website_url) {
-        description += `Website: ${apolloOrg.website_url}\n`;
-    }
-
-    if (apolloOrg.industry) {
-        description += `Industry: ${apolloOrg.industry}\n`;
-    }
-
-    if (apolloOrg.estimated_num_employees) {
-        description += `Estimated Employees: ${apolloOrg.estimated_num_employees}\n`;
-    }
-
-    if (apolloOrg.linkedin_url) {
-        description += `LinkedIn: ${apolloOrg.linkedin_url}\n`;
-    }
-
-    return description;
+function generateOrgSummary(apolloOrg) {
+    return generateOrgSummaryLines(apolloOrg);
 }
 
 module.exports = {
+    createMappingReport,
+    recordMappingReport,
     mapApolloContactToBigin,
     mapApolloOrgToBigin,
-    mapIndustry
+    mapContactOrganizationToBigin,
+    removeEmptyFields,
+    mapIndustry,
+    generateContactSummary,
+    generateOrgSummary
 };
\ No newline at end of file
@@ -0,0 +1,265 @@
+/**
+ * Shared HTTP client for the Apollo.io and Bigin APIs
+ *
+ * Every Apollo and Bigin call goes through here so they all get the same
+ * behaviour: per-provider rate limiting (see rate-limiter.js), bounded
+ * exponential backoff, Retry-After support, one token refresh and retry on a
+ * Bigin 401, and typed errors (see api-errors.js).
+ */
+
+require('dotenv').config();
+const axios = require('axios');
+const tokenManager = require('./token-manager');
+const rateLimiter = require('./rate-limiter');
+const { ApiError, RateLimitError, AuthError, ValidationError } = require('./api-errors');
+
+const APOLLO_BASE_URL = 'https://api.apollo.io/v1';
+const BIGIN_BASE_URL = process.env.BIGIN_BASE_URL || 'https://www.zohoapis.com/bigin/v1';
+
+// Retries after the first attempt for rate limits, server errors and network failures
+const MAX_RETRIES = parseInt(process.env.HTTP_MAX_RETRIES) >= 0 ? parseInt(process.env.HTTP_MAX_RETRIES) : 3;
+
+// Backoff starts here and doubles on every retry
+const BASE_RETRY_DELAY = 500; // 0.5 seconds
+
+// Never wait longer than this between attempts; longer Retry-After values fail straight away
+const MAX_RETRY_DELAY = parseInt(process.env.HTTP_MAX_RETRY_DELAY) || 30000; // 30 seconds
+
+// Network errors worth another attempt
+const RETRYABLE_NETWORK_ERRORS = ['ECONNRESET', 'ETIMEDOUT', 'ECONNABORTED', 'ECONNREFUSED', 'EAI_AGAIN', 'ENOTFOUND'];
+
+/**
+ * Delay function for backoff
+ * @param {number} ms - Milliseconds to delay
+ * @returns {Promise} - Promise that resolves after the delay
+ */
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Parse a Retry-After header
+ * @param {string} value - Header value, in seconds or as an HTTP date
+ * @returns {number|null} - Milliseconds to wait, or null if missing or invalid
+ */
+function parseRetryAfter(value) {
+    if (!value) return null;
+
+    const seconds = Number(value);
+    if (!isNaN(seconds)) {
+        return Math.max(0, seconds * 1000);
+    }
+
+    const date = Date.parse(value);
+    if (!isNaN(date)) {
+        return Math.max(0, date - Date.now());
+    }
+
+    return null;
+}
+
+/**
+ * Backoff delay for a retry, with jitter so parallel callers don't retry in lockstep
+ * @param {number} attempt - Retry number, starting at 1
+ * @returns {number} - Milliseconds to wait
+ */
+function getBackoffDelay(attempt) {
+    const exponential = BASE_RETRY_DELAY * Math.pow(2, attempt - 1);
+    return Math.min(MAX_RETRY_DELAY, exponential + Math.floor(Math.random() * BASE_RETRY_DELAY));
+}
+
+/**
+ * Get a readable message from an API error response
+ * @param {*} data - Response body
+ * @param {string} fallback - Message used when the body has none
+ * @returns {string} - Error message
+ */
+function getErrorMessage(data, fallback) {
+    if (data && typeof data === 'object') {
+        // Bigin wraps record-level errors in data[]
+        const first = Array.isArray(data.data) && data.data[0] ? data.data[0] : data;
+        return first.message || first.error_description || first.error || data.message || fallback;
+    }
+
+    return typeof data === 'string' && data ? data : fallback;
+}
+
+/**
+ * Check whether a response means the API is rate limiting us
+ * Zoho sometimes reports this with a 400 and a TOO_MANY_REQUESTS code
+ * @param {number} status - HTTP status
+ * @param {*} data - Response body
+ * @returns {boolean} - True if rate limited
+ */
+function isRateLimitResponse(status, data) {
+    if (status === 429) return true;
+    return Boolean(data && typeof data === 'object' && data.code === 'TOO_MANY_REQUESTS');
+}
+
+/**
+ * Turn an axios error into a typed API error
+ * @param {string} provider - API name
+ * @param {Error} error - Axios error
+ * @returns {Error} - Typed error
+ */
+function toApiError(provider, error) {
+    if (!error.response) {
+        return new ApiError(`${provider} request failed: ${error.message}`, { provider, cause: error });
+    }
+
+    const { status, data, headers } = error.response;
+    const message = getErrorMessage(data, error.message);
+    const options = { provider, status, details: data, cause: error };
+
+    if (isRateLimitResponse(status, data)) {
+        const retryAfter = parseRetryAfter(headers && headers['retry-after']);
+        return new RateLimitError(`${provider} rate limit exceeded`, {
+            ...options,
+            retryAfter: retryAfter === null ? null : Math.ceil(retryAfter / 1000)
+        });
+    }
+
+    if (status === 401 || status === 403) {
+        return new AuthError(`${provider} authentication failed: ${message}`, options);
+    }
+
+    if (status === 400 || status === 422) {
+        return new ValidationError(`${provider} rejected the request: ${message}`, options);
+    }
+
+    return new ApiError(`${provider} request failed with status ${status}: ${message}`, options);
+}
+
+/**
+ * Check whether a failed attempt should be retried
+ * @param {Error} error - Axios error
+ * @param {boolean} idempotent - Whether repeating the request is safe
+ * @returns {boolean} - True if it's worth another attempt
+ */
+function isRetryable(error, idempotent) {
+    if (!error.response) {
+        // The request may have reached the API, so only repeat it if that's safe
+        return idempotent && RETRYABLE_NETWORK_ERRORS.includes(error.code);
+    }
+
+    const { status, data } = error.response;
+
+    // Rate limited requests were never processed
+    if (isRateLimitResponse(status, data)) return true;
+
+    return idempotent && status >= 500;
+}
+
+/**
+ * Create a client for one API
+ * @param {Object} options - Client options
+ * @param {string} options.provider - API name, used in errors and logs
+ * @param {string} options.baseURL - Base URL prepended to request paths
+ * @param {Function} options.getHeaders - Returns headers for each attempt (may be async)
+ * @param {Function} options.onUnauthorized - Called with the rejected headers on a 401; the request is retried once
+ * @param {Function} options.getLimiterName - Returns the rate limiter bucket for a method and URL
+ * @param {boolean} options.idempotentPosts - Whether POST requests are safe to repeat by default
+ * @returns {Object} - Client with request, get, post, put and delete methods
+ */
+function createClient({ provider, baseURL, getHeaders, onUnauthorized, getLimiterName, idempotentPosts = false }) {
+    /**
+     * Send a request, retrying with backoff where it's safe
+     * @param {Object} config - Axios request config (url is relative to the base URL)
+     * @param {boolean} config.idempotent - Override whether the request is safe to repeat
+     * @returns {Promise<Object>} - Axios response
+     */
+    async function request(config) {
+        const { idempotent: idempotentOverride, ...axiosConfig } = config;
+        const method = (axiosConfig.method || 'get').toLowerCase();
+        const idempotent = idempotentOverride !== undefined ? idempotentOverride :
+            (method !== 'post' || idempotentPosts);
+
+        const limiter = getLimiterName ? rateLimiter.getLimiter(getLimiterName(method, axiosConfig.url)) : null;
+        let refreshedAuth = false;
+
+        for (let attempt = 0; ; attempt++) {
+            // Every attempt, retries included, counts against the provider's quota
+            if (limiter) {
+                await limiter.acquire();
+            }
+
+            const headers = getHeaders ? await getHeaders() : {};
+
+            try {
+                return await axios.request({
+                    ...axiosConfig,
+                    method,
+                    url: `${baseURL}${axiosConfig.url}`,
+                    headers: { ...headers, ...axiosConfig.headers }
+                });
+            } catch (error) {
+                const status = error.response && error.response.status;
+
+                // Expired or revoked token: refresh once and try again
+                if (status === 401 && onUnauthorized && !refreshedAuth) {
+                    refreshedAuth = true;
+                    await onUnauthorized(headers);
+                    continue;
+                }
+
+                if (attempt >= MAX_RETRIES || !isRetryable(error, idempotent)) {
+                    throw toApiError(provider, error);
+                }
+
+                const retryAfter = error.response ? parseRetryAfter(error.response.headers['retry-after']) : null;
+                const rateLimited = Boolean(error.response && isRateLimitResponse(status, error.response.data));
+                const wait = retryAfter !== null ? retryAfter : getBackoffDelay(attempt + 1);
+
+                // Hold back every caller of this bucket, not just this request
+                if (rateLimited && limiter) {
+                    limiter.pause(wait);
+                }
+
+                // Don't hold the caller for longer than the cap; let it decide when to come back
+                if (retryAfter !== null && retryAfter > MAX_RETRY_DELAY) {
+                    throw toApiError(provider, error);
+                }
+
+                console.log(`${provider} request to ${axiosConfig.url} failed (${status || error.code}), retrying in ${wait}ms`);
+
+                // A paused limiter already makes the next acquire() wait
+                if (!(rateLimited && limiter)) {
+                    await delay(wait);
+                }
+            }
+        }
+    }
+
+    return {
+        request,
+        get: (url, config = {}) => request({ ...config, method: 'get', url }),
+        post: (url, data, config = {}) => request({ ...config, method: 'post', url, data }),
+        put: (url, data, config = {}) => request({ ...config, method: 'put', url, data }),
+        delete: (url, config = {}) => request({ ...config, method: 'delete', url })
+    };
+}
+
+// Apollo requests are searches and lookups, so they're safe to repeat
+const apolloClient = createClient({
+    provider: 'apollo',
+    baseURL: APOLLO_BASE_URL,
+    // Enrichment (people/match) has its own quota, separate from searches
+    getLimiterName: (method, url) => (url.includes('/match') ? 'apollo-match' : 'apollo-search'),
+    idempotentPosts: true
+});
+
+const biginClient = createClient({
+    provider: 'bigin',
+    baseURL: BIGIN_BASE_URL,
+    getLimiterName: method => (method === 'get' ? 'bigin-read' : 'bigin-write'),
+    getHeaders: () => tokenManager.getHeaders(),
+    onUnauthorized: headers => {
+        const rejected = (headers.Authorization || '').replace('Bearer ', '');
+        tokenManager.invalidate(rejected);
+    }
+});
+
+module.exports = {
+    createClient,
+    parseRetryAfter,
+    apolloClient,
+    biginClient
+};
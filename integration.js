@@ -6,39 +6,122 @@
  */
 
 require('dotenv').config();
-const axios = require('axios');
-const fs = require('fs');
-const path = require('path');
 const fieldMapping = require('./field-mapping');
+const mappingConfig = require('./field-mapping-config');
+const tokenManager = require('./token-manager');
+const mergePolicies = require('./merge-policies');
+const accountMatcher = require('./account-matcher');
+const contactMatcher = require('./contact-matcher');
+const phoneNormalizer = require('./phone-normalizer');
+const contactRules = require('./contact-rules');
+const notes = require('./notes');
+const { apolloClient, biginClient } = require('./http-client');
+const { AuthError, isRateLimitError } = require('./api-errors');
 
 // API configuration
 const APOLLO_API_KEY = process.env.APOLLO_API_KEY;
-const BIGIN_ACCESS_TOKEN = process.env.BIGIN_ACCESS_TOKEN;
-const BIGIN_REFRESH_TOKEN = process.env.BIGIN_REFRESH_TOKEN;
-const BIGIN_CLIENT_ID = process.env.BIGIN_CLIENT_ID;
-const BIGIN_CLIENT_SECRET = process.env.BIGIN_CLIENT_SECRET;
-
-// API URLs
-const APOLLO_BASE_URL = 'https://api.apollo.io/v1';
-const BIGIN_BASE_URL = process.env.BIGIN_BASE_URL || 'https://www.zohoapis.com/bigin/v1';
-const BIGIN_AUTH_URL = 'https://accounts.zoho.com/oauth/v2/token';
-
-// Token cache for Bigin
-let biginAccessToken = process.env.BIGIN_ACCESS_TOKEN || null;
-let biginTokenExpiry = null;
-let lastTokenRefresh = 0;
+
+// Contacts cache for Bigin
 let biginContacts = null;
 let lastContactsFetch = 0;
 
-// Rate limiting protection
-const RATE_LIMIT_COOLDOWN = 60000; // 1 minute cooldown
+// Accounts cache used for account matching
+let biginAccountIndex = null;
+let lastAccountIndexFetch = 0;
+const ACCOUNT_INDEX_LIFETIME = 5 * 60 * 1000; // 5 minutes
+
+// Account fields read into the index: the ones mapApolloOrgToBigin fills, so
+// accounts missing details can be backfilled without reading each account
+const ACCOUNT_INDEX_FIELDS = [
+    'Account_Name', 'Website', 'Industry', 'Phone', 'Description',
+    'Billing_Street', 'Billing_City', 'Billing_State', 'Billing_Code', 'Billing_Country',
+    'Employees', 'Annual_Revenue'
+];
+
+// Users cache used for owner assignment
+let biginUsers = null;
+let lastUsersFetch = 0;
+const USERS_LIFETIME = 60 * 60 * 1000; // 1 hour
+
+// Cache for Bigin field metadata, per module
+const biginFields = new Map();
+const FIELDS_LIFETIME = 60 * 60 * 1000; // 1 hour
 
 /**
- * Delay function for rate limiting
- * @param {number} ms - Milliseconds to delay
- * @returns {Promise} - Promise that resolves after the delay
+ * Build Apollo people search parameters from the Apollo tab filters
+ * @param {Object} filters - Search filters
+ * @param {number} filters.page - Page number
+ * @param {number} filters.perPage - Contacts per page
+ * @param {string} filters.jobTitle - Job title
+ * @param {string} filters.region - Country code, country, state or city
+ * @param {string} filters.industry - Apollo industry tag ID
+ * @param {string} filters.keywords - Keywords
+ * @returns {Object} - Parameters for searchApolloContacts
  */
-const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+function buildApolloSearchParams({ page = 1, perPage = 25, jobTitle = '', region = '', industry = '', keywords = '' }) {
+    const searchParams = {
+        page,
+        per_page: perPage
+    };
+
+    if (jobTitle) {
+        // Use person_titles instead of q_titles for job title filtering
+        // This should be an array of strings according to Apollo API docs
+        searchParams.person_titles = [jobTitle];
+    }
+
+    if (region) {
+        // Country codes, countries, states and cities all filter on the person's location
+        searchParams.person_locations = [region];
+    }
+
+    if (industry) {
+        searchParams.q_industry_tag_ids = [industry];
+    }
+
+    if (keywords) {
+        // Apollo API supports keyword search with q_keywords
+        searchParams.q_keywords = keywords;
+    }
+
+    return searchParams;
+}
+
+/**
+ * Build Apollo organization search parameters from the Organizations tab filters
+ * @param {Object} filters - Search filters
+ * @param {number} filters.page - Page number
+ * @param {number} filters.perPage - Organizations per page
+ * @param {string} filters.name - Organization name
+ * @param {string} filters.region - Country, state or city of the headquarters
+ * @param {string} filters.employees - Employee count range, e.g. "11,50"
+ * @param {string} filters.keywords - Keyword tags, e.g. "virtual reality"
+ * @returns {Object} - Parameters for searchApolloOrganizations
+ */
+function buildApolloOrganizationSearchParams({ page = 1, perPage = 25, name = '', region = '', employees = '', keywords = '' }) {
+    const searchParams = {
+        page,
+        per_page: perPage
+    };
+
+    if (name) {
+        searchParams.q_organization_name = name;
+    }
+
+    if (region) {
+        searchParams.organization_locations = [region];
+    }
+
+    if (employees) {
+        searchParams.organization_num_employees_ranges = [employees];
+    }
+
+    if (keywords) {
+        searchParams.q_organization_keyword_tags = [keywords];
+    }
+
+    return searchParams;
+}
 
 /**
  * Search for contacts in Apollo.io
@@ -49,7 +132,7 @@ async function searchApolloContacts(searchParams = {}) {
     try {
         // Ensure we have an API key
         if (!APOLLO_API_KEY) {
-            throw new Error('Apollo API key not found. Please add it to your .env file.');
+            throw new AuthError('Apollo API key not found. Please add it to your .env file.', { provider: 'apollo' });
         }
 
         // Build search parameters with defaults
@@ -58,10 +141,10 @@ async function searchApolloContacts(searchParams = {}) {
             ...searchParams
         };
 
-        console.log('Sending Apollo API request with params:', JSON.stringify(params, null, 2));
+        console.log('Sending Apollo API request with params:', JSON.stringify(searchParams, null, 2));
 
         // Call Apollo API for person search
-        const response = await axios.post(`${APOLLO_BASE_URL}/mixed_people/search`, params);
+        const response = await apolloClient.post('/mixed_people/search', params);
 
         // Log response status and summary for debugging
         console.log(`Apollo API response status: ${response.status}`);
@@ -77,8 +160,8 @@ async function searchApolloContacts(searchParams = {}) {
         return [];
     } catch (error) {
         console.error('Error searching Apollo contacts:', error.message);
-        if (error.response && error.response.data) {
-            console.error('Apollo API error details:', error.response.data);
+        if (error.details) {
+            console.error('Apollo API error details:', error.details);
         }
         throw error;
     }
@@ -91,125 +174,29 @@ async function searchApolloContacts(searchParams = {}) {
  */
 async function enrichContactWithApollo(contactInfo) {
     try {
-        const response = await axios.post(`${APOLLO_BASE_URL}/people/match`, {
+        const response = await apolloClient.post('/people/match', {
             api_key: APOLLO_API_KEY,
             first_name: contactInfo.first_name,
             last_name: contactInfo.last_name,
             email: contactInfo.email,
-            organization_name: contactInfo.organization_name
+            organization_name: contactInfo.organization_name,
+            linkedin_url: contactInfo.linkedin_url
         });
 
         return response.data.person;
     } catch (error) {
-        console.error('Error enriching contact with Apollo:', error.response && error.response.data || error.message);
+        console.error('Error enriching contact with Apollo:', error.details || error.message);
         throw error;
     }
 }
 
 /**
- * Refresh Bigin access token using refresh token
- * @returns {Promise<string>} - New access token
+ * Get a valid Bigin access token
+ * Kept for existing callers; the token manager handles caching and refresh
+ * @returns {Promise<string>} - Access token
  */
 async function refreshBiginToken() {
-    try {
-        const now = Date.now();
-
-        // Check if we have a valid token
-        if (biginAccessToken && biginTokenExpiry && biginTokenExpiry > now) {
-            return biginAccessToken;
-        }
-
-        // Check if we're within the rate limit cooldown period
-        if (now - lastTokenRefresh < RATE_LIMIT_COOLDOWN) {
-            console.log('Rate limit protection: Waiting to refresh token...');
-            throw new Error('Rate limit protection active. Please try again soon.');
-        }
-
-        // Update last refresh timestamp
-        lastTokenRefresh = now;
-
-        // Check if we have the required credentials
-        if (!BIGIN_CLIENT_ID || !BIGIN_CLIENT_SECRET || !BIGIN_REFRESH_TOKEN) {
-            throw new Error('Bigin credentials not found. Please check your .env file.');
-        }
-
-        // Build refresh token request
-        const params = new URLSearchParams();
-        params.append('refresh_token', BIGIN_REFRESH_TOKEN);
-        params.append('client_id', BIGIN_CLIENT_ID);
-        params.append('client_secret', BIGIN_CLIENT_SECRET);
-        params.append('grant_type', 'refresh_token');
-
-        // Call Zoho/Bigin API to refresh token
-        const response = await axios.post('https://accounts.zoho.com/oauth/v2/token', params);
-
-        if (response.data && response.data.access_token) {
-            // Save the new token
-            biginAccessToken = response.data.access_token;
-
-            // Set expiry (default is 1 hour, subtract 5 minutes for safety)
-            const expiresIn = response.data.expires_in || 3600;
-            biginTokenExpiry = now + (expiresIn * 1000) - (5 * 60 * 1000);
-
-            // Update the .env file with the new token
-            updateEnvFile('BIGIN_ACCESS_TOKEN', biginAccessToken);
-
-            return biginAccessToken;
-        } else {
-            throw new Error('Failed to refresh Bigin access token');
-        }
-    } catch (error) {
-        // Format error for better debugging
-        if (error.response && error.response.data) {
-            const errorData = error.response.data;
-            console.error('Error refreshing Bigin token:', errorData);
-
-            // Check for rate limit errors
-            if (errorData.error === 'Access Denied' &&
-                errorData.error_description &&
-                errorData.error_description.includes('too many requests')) {
-                // Set a longer cooldown for rate limit errors
-                lastTokenRefresh = Date.now();
-            }
-
-            throw new Error(errorData.error_description || errorData.error || error.message);
-        } else {
-            console.error('Error refreshing Bigin token:', error.message);
-            throw error;
-        }
-    }
-}
-
-/**
- * Update .env file with new value
- * @param {string} key - Key to update
- * @param {string} value - New value
- */
-function updateEnvFile(key, value) {
-    try {
-        const envPath = path.resolve(process.cwd(), '.env');
-
-        // Check if file exists
-        if (fs.existsSync(envPath)) {
-            let envContent = fs.readFileSync(envPath, 'utf8');
-
-            // Check if key exists
-            const regex = new RegExp(`^${key}=.*`, 'm');
-
-            if (regex.test(envContent)) {
-                // Update existing key
-                envContent = envContent.replace(regex, `${key}=${value}`);
-            } else {
-                // Add new key
-                envContent += `\n${key}=${value}`;
-            }
-
-            // Write updated content
-            fs.writeFileSync(envPath, envContent);
-        }
-    } catch (error) {
-        console.error('Error updating .env file:', error.message);
-    }
+    return tokenManager.getAccessToken();
 }
 
 /**
@@ -217,17 +204,11 @@ function updateEnvFile(key, value) {
  * @returns {Object} - Headers for Bigin API calls
  */
 async function getBiginHeaders() {
-    // If token is undefined or potentially expired, refresh it
-    const accessToken = process.env.BIGIN_ACCESS_TOKEN;
-
-    return {
-        'Authorization': `Bearer ${accessToken}`,
-        'Content-Type': 'application/json',
-    };
+    return tokenManager.getHeaders();
 }
 
 /**
- * Get contacts from Bigin with caching to avoid rate limits
+ * Get contacts from Bigin, cached for a few minutes to save API calls
  * @param {boolean} forceRefresh - Force refresh the contacts cache
  * @returns {Promise<Array>} - Array of Bigin contacts
  */
@@ -242,26 +223,11 @@ async function getBiginContacts(forceRefresh = false) {
             return biginContacts;
         }
 
-        // Check if we're within the rate limit cooldown period
-        if (now - lastContactsFetch < RATE_LIMIT_COOLDOWN) {
-            console.log('Rate limit protection: Using cached contacts or empty array');
-            return biginContacts || [];
-        }
-
         // Update last fetch timestamp
         lastContactsFetch = now;
 
-        // Ensure we have a valid token
-        const token = await refreshBiginToken();
-
-        // Set headers
-        const headers = {
-            'Authorization': `Bearer ${token}`,
-            'Content-Type': 'application/json'
-        };
-
-        // Call Bigin API
-        const response = await axios.get(`${BIGIN_BASE_URL}/Contacts`, { headers });
+        // Call Bigin API (paced by the shared Bigin read limiter)
+        const response = await biginClient.get('/Contacts');
 
         if (response.data && response.data.data) {
             // Cache the contacts
@@ -278,55 +244,276 @@ async function getBiginContacts(forceRefresh = false) {
         }
 
         console.error('Error fetching Bigin contacts:', error.message);
-        if (error.response && error.response.data) {
-            console.error('Bigin API error details:', error.response.data);
+        if (error.details) {
+            console.error('Bigin API error details:', error.details);
         }
         throw error;
     }
 }
 
+/**
+ * Get every Bigin account, for matching organizations to accounts
+ * Cached for a few minutes so a sync reads the account list once
+ * @param {boolean} forceRefresh - Reload the accounts from Bigin
+ * @returns {Promise<Array>} - Bigin accounts
+ */
+async function getBiginAccountIndex(forceRefresh = false) {
+    if (!forceRefresh && biginAccountIndex && (Date.now() - lastAccountIndexFetch < ACCOUNT_INDEX_LIFETIME)) {
+        return biginAccountIndex;
+    }
+
+    const accounts = [];
+    let page = 1;
+    let moreRecords = true;
+
+    while (moreRecords) {
+        const response = await biginClient.get(`/Accounts?fields=${ACCOUNT_INDEX_FIELDS.join(',')}&page=${page}&per_page=200`);
+        const data = response.data || {};
+
+        accounts.push(...(data.data || []));
+        moreRecords = Boolean(data.info && data.info.more_records);
+        page++;
+    }
+
+    biginAccountIndex = accounts;
+    lastAccountIndexFetch = Date.now();
+    return biginAccountIndex;
+}
+
+/**
+ * Get the Bigin users contacts can be assigned to
+ * Cached for an hour since users rarely change
+ * @param {boolean} forceRefresh - Reload the users from Bigin
+ * @returns {Promise<Array>} - Bigin users ({ id, full_name, email, status, ... })
+ */
+async function getBiginUsers(forceRefresh = false) {
+    if (!forceRefresh && biginUsers && (Date.now() - lastUsersFetch < USERS_LIFETIME)) {
+        return biginUsers;
+    }
+
+    const users = [];
+    let page = 1;
+    let moreRecords = true;
+
+    while (moreRecords) {
+        const response = await biginClient.get(`/users?type=AllUsers&page=${page}&per_page=200`);
+        const data = response.data || {};
+
+        users.push(...(data.users || []));
+        moreRecords = Boolean(data.info && data.info.more_records);
+        page++;
+    }
+
+    biginUsers = users;
+    lastUsersFetch = Date.now();
+    return biginUsers;
+}
+
+/**
+ * Add newly created accounts to the cached account index
+ * @param {Array<Object>} accounts - Accounts with id, Account_Name and Website
+ */
+function addToBiginAccountIndex(accounts) {
+    if (biginAccountIndex) {
+        biginAccountIndex.push(...accounts);
+    }
+}
+
+/**
+ * Update accounts in the cached account index after they were written
+ * @param {Array<Object>} accounts - Accounts with id and the fields that changed
+ */
+function updateBiginAccountIndex(accounts) {
+    if (!biginAccountIndex) return;
+
+    accounts.forEach(({ id, ...fields }) => {
+        const cached = biginAccountIndex.find(account => account.id === id);
+        if (cached) Object.assign(cached, fields);
+    });
+}
+
+/**
+ * Work out which details an existing account can be backfilled with
+ * Accounts created by older syncs only have a name; the Accounts merge policies
+ * decide which Apollo values are written (by default only empty fields are filled)
+ * @param {Object} account - Account from the account index
+ * @param {Object} biginAccount - Bigin account data mapped from the Apollo organization
+ * @returns {Object} - Merge result from mergePolicies.mergeRecord
+ */
+function getBiginAccountBackfill(account, biginAccount) {
+    // The account is already linked by name, so its name is never part of a backfill
+    const { Account_Name, ...details } = biginAccount;
+    return mergePolicies.mergeRecord('Accounts', details, account);
+}
+
+/**
+ * Backfill an existing account with details from the Apollo organization
+ * A failed backfill is logged rather than failing the contact it was synced for
+ * @param {Object} account - Account from the account index
+ * @param {Object} biginAccount - Bigin account data mapped from the Apollo organization
+ * @param {Array<Object>} snapshots - Sync run snapshots; the account's previous values are added when it's written
+ * @returns {Promise<Object>} - { changedFields, error }
+ */
+async function backfillBiginAccount(account, biginAccount, snapshots = []) {
+    const merge = getBiginAccountBackfill(account, biginAccount);
+
+    if (merge.changedFields.length === 0) {
+        return { changedFields: [], error: null };
+    }
+
+    try {
+        await biginClient.put(`/Accounts/${account.id}`, { data: [merge.payload] });
+        snapshots.push({
+            module: 'Accounts',
+            id: account.id,
+            action: 'update',
+            label: account.Account_Name,
+            before: mergePolicies.getPreviousValues(merge.changes),
+            after: merge.payload
+        });
+        updateBiginAccountIndex([{ id: account.id, ...merge.payload }]);
+        return { changedFields: merge.changedFields, error: null };
+    } catch (error) {
+        if (isRateLimitError(error)) throw error;
+
+        console.error('Error backfilling Bigin account:', error.details || error.message);
+        return { changedFields: [], error: error.message };
+    }
+}
+
+/**
+ * Find the Bigin account an organization belongs to, by website domain and then by name
+ * @param {Object} identity - Organization identity ({ name, domain })
+ * @returns {Promise<Object>} - Match result from accountMatcher.matchAccount
+ */
+async function findMatchingBiginAccount(identity) {
+    const accounts = await getBiginAccountIndex();
+    return accountMatcher.matchAccount(identity, accounts);
+}
+
+/**
+ * Find a Bigin contact by email address
+ * @param {string} email - Email to look up
+ * @returns {Promise<Object|null>} - Matching contact, if any
+ */
+async function findBiginContactByEmail(email) {
+    const response = await biginClient.get(
+        `/Contacts/search?criteria=Email:equals:${encodeURIComponent(email)}`
+    );
+
+    if (response.data && response.data.data && response.data.data.length > 0) {
+        return response.data.data[0];
+    }
+
+    return null;
+}
+
+/**
+ * Describe how a contact's account was resolved, for the sync result
+ * @param {Object|null} accountMatch - Result of findMatchingBiginAccount
+ * @param {Object|null} backfill - Result of backfillBiginAccount
+ * @returns {Object|null} - { status, matchedOn, score, reason, candidates, backfilled, backfillError }
+ */
+function describeAccountMatch(accountMatch, backfill) {
+    if (!accountMatch) return null;
+
+    return {
+        status: accountMatch.status,
+        matchedOn: accountMatch.matchedOn,
+        score: accountMatch.score,
+        reason: accountMatch.reason || null,
+        candidates: accountMatch.candidates,
+        backfilled: backfill ? backfill.changedFields : [],
+        backfillError: backfill ? backfill.error : null
+    };
+}
+
 /**
  * Create contact in Bigin
  * @param {Object} contactData - Contact data to create
+ * @param {Object} options - Options
+ * @param {Object} options.organization - Organization identity ({ name, domain, website }) used to match the account
+ * @param {Object} options.accountDetails - Bigin account data from the contact's Apollo organization, used to create or backfill the account
+ * @param {Function} options.assignOwner - Called only when a new contact is created; returns { owner, strategy } or null
+ * @param {Array<Object>} options.snapshots - Sync run snapshots; every record written is added (see sync-runs.js)
  * @returns {Promise<Object>} - Created contact
  */
-async function createBiginContact(contactData) {
-    try {
-        // Ensure we have a valid token
-        const token = await refreshBiginToken();
-
-        // Set headers
-        const headers = {
-            'Authorization': `Bearer ${token}`,
-            'Content-Type': 'application/json'
-        };
+async function createBiginContact(contactData, { organization, accountDetails, assignOwner, snapshots = [] } = {}) {
+    const label = [contactData.First_Name, contactData.Last_Name].filter(Boolean).join(' ') || contactData.Email;
 
-        // Check if the contact has an Account_Name that needs to be created first
+    try {
+        // Match the account first without writing anything, so a contact left for review leaves no account behind
         let accountId = null;
+        let accountMatch = null;
+        let backfill = null;
+        let identity = null;
 
         if (contactData.Account_Name && contactData.Account_Name.name) {
-            // First check if the account already exists
-            const accountName = contactData.Account_Name.name;
-            const accountResponse = await axios.get(
-                `${BIGIN_BASE_URL}/Accounts/search?criteria=Account_Name:equals:${encodeURIComponent(accountName)}`, { headers }
-            );
+            identity = organization || { name: contactData.Account_Name.name, domain: '' };
+            accountMatch = await findMatchingBiginAccount(identity);
+
+            if (accountMatch.status === 'matched') {
+                accountId = accountMatch.account.id;
+            } else if (accountMatch.status === 'ambiguous') {
+                // Don't guess between several accounts; leave the contact unlinked and report it
+                console.warn(`Ambiguous account match for "${identity.name}": ${accountMatch.reason}`);
+                delete contactData.Account_Name;
+            }
+        }
+
+        // Check if contact already exists (by email, or by LinkedIn, phone and name without one)
+        let existingContact = null;
+        let duplicate = null;
+
+        if (contactData.Email) {
+            existingContact = await findBiginContactByEmail(contactData.Email);
+        } else {
+            const match = await findDuplicateBiginContact(accountId ?
+                { ...contactData, Account_Name: { ...contactData.Account_Name, id: accountId } } :
+                contactData);
+
+            if (match.status !== 'none') {
+                duplicate = {
+                    status: match.status,
+                    confidence: match.confidence,
+                    matchedOn: match.matchedOn,
+                    candidates: match.candidates
+                };
+            }
 
-            if (accountResponse.data && accountResponse.data.data && accountResponse.data.data.length > 0) {
-                // Account exists, use its ID
-                accountId = accountResponse.data.data[0].id;
-            } else {
-                // Account doesn't exist, create it
-                const accountData = {
-                    Account_Name: accountName
+            // Possible duplicates are left for someone to review instead of creating another record
+            if (match.status === 'review') {
+                return {
+                    id: null,
+                    accountId,
+                    account: describeAccountMatch(accountMatch, null),
+                    needsReview: true,
+                    duplicate,
+                    changedFields: []
                 };
+            }
 
-                const createAccountResponse = await axios.post(
-                    `${BIGIN_BASE_URL}/Accounts`, { data: [accountData] }, { headers }
-                );
+            existingContact = match.contact;
+        }
 
-                if (createAccountResponse.data && createAccountResponse.data.data && createAccountResponse.data.data.length > 0) {
-                    accountId = createAccountResponse.data.data[0].details.id;
-                }
+        if (accountMatch && accountMatch.status === 'matched') {
+            // Account exists, fill in what it's missing
+            if (accountDetails) {
+                backfill = await backfillBiginAccount(accountMatch.account, accountDetails, snapshots);
+            }
+        } else if (accountMatch && accountMatch.status !== 'ambiguous') {
+            // Account doesn't exist, create it with the organization's details
+            const accountData = { ...accountDetails, Account_Name: identity.name };
+            if (!accountData.Website && identity.website) {
+                accountData.Website = identity.website;
+            }
+
+            const createAccountResponse = await biginClient.post('/Accounts', { data: [accountData] });
+
+            if (createAccountResponse.data && createAccountResponse.data.data && createAccountResponse.data.data.length > 0) {
+                accountId = createAccountResponse.data.data[0].details.id;
+                snapshots.push({ module: 'Accounts', id: accountId, action: 'create', label: accountData.Account_Name, after: accountData });
+                addToBiginAccountIndex([{ id: accountId, ...accountData }]);
             }
         }
 
@@ -335,104 +522,549 @@ async function createBiginContact(contactData) {
             contactData.Account_Name = { id: accountId };
         }
 
-        // Check if contact already exists (by email)
-        if (contactData.Email) {
-            const searchResponse = await axios.get(
-                `${BIGIN_BASE_URL}/Contacts/search?criteria=Email:equals:${encodeURIComponent(contactData.Email)}`, { headers }
-            );
-
-            if (searchResponse.data && searchResponse.data.data && searchResponse.data.data.length > 0) {
-                // Contact exists, update it
-                const contactId = searchResponse.data.data[0].id;
-
-                const updateResponse = await axios.put(
-                    `${BIGIN_BASE_URL}/Contacts/${contactId}`, { data: [contactData] }, { headers }
-                );
+        const account = describeAccountMatch(accountMatch, backfill);
+
+        if (existingContact) {
+            // Contact exists, update only the fields its merge policies allow
+            const contactId = existingContact.id;
+            const merge = mergePolicies.mergeRecord('Contacts', contactData, existingContact);
+
+            if (merge.changedFields.length === 0) {
+                return {
+                    id: contactId,
+                    accountId,
+                    account,
+                    duplicate,
+                    isUpdate: true,
+                    changedFields: [],
+                    changes: [],
+                    skipped: merge.skipped
+                };
+            }
 
-                if (updateResponse.data && updateResponse.data.data && updateResponse.data.data.length > 0) {
-                    return {
-                        ...updateResponse.data.data[0],
-                        id: contactId,
-                        isUpdate: true
-                    };
-                }
+            const updateResponse = await biginClient.put(`/Contacts/${contactId}`, { data: [merge.payload] });
+            snapshots.push({
+                module: 'Contacts',
+                id: contactId,
+                action: 'update',
+                label,
+                before: mergePolicies.getPreviousValues(merge.changes),
+                after: merge.payload
+            });
+
+            if (updateResponse.data && updateResponse.data.data && updateResponse.data.data.length > 0) {
+                return {
+                    ...updateResponse.data.data[0],
+                    id: contactId,
+                    accountId,
+                    account,
+                    duplicate,
+                    isUpdate: true,
+                    changedFields: merge.changedFields,
+                    changes: merge.changes,
+                    skipped: merge.skipped
+                };
             }
         }
 
+        // New contacts get their owner from the owner rules; existing ones keep theirs
+        const ownerAssignment = assignOwner ? assignOwner() : null;
+        if (ownerAssignment) {
+            contactData.Owner = { id: ownerAssignment.owner.id };
+        }
+
         // Create new contact
-        const response = await axios.post(
-            `${BIGIN_BASE_URL}/Contacts`, { data: [contactData] }, { headers }
-        );
+        const response = await biginClient.post('/Contacts', { data: [contactData] });
 
         if (response.data && response.data.data && response.data.data.length > 0) {
+            snapshots.push({
+                module: 'Contacts',
+                id: response.data.data[0].details && response.data.data[0].details.id,
+                action: 'create',
+                label,
+                after: contactData
+            });
+
             // Update contacts cache with the new contact
             if (biginContacts) {
                 biginContacts.push(response.data.data[0].details);
             }
 
-            return response.data.data[0].details;
+            return {
+                ...response.data.data[0].details,
+                accountId,
+                account,
+                duplicate,
+                owner: ownerAssignment,
+                changedFields: Object.keys(contactData)
+            };
         } else {
             throw new Error('Failed to create contact in Bigin');
         }
     } catch (error) {
         console.error('Error creating Bigin contact:', error.message);
-        if (error.response && error.response.data) {
-            console.error('Bigin API error details:', error.response.data);
+        if (error.details) {
+            console.error('Bigin API error details:', error.details);
         }
         throw error;
     }
 }
 
+/**
+ * Compare a Bigin payload against an existing Bigin record field by field
+ * @param {Object} proposed - Bigin payload that would be written
+ * @param {Object|null} existing - Existing Bigin record (null when the record would be created)
+ * @returns {Array} - Changed fields with their current and proposed values
+ */
+function diffBiginRecord(proposed, existing) {
+    const normalize = value => {
+        if (value === null || value === undefined) return '';
+        // Lookup fields such as Account_Name are compared by name
+        if (typeof value === 'object' && !Array.isArray(value)) return value.name || value.id || '';
+        return String(value);
+    };
+
+    const changes = [];
+
+    Object.entries(proposed).forEach(([field, value]) => {
+        const current = existing ? existing[field] : null;
+
+        if (normalize(current) !== normalize(value)) {
+            changes.push({
+                field,
+                current: current === undefined ? null : current,
+                proposed: value
+            });
+        }
+    });
+
+    return changes;
+}
+
+// Bigin limits: criteria conditions per search and records per write request
+const BIGIN_SEARCH_CRITERIA_LIMIT = 10;
+const BIGIN_WRITE_LIMIT = 100;
+
+/**
+ * Escape a value for use in a Bigin search criteria expression
+ * @param {string} value - Value to escape
+ * @returns {string} - Escaped value
+ */
+function escapeCriteriaValue(value) {
+    return String(value).replace(/([(),\\])/g, '\\$1');
+}
+
+/**
+ * Find Bigin records whose field equals any of the given values
+ * Values are combined into OR criteria, up to Bigin's limit of conditions per search,
+ * and every page of each search is read
+ * @param {string} module - Bigin module (e.g. Contacts, Accounts)
+ * @param {string} field - Field API name to match
+ * @param {Array<string>} values - Values to look up
+ * @returns {Promise<Array>} - Matching records
+ */
+async function searchBiginRecordsByField(module, field, values) {
+    const uniqueValues = [...new Set(values.filter(Boolean))];
+    const records = [];
+
+    if (uniqueValues.length === 0) {
+        return records;
+    }
+
+    for (let i = 0; i < uniqueValues.length; i += BIGIN_SEARCH_CRITERIA_LIMIT) {
+        const chunk = uniqueValues.slice(i, i + BIGIN_SEARCH_CRITERIA_LIMIT);
+        const conditions = chunk.map(value => `(${field}:equals:${escapeCriteriaValue(value)})`);
+        const criteria = conditions.length === 1 ? conditions[0] : `(${conditions.join('or')})`;
+
+        let page = 1;
+        let moreRecords = true;
+
+        while (moreRecords) {
+            const response = await biginClient.get(
+                `/${module}/search?criteria=${encodeURIComponent(criteria)}&page=${page}&per_page=200`
+            );
+
+            if (response.data && response.data.data) {
+                records.push(...response.data.data);
+            }
+
+            moreRecords = Boolean(response.data && response.data.info && response.data.info.more_records);
+            page++;
+        }
+    }
+
+    return records;
+}
+
+/**
+ * Get Bigin contacts by ID
+ * @param {Array<string>} ids - Bigin contact IDs
+ * @returns {Promise<Array>} - Contacts that were found, in the same order as the IDs
+ */
+async function getBiginContactsByIds(ids) {
+    const contacts = [];
+
+    for (const id of ids) {
+        const response = await biginClient.get(`/Contacts/${encodeURIComponent(id)}`);
+
+        if (response.data && response.data.data && response.data.data.length > 0) {
+            contacts.push(response.data.data[0]);
+        }
+    }
+
+    return contacts;
+}
+
+/**
+ * Get Bigin records of any module by ID
+ * @param {string} module - Bigin module
+ * @param {Array<string>} ids - Record IDs
+ * @returns {Promise<Map>} - ID to record, for the records that still exist
+ */
+async function getBiginRecordsByIds(module, ids) {
+    const records = new Map();
+
+    for (const id of ids) {
+        try {
+            const response = await biginClient.get(`/${module}/${encodeURIComponent(id)}`);
+
+            if (response.data && response.data.data && response.data.data.length > 0) {
+                records.set(id, response.data.data[0]);
+            }
+        } catch (error) {
+            // Deleted records come back as not found
+            if (error.status !== 404) throw error;
+        }
+    }
+
+    return records;
+}
+
+/**
+ * Search Bigin contacts by name, email or company
+ * @param {string} query - Text to search for
+ * @param {Object} options - Paging options
+ * @param {number} options.fromIndex - Index of the first contact to return
+ * @param {number} options.perPage - Contacts per page
+ * @returns {Promise<Object>} - Bigin response body ({ data, info }), empty when nothing matched
+ */
+async function searchBiginContacts(query, { fromIndex = 0, perPage = 200 } = {}) {
+    const criteria = encodeURIComponent(`(Full_Name:contains:${query})OR(Email:contains:${query})OR(Account_Name:contains:${query})`);
+
+    const response = await biginClient.get(
+        `/Contacts/search?criteria=${criteria}&from_index=${fromIndex}&per_page=${perPage}`
+    );
+
+    return response.data || {};
+}
+
+/**
+ * Find existing Bigin contacts that may be the same people as contacts without an email
+ * Searches by LinkedIn URL, phone and last name; contactMatcher scores the candidates.
+ * Phones are searched in their common formats too, since Bigin only matches them exactly
+ * and contacts synced before numbers were normalized keep Apollo's formatting
+ * @param {Array<Object>} contacts - Bigin contact payloads
+ * @returns {Promise<Array>} - Candidate Bigin contacts
+ */
+async function findBiginContactCandidates(contacts) {
+    const phones = contacts.flatMap(contact => (contact.Phone ?
+        phoneNormalizer.getPhoneVariants(contact.Phone, { countries: [contact.Mailing_Country] }) : []));
+
+    const byLinkedIn = await searchBiginRecordsByField('Contacts', 'LinkedIn', contacts.map(contact => contact.LinkedIn));
+    const byPhone = await searchBiginRecordsByField('Contacts', 'Phone', phones);
+    const byName = await searchBiginRecordsByField('Contacts', 'Last_Name', contacts.map(contact => contact.Last_Name));
+
+    return [...byLinkedIn, ...byPhone, ...byName];
+}
+
+/**
+ * Find the existing Bigin contact a contact without an email duplicates
+ * @param {Object} contactData - Bigin contact payload
+ * @returns {Promise<Object>} - Match result from contactMatcher.matchContact
+ */
+async function findDuplicateBiginContact(contactData) {
+    const candidates = await findBiginContactCandidates([contactData]);
+    return contactMatcher.matchContact(contactData, candidates);
+}
+
+/**
+ * Create several Bigin records, up to 100 per request
+ * @param {string} module - Bigin module
+ * @param {Array<Object>} records - Records to create
+ * @returns {Promise<Array>} - Per-record results, in the same order as the input
+ */
+async function createBiginRecords(module, records) {
+    const results = [];
+
+    for (let i = 0; i < records.length; i += BIGIN_WRITE_LIMIT) {
+        const chunk = records.slice(i, i + BIGIN_WRITE_LIMIT);
+        const response = await biginClient.post(`/${module}`, { data: chunk });
+        results.push(...(response.data && response.data.data || []));
+    }
+
+    return results;
+}
+
+/**
+ * Update several existing Bigin records by ID, up to 100 per request
+ * @param {string} module - Bigin module
+ * @param {Array<Object>} records - Records to update, each with its id
+ * @returns {Promise<Array>} - Per-record results, in the same order as the input
+ */
+async function updateBiginRecords(module, records) {
+    const results = [];
+
+    for (let i = 0; i < records.length; i += BIGIN_WRITE_LIMIT) {
+        const chunk = records.slice(i, i + BIGIN_WRITE_LIMIT);
+        const response = await biginClient.put(`/${module}`, { data: chunk });
+        results.push(...(response.data && response.data.data || []));
+    }
+
+    return results;
+}
+
+/**
+ * Delete several Bigin records by ID, up to 100 per request
+ * @param {string} module - Bigin module
+ * @param {Array<string>} ids - IDs of the records to delete
+ * @returns {Promise<Array>} - Per-record results, in the same order as the input
+ */
+async function deleteBiginRecords(module, ids) {
+    const results = [];
+
+    for (let i = 0; i < ids.length; i += BIGIN_WRITE_LIMIT) {
+        const chunk = ids.slice(i, i + BIGIN_WRITE_LIMIT);
+        const response = await biginClient.delete(`/${module}?ids=${chunk.map(encodeURIComponent).join(',')}`);
+        results.push(...(response.data && response.data.data || []));
+    }
+
+    return results;
+}
+
+/**
+ * Insert or update several Bigin records, up to 100 per request
+ * Bigin matches existing records on the duplicate check fields
+ * @param {string} module - Bigin module
+ * @param {Array<Object>} records - Records to upsert
+ * @param {Array<string>} duplicateCheckFields - Fields used to find existing records
+ * @returns {Promise<Array>} - Per-record results, in the same order as the input
+ */
+async function upsertBiginRecords(module, records, duplicateCheckFields = []) {
+    const results = [];
+
+    for (let i = 0; i < records.length; i += BIGIN_WRITE_LIMIT) {
+        const chunk = records.slice(i, i + BIGIN_WRITE_LIMIT);
+        const body = { data: chunk };
+
+        if (duplicateCheckFields.length > 0) {
+            body.duplicate_check_fields = duplicateCheckFields;
+        }
+
+        // Upserts match existing records, so repeating one can't create duplicates
+        const response = await biginClient.post(`/${module}/upsert`, body, { idempotent: true });
+        results.push(...(response.data && response.data.data || []));
+    }
+
+    return results;
+}
+
+/**
+ * Attach notes to Bigin records, up to 100 per request
+ * @param {string} module - Module of the parent records (Contacts or Accounts)
+ * @param {Array<Object>} recordNotes - { parentId, Note_Title, Note_Content } per note
+ * @returns {Promise<Array>} - Per-note results, in the same order as the input
+ */
+async function createBiginNotes(module, recordNotes) {
+    return createBiginRecords('Notes', recordNotes.map(({ parentId, ...note }) => ({
+        ...note,
+        Parent_Id: parentId,
+        se_module: module
+    })));
+}
+
+/**
+ * Get the Bigin pipelines deals can be created in, with their stages
+ * Bigin stores each pipeline as a layout of the Pipelines module
+ * @returns {Promise<Array>} - Pipelines ({ id, name, stages })
+ */
+async function getBiginPipelines() {
+    try {
+        const response = await biginClient.get('/settings/layouts?module=Pipelines');
+        const layouts = response.data && response.data.layouts || [];
+
+        return layouts.map(layout => {
+            const fields = (layout.sections || []).reduce((all, section) => all.concat(section.fields || []), []);
+            const stageField = fields.find(field => field.api_name === 'Stage');
+
+            return {
+                id: layout.id,
+                name: layout.name,
+                stages: stageField ? (stageField.pick_list_values || []).map(value => value.display_value) : []
+            };
+        });
+    } catch (error) {
+        console.error('Error getting Bigin pipelines:', error.details || error.message);
+        throw error;
+    }
+}
+
+/**
+ * Get the field metadata of a Bigin module
+ * Cached for an hour since fields rarely change
+ * @param {string} module - Bigin module (e.g. Contacts or Accounts)
+ * @param {boolean} forceRefresh - Reload the fields from Bigin
+ * @returns {Promise<Array>} - Bigin fields ({ api_name, data_type, length, pick_list_values, ... })
+ */
+async function getBiginFields(module, forceRefresh = false) {
+    const cached = biginFields.get(module);
+    if (!forceRefresh && cached && (Date.now() - cached.fetchedAt < FIELDS_LIFETIME)) {
+        return cached.fields;
+    }
+
+    try {
+        const response = await biginClient.get(`/settings/fields?module=${encodeURIComponent(module)}`);
+        const fields = response.data && response.data.fields || [];
+
+        biginFields.set(module, { fields, fetchedAt: Date.now() });
+        mappingConfig.setPicklists(module, fields);
+        return fields;
+    } catch (error) {
+        console.error(`Error getting Bigin ${module} fields:`, error.details || error.message);
+        throw error;
+    }
+}
+
+/**
+ * Load the picklist values the field mapping resolves lookups against
+ * Cached with the field metadata; if Bigin can't be reached, mapping continues with the
+ * lookup tables alone, so this never fails a sync
+ * @returns {Promise<boolean>} - True if the picklists of every mapped module are loaded
+ */
+async function loadBiginPicklists() {
+    try {
+        for (const module of mappingConfig.MODULES) {
+            await getBiginFields(module);
+        }
+        return true;
+    } catch (error) {
+        console.error('Error loading Bigin picklists, industries are mapped by the lookup table only:', error.message);
+        return false;
+    }
+}
+
 /**
  * Get accounts/companies from Bigin
  * @returns {Promise<Array>} - Array of Bigin accounts
  */
 async function getBiginAccounts() {
     try {
-        const headers = await getBiginHeaders();
-        const response = await axios.get(`${BIGIN_BASE_URL}/Accounts`, { headers });
+        const response = await biginClient.get('/Accounts');
 
         return response.data.data;
     } catch (error) {
-        if (error.response && error.response.status === 401) {
-            // Token expired, refresh and retry
-            await refreshBiginToken();
-            return getBiginAccounts();
-        }
-
-        console.error('Error getting Bigin accounts:', error.response && error.response.data || error.message);
+        console.error('Error getting Bigin accounts:', error.details || error.message);
         throw error;
     }
 }
 
 /**
- * Create account/company in Bigin
- * @param {Object} accountData - Account data to create
- * @returns {Promise<Object>} - Created account
+ * Create or update an account in Bigin from an Apollo organization
+ * The organization is mapped with fieldMapping.mapApolloOrgToBigin; an existing account
+ * (matched by website domain, then name) is updated using the Accounts merge policies
+ * @param {Object} apolloOrg - Apollo.io organization data
+ * @param {Object} options - Options
+ * @param {Array<Object>} options.snapshots - Sync run snapshots; every record written is added (see sync-runs.js)
+ * @returns {Promise<Object>} - Created or updated account
  */
-async function createBiginAccount(accountData) {
+async function createBiginAccount(apolloOrg, { snapshots = [] } = {}) {
     try {
-        const headers = await getBiginHeaders();
-
-        // Transform Apollo data to Bigin format
-        const biginAccount = {
-            Account_Name: accountData.name,
-            Website: accountData.website,
-            Industry: accountData.industry,
-            Phone: accountData.phone_number
-        };
+        await loadBiginPicklists();
+        const report = fieldMapping.createMappingReport();
+        const biginAccount = fieldMapping.mapApolloOrgToBigin(apolloOrg, null, report);
 
-        const response = await axios.post(`${BIGIN_BASE_URL}/Accounts`, { data: [biginAccount] }, { headers });
+        const match = await findMatchingBiginAccount({
+            name: biginAccount.Account_Name,
+            domain: accountMatcher.normalizeDomain(apolloOrg.primary_domain || apolloOrg.website_url)
+        });
 
-        return response.data.data[0];
-    } catch (error) {
-        if (error.response && error.response.status === 401) {
-            // Token expired, refresh and retry
-            await refreshBiginToken();
-            return createBiginAccount(accountData);
+        // Don't create a possible duplicate; let the caller decide which account it is
+        if (match.status === 'ambiguous') {
+            return {
+                id: null,
+                isAmbiguous: true,
+                reason: match.reason,
+                candidates: match.candidates,
+                changedFields: []
+            };
+        }
+
+        const existingAccount = match.account;
+
+        if (existingAccount) {
+            // The cached index can be a few minutes old, so merge against the current record
+            const response = await biginClient.get(`/Accounts/${existingAccount.id}`);
+            const current = response.data && response.data.data ? response.data.data[0] : existingAccount;
+            const merge = mergePolicies.mergeRecord('Accounts', biginAccount, current);
+
+            if (merge.changedFields.length > 0) {
+                await biginClient.put(`/Accounts/${existingAccount.id}`, { data: [merge.payload] });
+                snapshots.push({
+                    module: 'Accounts',
+                    id: existingAccount.id,
+                    action: 'update',
+                    label: current.Account_Name,
+                    before: mergePolicies.getPreviousValues(merge.changes),
+                    after: merge.payload
+                });
+                fieldMapping.recordMappingReport(report);
+            }
+
+            return {
+                id: existingAccount.id,
+                name: current.Account_Name,
+                isUpdate: true,
+                matchedOn: match.matchedOn,
+                changedFields: merge.changedFields,
+                changes: merge.changes,
+                skipped: merge.skipped
+            };
+        }
+
+        const record = fieldMapping.removeEmptyFields(biginAccount);
+
+        const response = await biginClient.post('/Accounts', { data: [record] });
+        const created = response.data.data[0];
+
+        if (created.status !== 'success' || !created.details || !created.details.id) {
+            throw new Error(created.message || 'Failed to create account in Bigin');
+        }
+
+        snapshots.push({ module: 'Accounts', id: created.details.id, action: 'create', label: record.Account_Name, after: record });
+        addToBiginAccountIndex([{ id: created.details.id, ...record }]);
+        fieldMapping.recordMappingReport(report);
+
+        // Apollo context goes in a note so Description stays free for reps
+        const note = notes.buildAccountNote(apolloOrg);
+        if (note) {
+            try {
+                const [createdNote] = await createBiginNotes('Accounts', [{ ...note, parentId: created.details.id }]);
+                if (createdNote && createdNote.status === 'success') {
+                    snapshots.push({ module: 'Notes', id: createdNote.details.id, action: 'create', label: note.Note_Title });
+                }
+            } catch (error) {
+                console.error('Error adding note to Bigin account:', error.details || error.message);
+            }
         }
 
-        console.error('Error creating Bigin account:', error.response && error.response.data || error.message);
+        return {
+            ...created,
+            id: created.details.id,
+            name: record.Account_Name,
+            isUpdate: false,
+            changedFields: Object.keys(record)
+        };
+    } catch (error) {
+        console.error('Error creating Bigin account:', error.details || error.message);
         throw error;
     }
 }
@@ -445,16 +1077,26 @@ async function createBiginAccount(accountData) {
 async function syncApolloContactToBigin(apolloContact) {
     try {
         // Map Apollo contact to Bigin format
-        const biginContact = fieldMapping.mapApolloContactToBigin(apolloContact);
+        await loadBiginPicklists();
+        const report = fieldMapping.createMappingReport();
+        const biginContact = fieldMapping.mapApolloContactToBigin(apolloContact, null, report);
+        contactRules.applyRules(apolloContact, biginContact);
 
         // Create or update contact in Bigin
-        const result = await createBiginContact(biginContact);
+        const result = await createBiginContact(biginContact, {
+            organization: accountMatcher.getOrganizationIdentity(apolloContact),
+            accountDetails: fieldMapping.mapContactOrganizationToBigin(apolloContact, null, null, report)
+        });
+
+        if (!result.needsReview) {
+            fieldMapping.recordMappingReport(report);
+        }
 
         return result;
     } catch (error) {
         console.error('Error syncing contact:', error.message);
-        if (error.response && error.response.data) {
-            console.error('API error details:', error.response.data);
+        if (error.details) {
+            console.error('API error details:', error.details);
         }
         throw error;
     }
@@ -469,7 +1111,7 @@ async function searchApolloOrganizations(searchParams = {}) {
     try {
         // Ensure we have an API key
         if (!APOLLO_API_KEY) {
-            throw new Error('Apollo API key not found. Please add it to your .env file.');
+            throw new AuthError('Apollo API key not found. Please add it to your .env file.', { provider: 'apollo' });
         }
 
         // Build search parameters with defaults
@@ -479,7 +1121,7 @@ async function searchApolloOrganizations(searchParams = {}) {
         };
 
         // Call Apollo API
-        const response = await axios.post(`${APOLLO_BASE_URL}/organizations/search`, params);
+        const response = await apolloClient.post('/organizations/search', params);
 
         // If organizations data is available, return it
         if (response.data && response.data.organizations) {
@@ -489,20 +1131,45 @@ async function searchApolloOrganizations(searchParams = {}) {
         return [];
     } catch (error) {
         console.error('Error searching Apollo organizations:', error.message);
-        if (error.response && error.response.data) {
-            console.error('Apollo API error details:', error.response.data);
+        if (error.details) {
+            console.error('Apollo API error details:', error.details);
         }
         throw error;
     }
 }
 
 module.exports = {
+    buildApolloSearchParams,
+    buildApolloOrganizationSearchParams,
     searchApolloContacts,
     enrichContactWithApollo,
     refreshBiginToken,
+    getBiginHeaders,
     getBiginContacts,
+    getBiginContactsByIds,
+    getBiginRecordsByIds,
+    searchBiginContacts,
     createBiginContact,
+    diffBiginRecord,
+    searchBiginRecordsByField,
+    findBiginContactCandidates,
+    findDuplicateBiginContact,
+    createBiginRecords,
+    updateBiginRecords,
+    deleteBiginRecords,
+    upsertBiginRecords,
+    createBiginNotes,
+    getBiginPipelines,
+    getBiginFields,
+    loadBiginPicklists,
     getBiginAccounts,
+    getBiginAccountIndex,
+    getBiginUsers,
+    addToBiginAccountIndex,
+    updateBiginAccountIndex,
+    getBiginAccountBackfill,
+    backfillBiginAccount,
+    findMatchingBiginAccount,
     createBiginAccount,
     syncApolloContactToBigin,
     searchApolloOrganizations
@@ -0,0 +1,62 @@
+/**
+ * Report of phone numbers that couldn't be normalized to E.164
+ *
+ * The field mapping and the Apollo phone webhook flag numbers here when
+ * they have letters, the wrong number of digits, or no country code and no
+ * known country, so they can be fixed in Apollo or Bigin by hand.
+ */
+
+const { createReportStore } = require('./report-store');
+
+// Flagged numbers by where they were seen ("Contacts.Phone", "webhook"), then by record and number
+const report = createReportStore('invalid-phones', {
+    groupsKey: 'sources',
+    groupOf: ({ source }) => source,
+    keyOf: ({ recordId, value }) => `${recordId || ''}|${String(value).trim()}`,
+    describeGroup: source => ({ source }),
+    updateEntry: (entry, { recordId, name, reason }) => {
+        entry.recordId = recordId || null;
+        entry.name = name || entry.name || '';
+        entry.reason = reason;
+    }
+});
+
+/**
+ * Flag numbers that couldn't be normalized
+ * @param {Array<Object>} entries - { source, recordId, name, value, reason } per number
+ */
+function recordInvalidPhones(entries) {
+    report.record(entries);
+}
+
+/**
+ * List flagged numbers, most recently seen first
+ * @param {Object} filters - Optional filters
+ * @param {string} filters.source - Where the numbers were seen, e.g. Contacts.Phone or webhook
+ * @returns {Array<Object>} - { source, recordId, name, value, reason, count, firstSeen, lastSeen }
+ */
+function listInvalidPhones({ source } = {}) {
+    return report
+        .list(entry => !source || entry.source === source)
+        .sort((a, b) => b.lastSeen.localeCompare(a.lastSeen));
+}
+
+/**
+ * Remove flagged numbers from the report, e.g. after fixing them
+ * @param {Object} filters - Optional filters; without any, the whole report is cleared
+ * @param {string} filters.source - Where the numbers were seen
+ * @param {string} filters.recordId - Apollo ID of the contact or organization
+ * @param {string} filters.value - A single number, as flagged
+ * @returns {number} - Number of entries removed
+ */
+function clearInvalidPhones({ source, recordId, value } = {}) {
+    return report.clear(entry => (!source || entry.source === source)
+        && (recordId === undefined || entry.recordId === recordId)
+        && (value === undefined || entry.value === String(value).trim()));
+}
+
+module.exports = {
+    recordInvalidPhones,
+    listInvalidPhones,
+    clearInvalidPhones
+};
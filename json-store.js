@@ -0,0 +1,77 @@
+/**
+ * JSON file storage for the Apollo.io to Bigin integration
+ *
+ * This module persists small pieces of integration state (sync ledger,
+ * webhook data, etc.) as JSON files so they survive server restarts.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Resolve the directory used for persisted data
+ * Vercel only allows writes under /tmp, so default there when deployed
+ * @returns {string} - Absolute path to the data directory
+ */
+function getDataDir() {
+    if (process.env.DATA_DIR) {
+        return path.resolve(process.env.DATA_DIR);
+    }
+
+    if (process.env.VERCEL) {
+        return path.join('/tmp', 'apollo-bigin-data');
+    }
+
+    return path.resolve(__dirname, 'data');
+}
+
+/**
+ * Create a store backed by a single JSON file in the data directory
+ * @param {string} name - Store name, used as the file name
+ * @param {Function} createDefault - Returns the initial data when the file doesn't exist yet
+ * @returns {Object} - Store with read, write and update methods
+ */
+function createJsonStore(name, createDefault = () => ({})) {
+    const filePath = path.join(getDataDir(), `${name}.json`);
+
+    return {
+        filePath,
+
+        // Read the current contents of the store
+        read() {
+            try {
+                if (!fs.existsSync(filePath)) {
+                    return createDefault();
+                }
+
+                return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+            } catch (error) {
+                console.error(`Error reading ${name} store:`, error.message);
+                return createDefault();
+            }
+        },
+
+        // Replace the contents of the store
+        write(data) {
+            fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+            // Write to a temporary file first so a crash never leaves half a file behind
+            const tempPath = `${filePath}.${process.pid}.tmp`;
+            fs.writeFileSync(tempPath, JSON.stringify(data, null, 2));
+            fs.renameSync(tempPath, filePath);
+        },
+
+        // Read, modify and write back the contents of the store
+        update(updater) {
+            const data = this.read();
+            const result = updater(data);
+            this.write(data);
+            return result;
+        }
+    };
+}
+
+module.exports = {
+    getDataDir,
+    createJsonStore
+};
@@ -0,0 +1,41 @@
+/**
+ * Redis-compatible REST KV storage (Vercel KV / Upstash)
+ *
+ * Serverless instances don't share a filesystem, so state every instance
+ * needs (the Bigin token, webhook-delivered phone numbers) can be kept under
+ * a key in a KV store instead, configured with KV_REST_API_URL and
+ * KV_REST_API_TOKEN.
+ */
+
+const axios = require('axios');
+
+/**
+ * Create a store that keeps one JSON value under a KV key
+ * @param {string} key - KV key the value is stored under
+ * @param {string} description - What is stored, for the configuration error (e.g. "token storage")
+ * @returns {Object} - Store with async load and save methods
+ */
+function createKvStore(key, description) {
+    const url = process.env.KV_REST_API_URL;
+    const kvToken = process.env.KV_REST_API_TOKEN;
+
+    if (!url || !kvToken) {
+        throw new Error(`KV_REST_API_URL and KV_REST_API_TOKEN are required for KV ${description}`);
+    }
+
+    const headers = { 'Authorization': `Bearer ${kvToken}` };
+
+    return {
+        load: async() => {
+            const response = await axios.get(`${url}/get/${key}`, { headers });
+            return response.data && response.data.result ? JSON.parse(response.data.result) : null;
+        },
+        save: async value => {
+            await axios.post(`${url}/set/${key}`, JSON.stringify(value), { headers });
+        }
+    };
+}
+
+module.exports = {
+    createKvStore
+};
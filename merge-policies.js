@@ -0,0 +1,215 @@
+/**
+ * Field-level merge policies for updating existing Bigin records
+ *
+ * Decides, field by field, how data from Apollo is merged into a record that
+ * already exists in Bigin, so values curated by reps aren't overwritten.
+ *
+ * Policies:
+ * - overwrite: always write the Apollo value
+ * - fill_empty: only write when the Bigin field is empty
+ * - never: never touch the Bigin field
+ * - append: add the Apollo value below the existing text (for Description),
+ *   or add the missing items to a list field (for Tag)
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const POLICIES = ['overwrite', 'fill_empty', 'never', 'append'];
+
+// Used when merge-policies.json is missing or doesn't cover a module
+const DEFAULT_CONFIG = {
+    Contacts: { default: 'overwrite', fields: {} },
+    Accounts: { default: 'overwrite', fields: {} }
+};
+
+let config = null;
+
+/**
+ * Load the merge policy configuration
+ * Reads MERGE_POLICIES_PATH, or merge-policies.json next to this module
+ * @returns {Object} - Policies per Bigin module
+ */
+function loadConfig() {
+    if (config) return config;
+
+    const configPath = process.env.MERGE_POLICIES_PATH ?
+        path.resolve(process.env.MERGE_POLICIES_PATH) :
+        path.join(__dirname, 'merge-policies.json');
+
+    config = { ...DEFAULT_CONFIG };
+
+    try {
+        if (fs.existsSync(configPath)) {
+            const loaded = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+
+            Object.entries(loaded).forEach(([module, moduleConfig]) => {
+                const fields = moduleConfig.fields || {};
+
+                [moduleConfig.default, ...Object.values(fields)].forEach(policy => {
+                    if (policy !== undefined && !POLICIES.includes(policy)) {
+                        throw new Error(`Invalid merge policy "${policy}" for ${module}`);
+                    }
+                });
+
+                config[module] = {
+                    default: moduleConfig.default || 'overwrite',
+                    fields
+                };
+            });
+        }
+    } catch (error) {
+        console.error('Error loading merge policies, using defaults:', error.message);
+        config = { ...DEFAULT_CONFIG };
+    }
+
+    return config;
+}
+
+/**
+ * Get the merge policy for a field
+ * @param {string} module - Bigin module (Contacts or Accounts)
+ * @param {string} field - Bigin field API name
+ * @returns {string} - Merge policy
+ */
+function getPolicy(module, field) {
+    const moduleConfig = loadConfig()[module] || DEFAULT_CONFIG.Contacts;
+    return moduleConfig.fields[field] || moduleConfig.default;
+}
+
+/**
+ * Check whether a Bigin value counts as empty
+ * @param {*} value - Field value
+ * @returns {boolean} - True if empty
+ */
+function isEmpty(value) {
+    if (value === null || value === undefined) return true;
+    if (typeof value === 'string') return value.trim() === '';
+    if (Array.isArray(value)) return value.length === 0;
+    return false;
+}
+
+/**
+ * Normalize a value for comparison (lookup fields are compared by name or ID)
+ * @param {*} value - Field value
+ * @returns {string} - Comparable string
+ */
+function normalize(value) {
+    if (isEmpty(value)) return '';
+    // Lists such as Tag are compared by their items, ignoring order
+    if (Array.isArray(value)) return value.map(normalize).sort().join('\n');
+    if (typeof value === 'object' && !Array.isArray(value)) return String(value.name || value.id || '');
+    return String(value).trim();
+}
+
+/**
+ * Check whether an Apollo value matches the current Bigin value
+ * @param {*} current - Current Bigin value
+ * @param {*} proposed - Apollo-derived value
+ * @returns {boolean} - True if they are the same
+ */
+function isSameValue(current, proposed) {
+    // Lookups that both carry an ID are compared by ID
+    if (current && proposed && typeof current === 'object' && typeof proposed === 'object' &&
+        current.id && proposed.id) {
+        return String(current.id) === String(proposed.id);
+    }
+
+    return normalize(current) === normalize(proposed);
+}
+
+/**
+ * Check whether appended text is already part of the existing text
+ * Generated blurbs start with a dated header line, so only the body is compared
+ * @param {string} existing - Current field value
+ * @param {string} addition - Text to append
+ * @returns {boolean} - True if the text is already there
+ */
+function alreadyAppended(existing, addition) {
+    const lines = addition.trim().split('\n');
+    const body = (lines.length > 1 ? lines.slice(1) : lines).join('\n').trim();
+    return existing.includes(body);
+}
+
+/**
+ * Merge an Apollo-derived payload into an existing Bigin record
+ * @param {string} module - Bigin module (Contacts or Accounts)
+ * @param {Object} proposed - Bigin payload mapped from Apollo
+ * @param {Object} existing - Existing Bigin record
+ * @returns {Object} - Payload to write, changed fields and skipped fields
+ */
+function mergeRecord(module, proposed, existing) {
+    const payload = {};
+    const changes = [];
+    const skipped = [];
+
+    Object.entries(proposed).forEach(([field, value]) => {
+        const policy = getPolicy(module, field);
+        const current = existing[field] === undefined ? null : existing[field];
+
+        // Nothing to merge if Apollo has no value or it's already the same
+        if (isEmpty(value) || isSameValue(current, value)) {
+            return;
+        }
+
+        let newValue = value;
+
+        if (policy === 'never') {
+            skipped.push({ field, policy, current, proposed: value });
+            return;
+        }
+
+        if (policy === 'fill_empty' && !isEmpty(current)) {
+            skipped.push({ field, policy, current, proposed: value });
+            return;
+        }
+
+        if (policy === 'append' && Array.isArray(value)) {
+            const currentItems = Array.isArray(current) ? current : [];
+            const known = currentItems.map(item => normalize(item).toLowerCase());
+            const additions = value.filter(item => !known.includes(normalize(item).toLowerCase()));
+
+            if (additions.length === 0) {
+                return;
+            }
+            newValue = [...currentItems, ...additions];
+        } else if (policy === 'append' && !isEmpty(current)) {
+            if (alreadyAppended(String(current), String(value))) {
+                return;
+            }
+            newValue = `${current}\n\n${value}`;
+        }
+
+        payload[field] = newValue;
+        changes.push({ field, policy, current, proposed: newValue });
+    });
+
+    return {
+        payload,
+        changes,
+        changedFields: changes.map(change => change.field),
+        skipped
+    };
+}
+
+/**
+ * Get the values changed fields had before a merge was written, for sync run snapshots
+ * @param {Array<Object>} changes - Changes from mergeRecord
+ * @returns {Object} - Field name to its previous value
+ */
+function getPreviousValues(changes) {
+    const values = {};
+
+    changes.forEach(change => {
+        values[change.field] = change.current === undefined ? null : change.current;
+    });
+
+    return values;
+}
+
+module.exports = {
+    POLICIES,
+    getPolicy,
+    mergeRecord,
+    getPreviousValues
+};
@@ -0,0 +1,105 @@
+/**
+ * Apollo context notes for synced Bigin records
+ *
+ * Instead of writing an import blurb into Description (which reps use and
+ * which was overwritten on every update), the sync attaches a Bigin Note
+ * with a summary of the Apollo data: company, seniority, keywords,
+ * technologies and funding. Contacts get a note on their first import and
+ * when their title or company changes in Apollo; accounts get one when the
+ * sync creates them.
+ */
+
+const fieldMapping = require('./field-mapping');
+
+// Why a contact gets a note
+const NOTE_REASONS = {
+    first_import: 'Imported from Apollo.io',
+    title_changed: 'Title changed in Apollo.io',
+    company_changed: 'Company changed in Apollo.io'
+};
+
+/**
+ * Normalize a title or company name for change detection
+ * @param {string} value - Title or company name
+ * @returns {string} - Lowercase value without extra spaces
+ */
+function normalizeValue(value) {
+    return String(value || '').trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+/**
+ * Get today's date for note titles
+ * @returns {string} - Date as YYYY-MM-DD
+ */
+function today() {
+    return new Date().toISOString().split('T')[0];
+}
+
+/**
+ * Decide whether a synced contact should get a note
+ * @param {Object} apolloContact - Apollo.io contact data
+ * @param {Object|null} ledgerEntry - The contact's sync ledger entry from before this sync
+ * @returns {string|null} - first_import, title_changed or company_changed, or null for no note
+ */
+function getContactNoteReason(apolloContact, ledgerEntry) {
+    if (!ledgerEntry || !ledgerEntry.lastSyncedAt) {
+        return 'first_import';
+    }
+
+    // Entries from before titles were recorded can't tell whether the title changed
+    if (ledgerEntry.title !== undefined && apolloContact.title &&
+        normalizeValue(apolloContact.title) !== normalizeValue(ledgerEntry.title)) {
+        return 'title_changed';
+    }
+
+    if (apolloContact.organization_name &&
+        normalizeValue(apolloContact.organization_name) !== normalizeValue(ledgerEntry.company)) {
+        return 'company_changed';
+    }
+
+    return null;
+}
+
+/**
+ * Build the note for a synced contact
+ * @param {Object} apolloContact - Apollo.io contact data
+ * @param {string} reason - Reason from getContactNoteReason
+ * @param {Object|null} ledgerEntry - The contact's sync ledger entry from before this sync
+ * @returns {Object} - Bigin note ({ Note_Title, Note_Content })
+ */
+function buildContactNote(apolloContact, reason, ledgerEntry) {
+    let intro = '';
+
+    if (reason === 'title_changed') {
+        intro = `Title changed from "${ledgerEntry.title || '(none)'}" to "${apolloContact.title}".\n\n`;
+    } else if (reason === 'company_changed') {
+        intro = `Company changed from "${ledgerEntry.company || '(none)'}" to "${apolloContact.organization_name}".\n\n`;
+    }
+
+    return {
+        Note_Title: `${NOTE_REASONS[reason]} (${today()})`,
+        Note_Content: intro + fieldMapping.generateContactSummary(apolloContact)
+    };
+}
+
+/**
+ * Build the note for an account created from an Apollo organization
+ * @param {Object} apolloOrg - Apollo.io organization data
+ * @returns {Object|null} - Bigin note ({ Note_Title, Note_Content }), or null when Apollo has nothing to add
+ */
+function buildAccountNote(apolloOrg) {
+    const content = fieldMapping.generateOrgSummary(apolloOrg || {});
+    if (!content) return null;
+
+    return {
+        Note_Title: `Imported from Apollo.io (${today()})`,
+        Note_Content: content
+    };
+}
+
+module.exports = {
+    NOTE_REASONS,
+    getContactNoteReason,
+    buildContactNote,
+    buildAccountNote
+};
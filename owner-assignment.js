@@ -0,0 +1,284 @@
+/**
+ * Contact owner assignment for contacts created by the sync
+ *
+ * Without an owner, Bigin gives every new contact to the user the OAuth
+ * token belongs to. Owner rules pick the owner instead, using one or more
+ * strategies tried in order until one of them names a user:
+ *
+ * - apollo_owner: map the Apollo contact or account owner to a Bigin user
+ * - territory: pick the user responsible for the contact's country/state
+ * - round_robin: rotate through a list of Bigin users
+ *
+ * Rules are read from owner-rules.json (or OWNER_RULES_PATH). Users are
+ * given by Bigin email or user ID and checked against Bigin's user list.
+ * Only new contacts get an owner; existing contacts keep theirs.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const integration = require('./integration');
+const { createJsonStore } = require('./json-store');
+const { ValidationError, isRateLimitError } = require('./api-errors');
+
+const STRATEGIES = ['apollo_owner', 'territory', 'round_robin'];
+
+// Where each round-robin strategy continues from, so rotation survives restarts
+const store = createJsonStore('owner-assignment', () => ({ roundRobin: {} }));
+
+let cache = null;
+
+/**
+ * Normalize a user reference or place name for comparison
+ * @param {string} value - Email, ID, country or state
+ * @returns {string} - Lowercase trimmed value
+ */
+function normalize(value) {
+    return String(value || '').trim().toLowerCase();
+}
+
+/**
+ * List the Bigin users a strategy can assign
+ * @param {Object} strategy - Strategy config
+ * @returns {Array<string>} - User references (emails or IDs)
+ */
+function getStrategyUsers(strategy) {
+    if (strategy.type === 'round_robin') return strategy.users;
+    if (strategy.type === 'territory') return strategy.territories.map(territory => territory.owner);
+    return Object.values(strategy.owners);
+}
+
+/**
+ * Check that owner rules are well formed
+ * @param {Object} config - { strategies }
+ * @returns {Object} - The same config
+ * @throws {ValidationError} - Describing the first problem found
+ */
+function validateConfig(config) {
+    if (!config || !Array.isArray(config.strategies)) {
+        throw new ValidationError('Owner rules need a list of strategies');
+    }
+
+    config.strategies.forEach((strategy, index) => {
+        const label = `Strategy ${index + 1}${strategy && strategy.type ? ` (${strategy.type})` : ''}`;
+
+        if (!strategy || !STRATEGIES.includes(strategy.type)) {
+            throw new ValidationError(`${label} must have a type: ${STRATEGIES.join(', ')}`);
+        }
+
+        if (strategy.type === 'round_robin' &&
+            (!Array.isArray(strategy.users) || strategy.users.length === 0)) {
+            throw new ValidationError(`${label} needs a list of users`);
+        }
+
+        if (strategy.type === 'territory') {
+            if (!Array.isArray(strategy.territories) || strategy.territories.length === 0) {
+                throw new ValidationError(`${label} needs a list of territories`);
+            }
+
+            strategy.territories.forEach((territory, territoryIndex) => {
+                const places = [...(territory.countries || []), ...(territory.states || [])];
+                if (!territory.owner || places.length === 0) {
+                    throw new ValidationError(`${label}: territory ${territoryIndex + 1} needs an owner and countries or states`);
+                }
+            });
+        }
+
+        if (strategy.type === 'apollo_owner') {
+            if (!strategy.owners || typeof strategy.owners !== 'object' || Object.keys(strategy.owners).length === 0) {
+                throw new ValidationError(`${label} needs owners mapping Apollo owners to Bigin users`);
+            }
+            if (strategy.source && !['contact', 'account', 'either'].includes(strategy.source)) {
+                throw new ValidationError(`${label}: source must be contact, account or either`);
+            }
+        }
+    });
+
+    return config;
+}
+
+/**
+ * Load the owner rules
+ * Reads OWNER_RULES_PATH, or owner-rules.json next to this module
+ * An invalid file is reported and no owners are assigned
+ * @returns {Object} - { path, strategies, error }
+ */
+function loadConfig() {
+    if (cache) return cache;
+
+    const rulesPath = process.env.OWNER_RULES_PATH ?
+        path.resolve(process.env.OWNER_RULES_PATH) :
+        path.join(__dirname, 'owner-rules.json');
+
+    cache = { path: rulesPath, strategies: [], error: null };
+
+    try {
+        if (fs.existsSync(rulesPath)) {
+            cache.strategies = validateConfig(JSON.parse(fs.readFileSync(rulesPath, 'utf8'))).strategies;
+        }
+    } catch (error) {
+        console.error('Error loading owner rules, no owners will be assigned:', error.message);
+        cache.error = error.message;
+    }
+
+    return cache;
+}
+
+/**
+ * Index active Bigin users by ID and email
+ * @param {Array<Object>} users - Bigin users
+ * @returns {Map} - Lowercase ID or email to user
+ */
+function indexUsers(users) {
+    const index = new Map();
+
+    users
+        .filter(user => !user.status || user.status === 'active')
+        .forEach(user => {
+            index.set(normalize(user.id), user);
+            if (user.email) index.set(normalize(user.email), user);
+        });
+
+    return index;
+}
+
+/**
+ * Check the configured owner rules against the Bigin user list
+ * @param {boolean} forceRefresh - Reload the users from Bigin
+ * @returns {Promise<Object>} - { path, strategies, error, issues }
+ */
+async function checkConfig(forceRefresh = false) {
+    const config = loadConfig();
+    const users = indexUsers(await integration.getBiginUsers(forceRefresh));
+    const issues = [];
+
+    config.strategies.forEach((strategy, index) => {
+        getStrategyUsers(strategy).forEach(user => {
+            if (!users.has(normalize(user))) {
+                issues.push({
+                    strategy: index + 1,
+                    type: strategy.type,
+                    user,
+                    message: `"${user}" isn't an active Bigin user`
+                });
+            }
+        });
+    });
+
+    return { ...config, issues };
+}
+
+/**
+ * Get the Apollo owners of a contact
+ * Apollo people carry their owner's user ID, and CSV-style records the owner's email
+ * @param {Object} apolloContact - Apollo.io contact data
+ * @param {string} source - contact, account or either
+ * @returns {Array<string>} - Owner emails or Apollo user IDs, most specific first
+ */
+function getApolloOwners(apolloContact, source = 'either') {
+    const account = apolloContact.account || {};
+    const contactOwners = [apolloContact.owner_email, apolloContact.contact_owner, apolloContact.owner_id];
+    const accountOwners = [account.owner_email, apolloContact.account_owner, account.owner_id];
+
+    const owners = source === 'contact' ? contactOwners :
+        source === 'account' ? accountOwners : [...contactOwners, ...accountOwners];
+
+    return owners.filter(Boolean).map(normalize);
+}
+
+/**
+ * Find the territory owner for a contact
+ * @param {Object} strategy - Territory strategy
+ * @param {Object} apolloContact - Apollo.io contact data
+ * @returns {string|null} - User reference
+ */
+function findTerritoryOwner(strategy, apolloContact) {
+    const country = normalize(apolloContact.country);
+    const state = normalize(apolloContact.state);
+
+    const territory = strategy.territories.find(candidate => {
+        const countries = (candidate.countries || []).map(normalize);
+        const states = (candidate.states || []).map(normalize);
+
+        if (countries.length > 0 && !countries.includes(country)) return false;
+        if (states.length > 0 && !states.includes(state)) return false;
+        return true;
+    });
+
+    return territory ? territory.owner : null;
+}
+
+/**
+ * Create an owner assigner for one sync batch
+ * Round-robin positions are only saved when the assigner isn't a dry run
+ * If the Bigin users can't be read, contacts are created without an owner rather than failing the sync
+ * @param {Object} options - Assigner options
+ * @param {boolean} options.dryRun - Don't advance round-robin rotations
+ * @returns {Promise<Function|null>} - assign(apolloContact) returning { owner, strategy } or null; null when no rules are configured
+ */
+async function createAssigner({ dryRun = false } = {}) {
+    const { strategies } = loadConfig();
+    if (strategies.length === 0) return null;
+
+    let users;
+    try {
+        users = indexUsers(await integration.getBiginUsers());
+    } catch (error) {
+        if (isRateLimitError(error)) throw error;
+
+        console.error('Error loading Bigin users, contacts will be created without an owner:', error.message);
+        return null;
+    }
+    const positions = { ...store.read().roundRobin };
+
+    const toOwner = (reference, strategy) => {
+        const user = users.get(normalize(reference));
+        if (!user) return null;
+
+        return {
+            owner: { id: user.id, name: user.full_name || user.email, email: user.email },
+            strategy
+        };
+    };
+
+    return apolloContact => {
+        for (let index = 0; index < strategies.length; index++) {
+            const strategy = strategies[index];
+            let assignment = null;
+
+            if (strategy.type === 'apollo_owner') {
+                const owners = new Map(Object.entries(strategy.owners).map(([key, value]) => [normalize(key), value]));
+                const apolloOwner = getApolloOwners(apolloContact, strategy.source).find(owner => owners.has(owner));
+                assignment = apolloOwner ? toOwner(owners.get(apolloOwner), strategy.type) : null;
+            } else if (strategy.type === 'territory') {
+                const reference = findTerritoryOwner(strategy, apolloContact);
+                assignment = reference ? toOwner(reference, strategy.type) : null;
+            } else {
+                // Skip users that left Bigin rather than stalling the rotation on them
+                const active = strategy.users.filter(user => users.has(normalize(user)));
+                if (active.length > 0) {
+                    const position = positions[index] || 0;
+                    assignment = toOwner(active[position % active.length], strategy.type);
+                    positions[index] = (position + 1) % active.length;
+
+                    if (!dryRun) {
+                        store.update(data => {
+                            data.roundRobin[index] = positions[index];
+                        });
+                    }
+                }
+            }
+
+            if (assignment) return assignment;
+        }
+
+        return null;
+    };
+}
+
+module.exports = {
+    STRATEGIES,
+    loadConfig,
+    validateConfig,
+    checkConfig,
+    createAssigner
+};
@@ -0,0 +1,279 @@
+/**
+ * Phone number normalization to E.164
+ *
+ * Apollo formats numbers for display ("+1 123-456-7890", "(415) 555-0100",
+ * "020 7946 0958"), which Bigin stores as they are, so the same number can't
+ * be matched across records and click-to-call doesn't work. This module turns
+ * them into E.164 ("+14155550100"):
+ *
+ * - Numbers with a + or 00 prefix already carry their country calling code
+ * - Numbers without one get the calling code of the first known country
+ *   passed in (the contact's, then the company's), or DEFAULT_PHONE_COUNTRY
+ * - The national trunk prefix ("0" in most countries, "1" in North America)
+ *   is dropped, and "(0)" as in "+44 (0)20 ..." is ignored
+ * - Extensions ("x123", "ext. 123") are split off, as E.164 has none
+ *
+ * Numbers that can't be parsed (letters, no known country, wrong number of
+ * digits) are returned with valid set to false and the reason.
+ */
+
+// Calling code, national number lengths and trunk prefix by ISO country code, with the names Apollo uses
+const COUNTRIES = {
+    US: { code: '1', lengths: [10, 10], trunk: '1', names: ['United States', 'United States of America', 'USA', 'U.S.', 'U.S.A.', 'America'] },
+    CA: { code: '1', lengths: [10, 10], trunk: '1', names: ['Canada'] },
+    GB: { code: '44', lengths: [9, 10], trunk: '0', names: ['United Kingdom', 'UK', 'Great Britain', 'England', 'Scotland', 'Wales', 'Northern Ireland'] },
+    IE: { code: '353', lengths: [7, 9], trunk: '0', names: ['Ireland'] },
+    DE: { code: '49', lengths: [6, 11], trunk: '0', names: ['Germany', 'Deutschland'] },
+    FR: { code: '33', lengths: [9, 9], trunk: '0', names: ['France'] },
+    ES: { code: '34', lengths: [9, 9], trunk: '', names: ['Spain', 'España'] },
+    IT: { code: '39', lengths: [6, 11], trunk: '', names: ['Italy', 'Italia'] },
+    PT: { code: '351', lengths: [9, 9], trunk: '', names: ['Portugal'] },
+    NL: { code: '31', lengths: [9, 9], trunk: '0', names: ['Netherlands', 'The Netherlands', 'Holland'] },
+    BE: { code: '32', lengths: [8, 9], trunk: '0', names: ['Belgium'] },
+    CH: { code: '41', lengths: [9, 9], trunk: '0', names: ['Switzerland'] },
+    AT: { code: '43', lengths: [4, 13], trunk: '0', names: ['Austria'] },
+    SE: { code: '46', lengths: [7, 9], trunk: '0', names: ['Sweden'] },
+    NO: { code: '47', lengths: [8, 8], trunk: '', names: ['Norway'] },
+    DK: { code: '45', lengths: [8, 8], trunk: '', names: ['Denmark'] },
+    FI: { code: '358', lengths: [5, 12], trunk: '0', names: ['Finland'] },
+    PL: { code: '48', lengths: [9, 9], trunk: '', names: ['Poland'] },
+    CZ: { code: '420', lengths: [9, 9], trunk: '', names: ['Czech Republic', 'Czechia'] },
+    RO: { code: '40', lengths: [9, 9], trunk: '0', names: ['Romania'] },
+    GR: { code: '30', lengths: [10, 10], trunk: '', names: ['Greece'] },
+    UA: { code: '380', lengths: [9, 9], trunk: '0', names: ['Ukraine'] },
+    RU: { code: '7', lengths: [10, 10], trunk: '8', names: ['Russia', 'Russian Federation'] },
+    TR: { code: '90', lengths: [10, 10], trunk: '0', names: ['Turkey', 'Türkiye'] },
+    IL: { code: '972', lengths: [8, 9], trunk: '0', names: ['Israel'] },
+    AE: { code: '971', lengths: [8, 9], trunk: '0', names: ['United Arab Emirates', 'UAE'] },
+    SA: { code: '966', lengths: [9, 9], trunk: '0', names: ['Saudi Arabia'] },
+    EG: { code: '20', lengths: [9, 10], trunk: '0', names: ['Egypt'] },
+    ZA: { code: '27', lengths: [9, 9], trunk: '0', names: ['South Africa'] },
+    NG: { code: '234', lengths: [8, 10], trunk: '0', names: ['Nigeria'] },
+    KE: { code: '254', lengths: [9, 9], trunk: '0', names: ['Kenya'] },
+    IN: { code: '91', lengths: [10, 10], trunk: '0', names: ['India'] },
+    PK: { code: '92', lengths: [9, 10], trunk: '0', names: ['Pakistan'] },
+    BD: { code: '880', lengths: [10, 10], trunk: '0', names: ['Bangladesh'] },
+    SG: { code: '65', lengths: [8, 8], trunk: '', names: ['Singapore'] },
+    MY: { code: '60', lengths: [8, 10], trunk: '0', names: ['Malaysia'] },
+    ID: { code: '62', lengths: [8, 12], trunk: '0', names: ['Indonesia'] },
+    PH: { code: '63', lengths: [8, 10], trunk: '0', names: ['Philippines'] },
+    TH: { code: '66', lengths: [8, 9], trunk: '0', names: ['Thailand'] },
+    VN: { code: '84', lengths: [9, 10], trunk: '0', names: ['Vietnam', 'Viet Nam'] },
+    CN: { code: '86', lengths: [9, 11], trunk: '0', names: ['China', "People's Republic of China"] },
+    HK: { code: '852', lengths: [8, 8], trunk: '', names: ['Hong Kong'] },
+    TW: { code: '886', lengths: [8, 9], trunk: '0', names: ['Taiwan'] },
+    JP: { code: '81', lengths: [9, 10], trunk: '0', names: ['Japan'] },
+    KR: { code: '82', lengths: [8, 10], trunk: '0', names: ['South Korea', 'Korea', 'Republic of Korea'] },
+    AU: { code: '61', lengths: [9, 9], trunk: '0', names: ['Australia'] },
+    NZ: { code: '64', lengths: [8, 10], trunk: '0', names: ['New Zealand'] },
+    MX: { code: '52', lengths: [10, 10], trunk: '', names: ['Mexico', 'México'] },
+    BR: { code: '55', lengths: [10, 11], trunk: '0', names: ['Brazil', 'Brasil'] },
+    AR: { code: '54', lengths: [10, 11], trunk: '0', names: ['Argentina'] },
+    CL: { code: '56', lengths: [9, 9], trunk: '', names: ['Chile'] },
+    CO: { code: '57', lengths: [10, 10], trunk: '', names: ['Colombia'] }
+};
+
+// E.164 numbers have at most 15 digits; shorter than 8 is never a full international number
+const MIN_INTERNATIONAL_DIGITS = 8;
+const MAX_INTERNATIONAL_DIGITS = 15;
+
+// Lowercase ISO code or country name to ISO code
+const countryIndex = new Map();
+Object.entries(COUNTRIES).forEach(([iso, country]) => {
+    countryIndex.set(iso.toLowerCase(), iso);
+    country.names.forEach(name => countryIndex.set(name.toLowerCase(), iso));
+});
+
+/**
+ * Find a country by ISO code or name
+ * @param {string} country - e.g. "US", "United States" or "germany"
+ * @returns {Object|null} - { iso, code, lengths, trunk, names }, or null when unknown
+ */
+function getCountry(country) {
+    if (!country) return null;
+
+    const iso = countryIndex.get(String(country).trim().toLowerCase());
+    return iso ? { iso, ...COUNTRIES[iso] } : null;
+}
+
+/**
+ * Find the country of an international number by its calling code
+ * Longer calling codes win, and a preferred country sharing the code (e.g. Canada for +1) is kept
+ * @param {string} digits - Digits after the + or 00 prefix
+ * @param {Object|null} preferred - Country inferred for the contact
+ * @returns {Object|null} - Country, or null when the calling code isn't known
+ */
+function getCountryByCallingCode(digits, preferred) {
+    if (preferred && digits.startsWith(preferred.code)) return preferred;
+
+    const iso = Object.keys(COUNTRIES)
+        .filter(candidate => digits.startsWith(COUNTRIES[candidate].code))
+        .sort((a, b) => COUNTRIES[b].code.length - COUNTRIES[a].code.length)[0];
+
+    return iso ? { iso, ...COUNTRIES[iso] } : null;
+}
+
+/**
+ * Check that a national number has a length the country uses
+ * @param {Object} country - Country
+ * @param {string} national - National significant number, without trunk prefix
+ * @returns {boolean} - True when the length fits
+ */
+function fitsCountry(country, national) {
+    return national.length >= country.lengths[0] && national.length <= country.lengths[1];
+}
+
+/**
+ * Normalize an international number (given with a + or 00 prefix)
+ * @param {string} digits - Digits after the prefix
+ * @param {Object|null} preferred - Country inferred for the contact
+ * @returns {Object} - { e164, country } or { reason }
+ */
+function normalizeInternational(digits, preferred) {
+    if (digits.length < MIN_INTERNATIONAL_DIGITS || digits.length > MAX_INTERNATIONAL_DIGITS) {
+        return { reason: `An international number has ${MIN_INTERNATIONAL_DIGITS} to ${MAX_INTERNATIONAL_DIGITS} digits, this one has ${digits.length}` };
+    }
+
+    const country = getCountryByCallingCode(digits, preferred);
+    if (!country) {
+        // Calling codes this module doesn't know are taken as they are
+        return { e164: `+${digits}`, country: null };
+    }
+
+    let national = digits.slice(country.code.length);
+
+    // "+44 020 ..." repeats the trunk prefix after the calling code
+    if (country.trunk === '0' && national.startsWith('0') && !fitsCountry(country, national) &&
+        fitsCountry(country, national.slice(1))) {
+        national = national.slice(1);
+    }
+
+    if (!fitsCountry(country, national)) {
+        return { reason: `${country.names[0]} numbers have ${formatLengths(country)} digits after +${country.code}, this one has ${national.length}` };
+    }
+
+    return { e164: `+${country.code}${national}`, country: country.iso };
+}
+
+/**
+ * Describe the national number lengths of a country
+ * @param {Object} country - Country
+ * @returns {string} - e.g. "10" or "9 to 10"
+ */
+function formatLengths(country) {
+    const [min, max] = country.lengths;
+    return min === max ? String(min) : `${min} to ${max}`;
+}
+
+/**
+ * Normalize a phone number to E.164
+ * @param {string} number - Phone number as Apollo formats it
+ * @param {Object} options - Normalization options
+ * @param {Array<string>} options.countries - Countries (names or ISO codes) to infer the calling code from, most specific first
+ * @returns {Object} - { original, e164, country, extension, valid, reason }; e164 is null when the number isn't valid
+ */
+function normalizePhone(number, { countries = [] } = {}) {
+    const original = number === null || number === undefined ? '' : String(number).trim();
+    const result = { original, e164: null, country: null, extension: null, valid: false, reason: null };
+    const invalid = reason => ({ ...result, reason });
+
+    if (!original) return invalid('No number');
+
+    const extension = original.match(/\s*(?:ext\.?|extension|x|#)\s*(\d{1,6})$/i);
+    const text = (extension ? original.slice(0, extension.index) : original).replace(/\(0\)/g, '');
+    result.extension = extension ? extension[1] : null;
+
+    if (/[a-z]/i.test(text)) return invalid('Contains letters');
+
+    const digits = text.replace(/\D/g, '');
+    if (!digits) return invalid('No digits');
+
+    const inferred = [...countries, process.env.DEFAULT_PHONE_COUNTRY].map(getCountry).find(Boolean) || null;
+
+    let normalized;
+    if (text.startsWith('+')) {
+        normalized = normalizeInternational(digits, inferred);
+    } else if (digits.startsWith('00')) {
+        normalized = normalizeInternational(digits.slice(2), inferred);
+    } else if (inferred && inferred.code === '1' && digits.startsWith('011')) {
+        // International dialing prefix in North America
+        normalized = normalizeInternational(digits.slice(3), inferred);
+    } else if (!inferred) {
+        return invalid('No country code, and the contact\'s country is unknown');
+    } else {
+        let national = digits;
+
+        if (inferred.trunk && national.startsWith(inferred.trunk) && fitsCountry(inferred, national.slice(inferred.trunk.length))) {
+            national = national.slice(inferred.trunk.length);
+        } else if (national.startsWith(inferred.code) && !fitsCountry(inferred, national) &&
+            fitsCountry(inferred, national.slice(inferred.code.length))) {
+            // Written with the calling code but without the +
+            national = national.slice(inferred.code.length);
+        }
+
+        normalized = fitsCountry(inferred, national) ?
+            { e164: `+${inferred.code}${national}`, country: inferred.iso } :
+            { reason: `${inferred.names[0]} numbers have ${formatLengths(inferred)} digits, this one has ${national.length}` };
+    }
+
+    if (normalized.reason) return invalid(normalized.reason);
+
+    return { ...result, e164: normalized.e164, country: normalized.country, valid: true };
+}
+
+/**
+ * List the ways a number is commonly written, to find it where Bigin stores it as text
+ * Bigin only matches phone fields exactly, and contacts synced before numbers were
+ * normalized hold Apollo's display formats
+ * @param {string} number - Phone number
+ * @param {Object} options - Normalization options, as for normalizePhone
+ * @returns {Array<string>} - The number as given, its E.164 form and common national and international formats
+ */
+function getPhoneVariants(number, options = {}) {
+    const phone = normalizePhone(number, options);
+    const variants = [phone.original];
+
+    if (phone.valid) {
+        const country = getCountryByCallingCode(phone.e164.slice(1), getCountry(phone.country));
+        const code = country ? country.code : '';
+        const national = phone.e164.slice(1 + code.length);
+
+        variants.push(phone.e164, phone.e164.slice(1), national);
+
+        if (code === '1' && national.length === 10) {
+            const [area, exchange, line] = [national.slice(0, 3), national.slice(3, 6), national.slice(6)];
+            variants.push(
+                `(${area}) ${exchange}-${line}`,
+                `${area}-${exchange}-${line}`,
+                `${area}.${exchange}.${line}`,
+                `+1 ${area}-${exchange}-${line}`,
+                `+1 (${area}) ${exchange}-${line}`,
+                `+1 ${area} ${exchange} ${line}`,
+                `1-${area}-${exchange}-${line}`
+            );
+        } else if (code) {
+            variants.push(`+${code} ${national}`);
+            if (country.trunk) {
+                variants.push(`${country.trunk}${national}`);
+            }
+        }
+    }
+
+    return [...new Set(variants.filter(Boolean))];
+}
+
+/**
+ * Check whether a value is already an E.164 number
+ * @param {string} number - Phone number
+ * @returns {boolean} - True for a + followed by 8 to 15 digits
+ */
+function isE164(number) {
+    return /^\+[1-9]\d{7,14}$/.test(String(number || ''));
+}
+
+module.exports = {
+    getCountry,
+    normalizePhone,
+    getPhoneVariants,
+    isE164
+};
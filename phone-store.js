@@ -0,0 +1,307 @@
+/**
+ * Phone store for Apollo.io phone-reveal webhooks
+ *
+ * Apollo delivers revealed phone numbers asynchronously to our webhook, so
+ * every number it sends is persisted here with its type, confidence and
+ * received-at time until it expires or is purged. Each number is also kept
+ * in E.164 form (see phone-normalizer.js), or with the reason it couldn't be
+ * normalized.
+ */
+
+const { createJsonStore } = require('./json-store');
+const { createKvStore } = require('./kv-store');
+const phoneNormalizer = require('./phone-normalizer');
+
+// How long stored numbers are kept (0 disables expiry)
+const DEFAULT_TTL_DAYS = 30;
+
+// Key of the phone store in the KV store
+const KV_PHONE_STORE_KEY = 'apollo-phone-store';
+
+// Apollo confidence codes, best first
+const CONFIDENCE_RANK = ['high', 'medium', 'low'];
+
+/**
+ * File adapter - keeps all numbers in a JSON file in the data directory
+ * @returns {Object} - Adapter with load and save methods
+ */
+function createFileAdapter() {
+    const store = createJsonStore('phone-store', () => ({ contacts: {} }));
+
+    return {
+        load: () => store.read(),
+        save: data => store.write(data)
+    };
+}
+
+/**
+ * KV adapter - keeps all numbers in a Redis-compatible REST KV store (Vercel KV / Upstash)
+ * so numbers a webhook delivered to one serverless instance are seen by every other one
+ * @returns {Object} - Adapter with async load and save methods
+ */
+function createKvAdapter() {
+    return createKvStore(KV_PHONE_STORE_KEY, 'phone storage');
+}
+
+/**
+ * Memory adapter - for local experiments where persistence isn't needed
+ * @returns {Object} - Adapter with load and save methods
+ */
+function createMemoryAdapter() {
+    let data = { contacts: {} };
+
+    return {
+        load: () => data,
+        save: newData => {
+            data = newData;
+        }
+    };
+}
+
+// Available storage adapters, selected with PHONE_STORE_ADAPTER
+const adapters = {
+    file: createFileAdapter,
+    kv: createKvAdapter,
+    memory: createMemoryAdapter
+};
+
+let adapter = null;
+
+/**
+ * Register a custom storage adapter (e.g. a database or KV store)
+ * @param {string} name - Adapter name to use in PHONE_STORE_ADAPTER
+ * @param {Function} factory - Returns an object with load() and save(data); both may return a promise
+ */
+function registerAdapter(name, factory) {
+    adapters[name] = factory;
+}
+
+/**
+ * Get the configured storage adapter
+ * @returns {Object} - Storage adapter
+ */
+function getAdapter() {
+    if (!adapter) {
+        const name = process.env.PHONE_STORE_ADAPTER || 'file';
+
+        if (!adapters[name]) {
+            throw new Error(`Unknown phone store adapter: ${name}`);
+        }
+
+        adapter = adapters[name]();
+    }
+
+    return adapter;
+}
+
+/**
+ * Load the stored numbers through the configured adapter
+ * @returns {Promise<Object>} - { contacts } with stored records by Apollo person ID
+ */
+async function loadData() {
+    const data = await getAdapter().load();
+    return data && data.contacts ? data : { contacts: {} };
+}
+
+/**
+ * Get the retention period for stored numbers
+ * @returns {number} - Time to live in milliseconds (0 means never expire)
+ */
+function getTtl() {
+    const days = parseFloat(process.env.PHONE_STORE_TTL_DAYS);
+    return (isNaN(days) ? DEFAULT_TTL_DAYS : days) * 24 * 60 * 60 * 1000;
+}
+
+/**
+ * Check whether a stored number has expired
+ * @param {Object} record - Stored phone record
+ * @param {number} now - Current timestamp
+ * @returns {boolean} - True if the record has expired
+ */
+function isExpired(record, now = Date.now()) {
+    return Boolean(record.expiresAt) && new Date(record.expiresAt).getTime() <= now;
+}
+
+/**
+ * Sort phone records so the most useful number comes first
+ * @param {Array} records - Stored phone records
+ * @returns {Array} - Sorted copy of the records
+ */
+function sortByConfidence(records) {
+    const rank = record => {
+        const index = CONFIDENCE_RANK.indexOf(record.confidence);
+        return index === -1 ? CONFIDENCE_RANK.length : index;
+    };
+
+    return [...records].sort((a, b) => rank(a) - rank(b) || b.receivedAt.localeCompare(a.receivedAt));
+}
+
+/**
+ * Normalize a number Apollo delivered to E.164
+ * The raw number is tried first, then Apollo's sanitized one
+ * @param {Object} phone - Entry of the webhook's phone_numbers array
+ * @param {Array<string>} countries - Countries of the contact and its company
+ * @returns {Object} - Result of phoneNormalizer.normalizePhone for the raw number, or the sanitized one when only that parses
+ */
+function normalizeDelivered(phone, countries) {
+    const raw = phoneNormalizer.normalizePhone(phone.raw_number || phone.sanitized_number, { countries });
+    if (raw.valid || !phone.sanitized_number) return raw;
+
+    const sanitized = phoneNormalizer.normalizePhone(phone.sanitized_number, { countries });
+    return sanitized.valid ? sanitized : raw;
+}
+
+/**
+ * Store all phone numbers Apollo delivered for a contact
+ * @param {string} contactId - Apollo person ID
+ * @param {Array} phoneNumbers - phone_numbers array from the Apollo webhook payload
+ * @param {Object} options - Store options
+ * @param {Array<string>} options.countries - Countries of the contact and its company, for numbers without a country code
+ * @returns {Promise<Array>} - Stored records for the contact
+ */
+async function addPhones(contactId, phoneNumbers, { countries = [] } = {}) {
+    const data = await loadData();
+    const now = new Date();
+    const ttl = getTtl();
+    const existing = data.contacts[contactId] || [];
+
+    phoneNumbers.forEach(phone => {
+        const rawNumber = phone.raw_number || phone.sanitized_number;
+        if (!rawNumber) return;
+
+        const normalized = normalizeDelivered(phone, countries);
+
+        const record = {
+            rawNumber,
+            sanitizedNumber: phone.sanitized_number || '',
+            e164Number: normalized.e164 || '',
+            country: normalized.country || '',
+            invalidReason: normalized.valid ? null : normalized.reason,
+            type: phone.type_cd || phone.type || '',
+            confidence: phone.confidence_cd || phone.confidence || '',
+            status: phone.status_cd || phone.status || '',
+            receivedAt: now.toISOString(),
+            expiresAt: ttl > 0 ? new Date(now.getTime() + ttl).toISOString() : null
+        };
+
+        // Replace a previous delivery of the same number rather than duplicating it
+        const key = record.e164Number || record.sanitizedNumber || record.rawNumber;
+        const index = existing.findIndex(r => (r.e164Number || r.sanitizedNumber || r.rawNumber) === key);
+
+        if (index === -1) {
+            existing.push(record);
+        } else {
+            const previous = existing[index];
+            existing[index] = {
+                ...record,
+                type: record.type || previous.type,
+                confidence: record.confidence || previous.confidence,
+                status: record.status || previous.status
+            };
+        }
+
+        console.log(`Stored ${record.type || 'unknown'} phone for contact ${contactId}: ${rawNumber.substring(0, 3)}***`);
+    });
+
+    data.contacts[contactId] = existing;
+    await getAdapter().save(data);
+
+    return sortByConfidence(existing);
+}
+
+/**
+ * Get the unexpired phone numbers for a contact
+ * @param {string} contactId - Apollo person ID
+ * @returns {Promise<Array>} - Stored records, best number first
+ */
+async function getPhones(contactId) {
+    const records = (await loadData()).contacts[contactId] || [];
+    return sortByConfidence(records.filter(record => !isExpired(record)));
+}
+
+/**
+ * Get the best phone number for a contact
+ * @param {string} contactId - Apollo person ID
+ * @returns {Promise<Object|null>} - Best stored record
+ */
+async function getBestPhone(contactId) {
+    return (await getPhones(contactId))[0] || null;
+}
+
+/**
+ * Get all unexpired phone numbers grouped by contact
+ * @returns {Promise<Array>} - Contacts with their stored numbers
+ */
+async function getAllPhones() {
+    const { contacts } = await loadData();
+    const now = Date.now();
+    const result = [];
+
+    Object.entries(contacts).forEach(([id, records]) => {
+        const phones = sortByConfidence(records.filter(record => !isExpired(record, now)));
+
+        if (phones.length > 0) {
+            result.push({
+                id,
+                phone: phones[0].e164Number || phones[0].rawNumber,
+                lastUpdated: phones.reduce((latest, record) => record.receivedAt > latest ? record.receivedAt : latest, ''),
+                phones
+            });
+        }
+    });
+
+    return result;
+}
+
+/**
+ * Remove stored phone numbers
+ * @param {Object} options - Purge options
+ * @param {Array<string>} options.contactIds - Remove all numbers for these contacts
+ * @param {Date} options.receivedBefore - Remove numbers received before this date
+ * @param {boolean} options.expiredOnly - Only remove expired numbers
+ * @returns {Promise<number>} - Number of phone records removed
+ */
+async function purge({ contactIds, receivedBefore, expiredOnly = false } = {}) {
+    const data = await loadData();
+    const now = Date.now();
+    let removed = 0;
+
+    Object.keys(data.contacts).forEach(id => {
+        if (contactIds && !contactIds.includes(id)) return;
+
+        const kept = data.contacts[id].filter(record => {
+            if (expiredOnly && !isExpired(record, now)) return true;
+            if (receivedBefore && new Date(record.receivedAt) >= receivedBefore) return true;
+            return false;
+        });
+
+        removed += data.contacts[id].length - kept.length;
+
+        if (kept.length > 0) {
+            data.contacts[id] = kept;
+        } else {
+            delete data.contacts[id];
+        }
+    });
+
+    await getAdapter().save(data);
+    return removed;
+}
+
+/**
+ * Remove all expired phone numbers
+ * @returns {Promise<number>} - Number of phone records removed
+ */
+function purgeExpired() {
+    return purge({ expiredOnly: true });
+}
+
+module.exports = {
+    registerAdapter,
+    addPhones,
+    getPhones,
+    getBestPhone,
+    getAllPhones,
+    purge,
+    purgeExpired
+};
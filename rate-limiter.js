@@ -0,0 +1,204 @@
+/**
+ * Per-provider rate limiter
+ *
+ * One token bucket per kind of outbound call (Apollo search, Apollo match,
+ * Bigin read, Bigin write), shared by every route and background job in the
+ * process. Callers wait in a FIFO queue until their bucket has a token, and
+ * the queue depth and expected wait are exposed for the UI.
+ */
+
+require('dotenv').config();
+
+// Default quotas in requests per minute, overridable per bucket via env
+const DEFAULT_QUOTAS = {
+    'apollo-search': { env: 'RATE_LIMIT_APOLLO_SEARCH_PER_MINUTE', perMinute: 50 },
+    'apollo-match': { env: 'RATE_LIMIT_APOLLO_MATCH_PER_MINUTE', perMinute: 100 },
+    'bigin-read': { env: 'RATE_LIMIT_BIGIN_READ_PER_MINUTE', perMinute: 100 },
+    'bigin-write': { env: 'RATE_LIMIT_BIGIN_WRITE_PER_MINUTE', perMinute: 60 }
+};
+
+// Requests a bucket allows back to back before it starts spacing them out
+const DEFAULT_BURST = 5;
+
+/**
+ * Create a token bucket
+ * @param {string} name - Bucket name
+ * @param {Object} options - Bucket options
+ * @param {number} options.perMinute - Sustained requests per minute (0 disables the limit)
+ * @param {number} options.burst - Maximum tokens the bucket holds
+ * @returns {Object} - Bucket with acquire, pause and getStatus methods
+ */
+function createTokenBucket(name, { perMinute, burst = DEFAULT_BURST }) {
+    const ratePerMs = perMinute / 60000;
+    const capacity = Math.max(1, burst);
+    const waiting = [];
+
+    let tokens = capacity;
+    let lastRefill = Date.now();
+    let pausedUntil = 0;
+    let timer = null;
+
+    const stats = {
+        requests: 0,
+        throttled: 0,
+        totalWaitMs: 0,
+        lastWaitMs: 0
+    };
+
+    /**
+     * Add the tokens earned since the last refill
+     */
+    function refill() {
+        const now = Date.now();
+        tokens = Math.min(capacity, tokens + (now - lastRefill) * ratePerMs);
+        lastRefill = now;
+    }
+
+    /**
+     * Hand out tokens to waiting callers, and schedule the next attempt if any are left
+     */
+    function drain() {
+        if (timer) return;
+
+        refill();
+        const now = Date.now();
+
+        while (waiting.length > 0 && tokens >= 1 && now >= pausedUntil) {
+            tokens -= 1;
+            const { resolve, enqueuedAt } = waiting.shift();
+            const waited = now - enqueuedAt;
+
+            stats.lastWaitMs = waited;
+            stats.totalWaitMs += waited;
+            if (waited > 0) stats.throttled++;
+
+            resolve(waited);
+        }
+
+        if (waiting.length > 0) {
+            const untilToken = Math.ceil((1 - tokens) / ratePerMs);
+            const untilResume = pausedUntil - now;
+
+            timer = setTimeout(() => {
+                timer = null;
+                drain();
+            }, Math.max(untilToken, untilResume, 1));
+        }
+    }
+
+    return {
+        name,
+
+        /**
+         * Wait for a token
+         * @returns {Promise<number>} - Milliseconds spent waiting
+         */
+        acquire() {
+            stats.requests++;
+
+            if (perMinute <= 0) {
+                return Promise.resolve(0);
+            }
+
+            return new Promise(resolve => {
+                waiting.push({ resolve, enqueuedAt: Date.now() });
+                drain();
+            });
+        },
+
+        /**
+         * Stop handing out tokens for a while, e.g. after the API returned a 429
+         * @param {number} ms - Milliseconds to pause
+         */
+        pause(ms) {
+            if (perMinute <= 0) return;
+
+            pausedUntil = Math.max(pausedUntil, Date.now() + ms);
+            tokens = 0;
+            lastRefill = Date.now();
+
+            if (timer) {
+                clearTimeout(timer);
+                timer = null;
+            }
+            drain();
+        },
+
+        /**
+         * Current bucket state
+         * @returns {Object} - Quota, queue depth and expected wait for a new request
+         */
+        getStatus() {
+            const now = Date.now();
+            let estimatedWaitMs = 0;
+
+            if (perMinute > 0) {
+                refill();
+                const missingTokens = Math.max(0, waiting.length + 1 - tokens);
+                estimatedWaitMs = Math.max(0, pausedUntil - now) + Math.ceil(missingTokens / ratePerMs);
+            }
+
+            return {
+                name,
+                perMinute,
+                burst: capacity,
+                available: perMinute > 0 ? Math.floor(tokens) : null,
+                queueDepth: waiting.length,
+                estimatedWaitMs,
+                pausedUntil: pausedUntil > now ? new Date(pausedUntil).toISOString() : null,
+                requests: stats.requests,
+                throttled: stats.throttled,
+                lastWaitMs: stats.lastWaitMs,
+                averageWaitMs: stats.requests > 0 ? Math.round(stats.totalWaitMs / stats.requests) : 0
+            };
+        }
+    };
+}
+
+// Buckets are created on first use
+const buckets = {};
+
+/**
+ * Get the shared bucket for a kind of call
+ * @param {string} name - Bucket name (apollo-search, apollo-match, bigin-read or bigin-write)
+ * @returns {Object} - Token bucket
+ */
+function getLimiter(name) {
+    if (!buckets[name]) {
+        const quota = DEFAULT_QUOTAS[name];
+
+        if (!quota) {
+            throw new Error(`Unknown rate limiter: ${name}`);
+        }
+
+        const configured = parseInt(process.env[quota.env]);
+        const burst = parseInt(process.env.RATE_LIMIT_BURST);
+
+        buckets[name] = createTokenBucket(name, {
+            perMinute: isNaN(configured) ? quota.perMinute : configured,
+            burst: isNaN(burst) ? DEFAULT_BURST : burst
+        });
+    }
+
+    return buckets[name];
+}
+
+/**
+ * Get the status of every bucket
+ * @returns {Object} - Bucket name to status
+ */
+function getStatus() {
+    const status = {};
+
+    Object.keys(DEFAULT_QUOTAS).forEach(name => {
+        status[name] = getLimiter(name).getStatus();
+    });
+
+    return status;
+}
+
+module.exports = {
+    createTokenBucket,
+    getLimiter,
+    getStatus
+};
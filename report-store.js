@@ -0,0 +1,95 @@
+/**
+ * Storage for reports of values that need attention
+ *
+ * A report groups values by where they were seen (a Bigin field, a webhook)
+ * and counts how often each one comes up, so they can be listed and cleared
+ * once they've been dealt with. The unmapped-value and invalid-phone reports
+ * are both kept this way.
+ */
+
+const { createJsonStore } = require('./json-store');
+
+/**
+ * Create a report backed by a JSON store
+ * @param {string} name - Store name, used as the file name
+ * @param {Object} options - How entries are grouped and keyed
+ * @param {string} options.groupsKey - Property of the stored data that holds the groups
+ * @param {Function} options.groupOf - Returns the group of a recorded entry
+ * @param {Function} options.keyOf - Returns the key of a recorded entry within its group
+ * @param {Function} options.describeGroup - Returns the fields listed for a group, e.g. { module, field }
+ * @param {Function} options.updateEntry - Copies extra details of a recorded entry onto the stored one
+ * @returns {Object} - Report with record, list and clear methods
+ */
+function createReportStore(name, { groupsKey, groupOf, keyOf, describeGroup, updateEntry = () => {} }) {
+    const store = createJsonStore(name, () => ({ [groupsKey]: {} }));
+
+    // Call fn with every stored entry and the group it belongs to, listed with the group's fields
+    function forEachEntry(data, fn) {
+        Object.entries(data[groupsKey]).forEach(([group, entries]) => {
+            const groupFields = describeGroup(group);
+
+            Object.entries(entries).forEach(([key, entry]) => {
+                fn({ ...groupFields, ...entry }, group, key);
+            });
+        });
+    }
+
+    return {
+        // Count recorded entries, keeping when each was first and last seen
+        record(entries) {
+            if (!entries || entries.length === 0) return;
+
+            const now = new Date().toISOString();
+
+            store.update(data => {
+                entries.forEach(recorded => {
+                    const group = groupOf(recorded);
+                    const key = keyOf(recorded);
+                    const values = data[groupsKey][group] || (data[groupsKey][group] = {});
+                    const entry = values[key] || (values[key] = { value: String(recorded.value).trim(), count: 0, firstSeen: now });
+
+                    updateEntry(entry, recorded);
+                    entry.count++;
+                    entry.lastSeen = now;
+                });
+            });
+        },
+
+        // List the entries the filter accepts, with their group's fields
+        list(filter = () => true) {
+            const entries = [];
+
+            forEachEntry(store.read(), entry => {
+                if (filter(entry)) entries.push(entry);
+            });
+
+            return entries;
+        },
+
+        // Remove the entries the filter accepts and return how many were removed
+        clear(filter = () => true) {
+            let removed = 0;
+
+            store.update(data => {
+                forEachEntry(data, (entry, group, key) => {
+                    if (!filter(entry)) return;
+
+                    delete data[groupsKey][group][key];
+                    removed++;
+                });
+
+                Object.keys(data[groupsKey]).forEach(group => {
+                    if (Object.keys(data[groupsKey][group]).length === 0) {
+                        delete data[groupsKey][group];
+                    }
+                });
+            });
+
+            return removed;
+        }
+    };
+}
+
+module.exports = {
+    createReportStore
+};
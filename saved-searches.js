@@ -0,0 +1,449 @@
+/**
+ * Saved Apollo searches with scheduled syncs
+ *
+ * A saved search is a named set of Apollo tab filters (job title, region,
+ * industry, keywords) with a cron schedule. When it runs, the search is
+ * repeated against Apollo, people already in the sync ledger, in a queued sync
+ * job or in Bigin are skipped, and the rest are queued as a background sync
+ * job. Every run is kept in the search's history with its counts.
+ */
+
+const crypto = require('crypto');
+const { createJsonStore } = require('./json-store');
+const integration = require('./integration');
+const syncLedger = require('./sync-ledger');
+const syncJobs = require('./sync-jobs');
+const cronSchedule = require('./cron-schedule');
+const contactMatcher = require('./contact-matcher');
+const { ValidationError, isRateLimitError } = require('./api-errors');
+
+const store = createJsonStore('saved-searches', () => ({ searches: {}, runs: {} }));
+
+// Filters a saved search can hold, as used by /api/apollo/contacts
+const FILTER_FIELDS = ['jobTitle', 'region', 'industry', 'keywords'];
+
+// Apollo returns at most 100 people per page
+const APOLLO_PAGE_SIZE = 100;
+
+// People fetched per run unless the search sets its own limit
+const DEFAULT_MAX_CONTACTS = 100;
+const MAX_CONTACTS_LIMIT = 500;
+
+// Runs kept in each search's history
+const MAX_RUNS_PER_SEARCH = 50;
+
+// How often the scheduler checks for due searches
+const SCHEDULER_INTERVAL = 60 * 1000; // 1 minute
+
+// Searches with a run in progress
+const runningSearches = new Set();
+let schedulerTimer = null;
+
+/**
+ * Build an error for a request that conflicts with the search's state
+ * @param {string} message - Error message
+ * @returns {Error} - Error with a 409 status code
+ */
+function conflictError(message) {
+    const error = new Error(message);
+    error.statusCode = 409;
+    return error;
+}
+
+/**
+ * Check and clean up the editable fields of a saved search
+ * @param {Object} input - Fields from the request
+ * @param {Object} current - Current saved search when updating
+ * @returns {Object} - Validated fields
+ * @throws {ValidationError} - When a field is invalid
+ */
+function validateSearch(input, current = {}) {
+    const name = input.name !== undefined ? String(input.name).trim() : current.name;
+    if (!name) {
+        throw new ValidationError('A saved search needs a name');
+    }
+
+    const filters = {};
+    FILTER_FIELDS.forEach(field => {
+        const value = input.filters && input.filters[field] !== undefined ?
+            input.filters[field] : (current.filters || {})[field];
+        filters[field] = value ? String(value).trim() : '';
+    });
+
+    if (!FILTER_FIELDS.some(field => filters[field])) {
+        throw new ValidationError('A saved search needs at least one filter');
+    }
+
+    const schedule = input.schedule !== undefined ? String(input.schedule).trim() : current.schedule;
+    if (schedule) {
+        // Throws a ValidationError describing the problem
+        cronSchedule.parse(schedule);
+    }
+
+    const maxContacts = input.maxContacts !== undefined ? parseInt(input.maxContacts) : current.maxContacts;
+
+    return {
+        name,
+        filters,
+        schedule: schedule || null,
+        enabled: input.enabled !== undefined ? Boolean(input.enabled) : current.enabled !== false,
+        maxContacts: isNaN(maxContacts) || maxContacts < 1 ?
+            DEFAULT_MAX_CONTACTS : Math.min(maxContacts, MAX_CONTACTS_LIMIT)
+    };
+}
+
+/**
+ * Work out when a search should next run
+ * @param {Object} search - Saved search
+ * @param {Date} from - Time to count from
+ * @returns {string|null} - ISO timestamp, or null when the search isn't scheduled
+ */
+function getNextRunAt(search, from = new Date()) {
+    if (!search.enabled || !search.schedule) return null;
+
+    const next = cronSchedule.getNextRun(search.schedule, from);
+    return next ? next.toISOString() : null;
+}
+
+/**
+ * Get every stored sync job by ID
+ * @returns {Object} - Job ID to job status
+ */
+function getJobsById() {
+    const jobs = {};
+    syncJobs.listJobs(Infinity).forEach(job => {
+        jobs[job.id] = job;
+    });
+    return jobs;
+}
+
+/**
+ * Add the latest job status to a run, for runs that queued a sync job
+ * @param {Object} run - Run record
+ * @param {Object} jobs - Job ID to job status
+ * @returns {Object} - Run with its job's status and summary
+ */
+function withJobStatus(run, jobs) {
+    if (!run.jobId) return run;
+
+    const job = jobs[run.jobId];
+
+    return {
+        ...run,
+        job: job ? {
+            status: job.status,
+            processed: job.processed,
+            succeeded: job.succeeded,
+            failed: job.failed,
+            summary: job.summary
+        } : null
+    };
+}
+
+/**
+ * List saved searches, each with its most recent run
+ * @returns {Array} - Saved searches
+ */
+function listSearches() {
+    const { searches, runs } = store.read();
+    const jobs = getJobsById();
+
+    return Object.values(searches)
+        .sort((a, b) => a.name.localeCompare(b.name))
+        .map(search => {
+            const lastRun = (runs[search.id] || [])[0];
+            return {
+                ...search,
+                running: runningSearches.has(search.id),
+                lastRun: lastRun ? withJobStatus(lastRun, jobs) : null
+            };
+        });
+}
+
+/**
+ * Get a saved search with its run history
+ * @param {string} searchId - Saved search ID
+ * @returns {Object|null} - Saved search with its runs, newest first
+ */
+function getSearch(searchId) {
+    const { searches, runs } = store.read();
+    const search = searches[searchId];
+    if (!search) return null;
+
+    const jobs = getJobsById();
+
+    return {
+        ...search,
+        running: runningSearches.has(searchId),
+        runs: (runs[searchId] || []).map(run => withJobStatus(run, jobs))
+    };
+}
+
+/**
+ * Save a new search
+ * @param {Object} input - { name, filters, schedule, enabled, maxContacts }
+ * @returns {Object} - Saved search
+ */
+function createSearch(input) {
+    const now = new Date().toISOString();
+    const search = {
+        id: crypto.randomUUID(),
+        ...validateSearch(input),
+        createdAt: now,
+        updatedAt: now,
+        lastRunAt: null
+    };
+    search.nextRunAt = getNextRunAt(search);
+
+    store.update(data => {
+        data.searches[search.id] = search;
+    });
+
+    return search;
+}
+
+/**
+ * Change a saved search
+ * @param {string} searchId - Saved search ID
+ * @param {Object} input - Fields to change
+ * @returns {Object|null} - Updated search, or null if it doesn't exist
+ */
+function updateSearch(searchId, input) {
+    const current = store.read().searches[searchId];
+    if (!current) return null;
+
+    const search = {
+        ...current,
+        ...validateSearch(input, current),
+        updatedAt: new Date().toISOString()
+    };
+    search.nextRunAt = getNextRunAt(search);
+
+    store.update(data => {
+        data.searches[searchId] = search;
+    });
+
+    return search;
+}
+
+/**
+ * Delete a saved search and its run history
+ * @param {string} searchId - Saved search ID
+ * @returns {boolean} - True if the search existed
+ */
+function deleteSearch(searchId) {
+    return store.update(data => {
+        if (!data.searches[searchId]) return false;
+
+        delete data.searches[searchId];
+        delete data.runs[searchId];
+        return true;
+    });
+}
+
+/**
+ * Fetch the people a saved search finds in Apollo
+ * @param {Object} search - Saved search
+ * @returns {Promise<Array>} - Apollo people, at most search.maxContacts
+ */
+async function fetchApolloContacts(search) {
+    const contacts = [];
+    const pages = Math.ceil(search.maxContacts / APOLLO_PAGE_SIZE);
+
+    for (let page = 1; page <= pages; page++) {
+        const people = await integration.searchApolloContacts(integration.buildApolloSearchParams({
+            ...search.filters,
+            page,
+            perPage: APOLLO_PAGE_SIZE
+        }));
+
+        contacts.push(...people);
+
+        if (people.length < APOLLO_PAGE_SIZE) break;
+    }
+
+    return contacts.slice(0, search.maxContacts);
+}
+
+/**
+ * Check whether an Apollo email is a real address
+ * Search results hold a placeholder until the email is revealed
+ * @param {string} email - Email from Apollo
+ * @returns {boolean} - True for usable addresses
+ */
+function isUsableEmail(email) {
+    return Boolean(email) && !email.includes('email_not_unlocked');
+}
+
+/**
+ * Split Apollo people into those already synced, queued or in Bigin and those that are new
+ * @param {Array<Object>} contacts - Apollo people
+ * @returns {Promise<Object>} - { newContacts, alreadySynced, alreadyQueued, inBigin }
+ */
+async function filterNewContacts(contacts) {
+    const ledger = syncLedger.getEntries(contacts.map(contact => contact.id));
+    const synced = contacts.filter(contact => ledger[contact.id] && ledger[contact.id].status === 'synced');
+
+    // People an earlier run queued whose job hasn't finished; queuing them again would sync them twice
+    const queuedIds = syncJobs.getQueuedContactIds();
+    const queued = contacts.filter(contact => !synced.includes(contact) && queuedIds.has(contact.id));
+    const notSynced = contacts.filter(contact => !synced.includes(contact) && !queued.includes(contact));
+
+    // People added to Bigin some other way, found by email or LinkedIn URL
+    const emails = notSynced.map(contact => contact.email).filter(isUsableEmail);
+    const linkedInUrls = notSynced.map(contact => contact.linkedin_url).filter(Boolean);
+
+    const byEmail = await integration.searchBiginRecordsByField('Contacts', 'Email', emails);
+    const byLinkedIn = await integration.searchBiginRecordsByField('Contacts', 'LinkedIn', linkedInUrls);
+
+    const biginEmails = new Set(byEmail.map(contact => String(contact.Email || '').toLowerCase()));
+    const biginLinkedIn = new Set(byLinkedIn.map(contact => contactMatcher.normalizeLinkedInUrl(contact.LinkedIn)));
+
+    const newContacts = notSynced.filter(contact => {
+        const email = isUsableEmail(contact.email) ? contact.email.toLowerCase() : '';
+        const linkedIn = contactMatcher.normalizeLinkedInUrl(contact.linkedin_url);
+
+        return !(email && biginEmails.has(email)) && !(linkedIn && biginLinkedIn.has(linkedIn));
+    });
+
+    return {
+        newContacts,
+        alreadySynced: synced.length,
+        alreadyQueued: queued.length,
+        inBigin: notSynced.length - newContacts.length
+    };
+}
+
+/**
+ * Add a run to a search's history, or replace it if it's already there
+ * @param {Object} run - Run record
+ */
+function saveRun(run) {
+    store.update(data => {
+        // The search may have been deleted while it ran
+        if (!data.searches[run.searchId]) return;
+
+        const runs = (data.runs[run.searchId] || []).filter(r => r.id !== run.id);
+        data.runs[run.searchId] = [run, ...runs].slice(0, MAX_RUNS_PER_SEARCH);
+    });
+}
+
+/**
+ * Run a saved search: find new people in Apollo and queue them for sync
+ * @param {string} searchId - Saved search ID
+ * @param {Object} options - Run options
+ * @param {string} options.trigger - What started the run (manual or schedule)
+ * @returns {Promise<Object|null>} - Run record, or null if the search doesn't exist
+ */
+async function runSearch(searchId, { trigger = 'manual' } = {}) {
+    const search = store.read().searches[searchId];
+    if (!search) return null;
+
+    if (runningSearches.has(searchId)) {
+        throw conflictError(`Saved search "${search.name}" is already running`);
+    }
+
+    runningSearches.add(searchId);
+
+    const run = {
+        id: crypto.randomUUID(),
+        searchId,
+        trigger,
+        status: 'running',
+        found: 0,
+        alreadySynced: 0,
+        alreadyQueued: 0,
+        inBigin: 0,
+        queued: 0,
+        jobId: null,
+        error: null,
+        startedAt: new Date().toISOString(),
+        finishedAt: null
+    };
+    saveRun(run);
+
+    try {
+        const contacts = await fetchApolloContacts(search);
+        const { newContacts, alreadySynced, alreadyQueued, inBigin } = await filterNewContacts(contacts);
+
+        Object.assign(run, {
+            found: contacts.length,
+            alreadySynced,
+            alreadyQueued,
+            inBigin,
+            queued: newContacts.length
+        });
+
+        if (newContacts.length > 0) {
+            run.jobId = syncJobs.createJob(newContacts).id;
+        }
+
+        run.status = 'completed';
+    } catch (error) {
+        console.error(`Error running saved search "${search.name}":`, error.message);
+        run.status = 'failed';
+        run.error = error.message;
+        run.isRateLimit = isRateLimitError(error);
+    } finally {
+        runningSearches.delete(searchId);
+    }
+
+    run.finishedAt = new Date().toISOString();
+    saveRun(run);
+
+    store.update(data => {
+        const stored = data.searches[searchId];
+        if (stored) {
+            stored.lastRunAt = run.startedAt;
+            stored.nextRunAt = getNextRunAt(stored);
+        }
+    });
+
+    return run;
+}
+
+/**
+ * Run every enabled search whose scheduled time has passed
+ * A run missed while the server was down happens once, at the next check
+ */
+async function runDueSearches() {
+    const now = new Date().toISOString();
+    const due = Object.values(store.read().searches)
+        .filter(search => search.enabled && search.nextRunAt && search.nextRunAt <= now)
+        .filter(search => !runningSearches.has(search.id));
+
+    for (const search of due) {
+        console.log(`Running saved search "${search.name}" on schedule`);
+        await runSearch(search.id, { trigger: 'schedule' });
+    }
+}
+
+/**
+ * Start checking for due saved searches once a minute
+ */
+function startScheduler() {
+    if (schedulerTimer) return;
+
+    // Searches saved before they had a next run time get one now
+    store.update(data => {
+        Object.values(data.searches).forEach(search => {
+            if (search.nextRunAt === undefined) {
+                search.nextRunAt = getNextRunAt(search);
+            }
+        });
+    });
+
+    schedulerTimer = setInterval(() => {
+        runDueSearches().catch(error => console.error('Saved search scheduler error:', error.message));
+    }, SCHEDULER_INTERVAL);
+}
+
+module.exports = {
+    listSearches,
+    getSearch,
+    createSearch,
+    updateSearch,
+    deleteSearch,
+    runSearch,
+    startScheduler
+};
@@ -10,56 +10,54 @@
 require('dotenv').config();
 const express = require('express');
 const path = require('path');
-const axios = require('axios');
 const bodyParser = require('body-parser');
 const integration = require('./integration');
 const fieldMapping = require('./field-mapping');
+const mappingConfig = require('./field-mapping-config');
+const biginFields = require('./bigin-fields');
+const unmappedValues = require('./unmapped-values');
+const invalidPhones = require('./invalid-phones');
+const syncLedger = require('./sync-ledger');
+const syncEngine = require('./sync-engine');
+const syncJobs = require('./sync-jobs');
+const syncRuns = require('./sync-runs');
+const enrichment = require('./enrichment');
+const deals = require('./deals');
+const contactRules = require('./contact-rules');
+const notes = require('./notes');
+const ownerAssignment = require('./owner-assignment');
+const savedSearches = require('./saved-searches');
+const phoneStore = require('./phone-store');
+const tokenManager = require('./token-manager');
+const { apolloClient, biginClient } = require('./http-client');
+const apiErrors = require('./api-errors');
+const rateLimiter = require('./rate-limiter');
+const accountMatcher = require('./account-matcher');
 
 // Initialize Express
 const app = express();
 const PORT = process.env.PORT || 3000;
 
-// Simple in-memory storage for webhook received phone numbers
-// In a production app, this would be stored in a database
-const phoneStore = {
-    contacts: new Map(), // Map of contact IDs to phone numbers
-    lastUpdated: new Map(), // Map of contact IDs to timestamps
-    
-    // Add or update a phone number
-    addPhone(contactId, phone) {
-        this.contacts.set(contactId, phone);
-        this.lastUpdated.set(contactId, Date.now());
-        console.log(`Stored phone for contact ${contactId}: ${phone.substring(0, 3)}***`);
-    },
-    
-    // Get a phone number
-    getPhone(contactId) {
-        return this.contacts.get(contactId);
-    },
-    
-    // Check if we have a phone for this contact
-    hasPhone(contactId) {
-        return this.contacts.has(contactId);
-    },
-    
-    // Get all stored phones
-    getAllPhones() {
-        const result = [];
-        this.contacts.forEach((phone, id) => {
-            result.push({
-                id,
-                phone,
-                lastUpdated: this.lastUpdated.get(id)
-            });
-        });
-        return result;
-    }
-};
-
 // Middleware
 app.use(bodyParser.json());
 app.use(express.static(path.join(__dirname, 'ui')));
 
+/**
+ * Send an error response, mapping typed API errors to matching HTTP statuses
+ * (rate limits become 429, auth failures 401, rejected data 400)
+ * @param {Object} res - Express response
+ * @param {Error} error - Error thrown while handling the request
+ */
+function sendError(res, error) {
+    const { status, body } = apiErrors.toHttpResponse(error);
+
+    if (status === 429 && body.retryAfter) {
+        res.set('Retry-After', String(body.retryAfter));
+    }
+
+    res.status(status).json(body);
+}
+
 // Serve the main UI
 app.get('/', (req, res) => {
     res.sendFile(path.join(__dirname, 'ui', 'index.html'));
@@ -83,45 +81,14 @@ app.get('/api/apollo/contacts', async(req, res) => {
         } = req.query;
 
         // Build search parameters
-        const searchParams = {
+        const searchParams = integration.buildApolloSearchParams({
             page: parseInt(page),
-            per_page: parseInt(perPage)
-        };
-
-        // Add filters if provided
-        if (jobTitle) {
-            // Use person_titles instead of q_titles for job title filtering
-            // This should be an array of strings according to Apollo API docs
-            searchParams.person_titles = [jobTitle];
-            console.log(`Job title filter applied: ${jobTitle}`);
-        }
-
-        if (region) {
-            // For region filtering, use person_locations for personal location
-            // or organization_locations for company headquarters
-            if (region.length === 2 && region === region.toUpperCase()) {
-                // If region looks like a country code (e.g., US, UK)
-                searchParams.person_locations = [`${region}`];
-            } else if (['United States', 'India', 'China', 'Japan', 'Germany', 'France', 'UK', 
-                        'Canada', 'Australia', 'Brazil', 'Russia'].includes(region)) {
-                // If it's a recognized country name
-                searchParams.person_locations = [`${region}`];
-            } else {
-                // Otherwise treat as a location name (state, city)
-                searchParams.person_locations = [`${region}`];
-            }
-            
-            console.log(`Region filter applied: ${region} → person_locations`);
-        }
-
-        if (industry) {
-            searchParams.q_industry_tag_ids = [industry];
-        }
-
-        if (keywords) {
-            // Apollo API supports keyword search with q_keywords
-            searchParams.q_keywords = keywords;
-        }
+            perPage: parseInt(perPage),
+            jobTitle,
+            region,
+            industry,
+            keywords
+        });
 
         console.log('Apollo search params:', JSON.stringify(searchParams, null, 2));
         const contacts = await integration.searchApolloContacts(searchParams);
@@ -136,11 +103,44 @@ app.get('/api/apollo/contacts', async(req, res) => {
         });
     } catch (error) {
         console.error('Error fetching Apollo contacts:', error);
-        res.status(500).json({
-            success: false,
-            error: error.message,
-            details: error.response && error.response.data
+        sendError(res, error);
+    }
+});
+
+/**
+ * Search organizations in Apollo.io for the Organizations tab
+ */
+app.get('/api/apollo/organizations', async(req, res) => {
+    try {
+        const {
+            page = 1,
+            perPage = 25,
+            name = '',
+            region = '',
+            employees = '',
+            keywords = ''
+        } = req.query;
+
+        const searchParams = integration.buildApolloOrganizationSearchParams({
+            page: parseInt(page),
+            perPage: parseInt(perPage),
+            name,
+            region,
+            employees,
+            keywords
+        });
+
+        const organizations = await integration.searchApolloOrganizations(searchParams);
+
+        res.json({
+            success: true,
+            organizations,
+            page: parseInt(page),
+            perPage: parseInt(perPage)
         });
+    } catch (error) {
+        console.error('Error fetching Apollo organizations:', error);
+        sendError(res, error);
     }
 });
 
@@ -186,11 +186,7 @@ app.get('/api/apollo/industries', async(req, res) => {
         });
     } catch (error) {
         console.error('Error providing industries:', error);
-        res.status(500).json({
-            success: false,
-            error: error.message,
-            details: error.response && error.response.data
-        });
+        sendError(res, error);
     }
 });
 
@@ -218,11 +214,12 @@ app.post('/api/apollo/reveal', async(req, res) => {
         console.log(`Attempting to reveal ${type} for ${contactIds.length} contacts...`);
         
         // First we need to get the contact details so we can reveal them
+        // The lookups are queued by the shared Apollo limiters rather than all sent at once
         const contactDetails = await Promise.all(
             contactIds.map(async (id) => {
                 try {
                     // Get contact details first
-                    const peopleResponse = await axios.post('https://api.apollo.io/v1/people/search', {
+                    const peopleResponse = await apolloClient.post('/people/search', {
                         api_key: process.env.APOLLO_API_KEY,
                         page: 1,
                         per_page: 1,
@@ -236,6 +233,11 @@ app.post('/api/apollo/reveal', async(req, res) => {
                     
                     return peopleResponse.data.people[0];
                 } catch (error) {
+                    // Rate limits and bad credentials affect every contact, so fail the request
+                    if (apiErrors.isRateLimitError(error) || error instanceof apiErrors.AuthError) {
+                        throw error;
+                    }
+
                     console.error(`Error getting contact details for ${id}:`, error.message);
                     return null;
                 }
@@ -277,7 +279,7 @@ app.post('/api/apollo/reveal', async(req, res) => {
                     console.log(`Revealing ${type} for ${contact.first_name} ${contact.last_name} at ${matchParams.organization_name}...`);
                     
                     // Use people/match endpoint to reveal information
-                    const response = await axios.post('https://api.apollo.io/v1/people/match', matchParams);
+                    const response = await apolloClient.post('/people/match', matchParams);
 
                     if (!response.data || !response.data.person) {
                         console.warn(`No person data returned from Apollo API for contact ${contact.id}`);
@@ -332,6 +334,10 @@ app.post('/api/apollo/reveal', async(req, res) => {
                     
                     return revealedContact;
                 } catch (error) {
+                    if (apiErrors.isRateLimitError(error) || error instanceof apiErrors.AuthError) {
+                        throw error;
+                    }
+
                     console.error(`Error revealing contact ${contact.id}:`, error.message);
                     // Return contact ID with fallback values for error case
                     return { 
@@ -352,11 +358,8 @@ app.post('/api/apollo/reveal', async(req, res) => {
             message: `Successfully revealed ${type} for ${revealedContacts.length} contact(s)${type === 'phone' ? '. Additional phone data will be delivered via webhook.' : ''}`
         });
     } catch (error) {
-        console.error(`Error revealing ${type}:`, error);
-        res.status(500).json({
-            success: false,
-            error: error.message
-        });
+        console.error(`Error revealing ${req.body.type}:`, error);
+        sendError(res, error);
     }
 });
 
@@ -369,21 +372,10 @@ app.get('/api/bigin/contacts', async(req, res) => {
         const pageInt = parseInt(page);
         const perPageInt = parseInt(perPage);
 
-        // Ensure we have a valid token
-        const token = await integration.refreshBiginToken();
-
-        // Set headers
-        const headers = {
-            'Authorization': `Bearer ${token}`,
-            'Content-Type': 'application/json'
-        };
-
         // Get only the contacts for the requested page using Zoho's pagination
         // Zoho uses index-based pagination with from_index parameter
         const fromIndex = (pageInt - 1) * perPageInt;
-        const response = await axios.get(
-            `${process.env.BIGIN_BASE_URL || 'https://www.zohoapis.com/bigin/v1'}/Contacts?from_index=${fromIndex}&per_page=${perPageInt}`, { headers }
-        );
+        const response = await biginClient.get(`/Contacts?from_index=${fromIndex}&per_page=${perPageInt}`);
 
         if (!response.data || !response.data.data) {
             throw new Error('Invalid response from Bigin API');
@@ -397,9 +389,7 @@ app.get('/api/bigin/contacts', async(req, res) => {
             totalCount = response.data.info.count;
         } else {
             // Get count from a separate API call
-            const countResponse = await axios.get(
-                `${process.env.BIGIN_BASE_URL || 'https://www.zohoapis.com/bigin/v1'}/Contacts/count`, { headers }
-            );
+            const countResponse = await biginClient.get('/Contacts/count');
             if (countResponse.data && countResponse.data.count) {
                 totalCount = countResponse.data.count;
             }
@@ -415,19 +405,7 @@ app.get('/api/bigin/contacts', async(req, res) => {
         });
     } catch (error) {
         console.error('Error fetching Bigin contacts:', error);
-        // If it's a rate limit error, return a more specific message
-        if (error.message && error.message.includes('rate limit')) {
-            return res.status(429).json({
-                success: false,
-                error: 'Rate limit exceeded. Please try again later.',
-                isRateLimit: true
-            });
-        }
-        res.status(500).json({
-            success: false,
-            error: error.message,
-            details: error.response && error.response.data
-        });
+        sendError(res, error);
     }
 });
 
@@ -447,318 +425,1198 @@ app.get('/api/bigin/contacts/search', async(req, res) => {
             });
         }
 
-        // Ensure we have a valid token
-        const token = await integration.refreshBiginToken();
-
-        // Set headers
-        const headers = {
-            'Authorization': `Bearer ${token}`,
-            'Content-Type': 'application/json'
-        };
-
         // Search directly with the Bigin API using criteria
         // This is more efficient than fetching all and filtering
-        // Use appropriate search criteria based on the query
-        const criteria = encodeURIComponent(`(Full_Name:contains:${query})OR(Email:contains:${query})OR(Account_Name:contains:${query})`);
         const fromIndex = (pageInt - 1) * perPageInt;
-
-        const response = await axios.get(
-            `${process.env.BIGIN_BASE_URL || 'https://www.zohoapis.com/bigin/v1'}/Contacts/search?criteria=${criteria}&from_index=${fromIndex}&per_page=${perPageInt}`, { headers }
-        );
-
-        if (!response.data) {
-            throw new Error('Invalid response from Bigin API');
-        }
+        const data = await integration.searchBiginContacts(query, { fromIndex, perPage: perPageInt });
 
         // Get the total count from the search response if available
         let totalCount = 0;
-        if (response.data.info && response.data.info.count) {
-            totalCount = response.data.info.count;
+        if (data.info && data.info.count) {
+            totalCount = data.info.count;
         } else {
-            totalCount = response.data.data ? response.data.data.length : 0;
+            totalCount = data.data ? data.data.length : 0;
         }
 
         res.json({
             success: true,
-            contacts: response.data.data || [],
+            contacts: data.data || [],
             page: pageInt,
             perPage: perPageInt,
             totalContacts: totalCount,
-            hasMore: response.data.info && response.data.info.more_records === true
+            hasMore: data.info && data.info.more_records === true
         });
     } catch (error) {
         console.error('Error searching Bigin contacts:', error);
-        // If it's a rate limit error, return a more specific message
-        if (error.message && error.message.includes('rate limit')) {
-            return res.status(429).json({
-                success: false,
-                error: 'Rate limit exceeded. Please try again later.',
-                isRateLimit: true
-            });
-        }
-        res.status(500).json({
-            success: false,
-            error: error.message,
-            details: error.response && error.response.data
+        sendError(res, error);
+    }
+});
+
+/**
+ * Get the Bigin users contacts can be assigned to
+ * Pass refresh=true to reload the cached list
+ */
+app.get('/api/bigin/users', async(req, res) => {
+    try {
+        const users = await integration.getBiginUsers(req.query.refresh === 'true');
+
+        res.json({
+            success: true,
+            users: users.map(user => ({
+                id: user.id,
+                name: user.full_name,
+                email: user.email,
+                status: user.status,
+                role: user.role ? user.role.name : null
+            }))
+        });
+    } catch (error) {
+        console.error('Error getting Bigin users:', error);
+        sendError(res, error);
+    }
+});
+
+/**
+ * Get the owner assignment rules (owner-rules.json), checked against the Bigin users
+ * Pass refresh=true to reload the users first
+ */
+app.get('/api/owner-rules', async(req, res) => {
+    try {
+        const { path: rulesPath, strategies, error, issues } = await ownerAssignment.checkConfig(req.query.refresh === 'true');
+
+        res.json({
+            success: true,
+            path: rulesPath,
+            strategies,
+            error,
+            issues
+        });
+    } catch (error) {
+        console.error('Error checking owner rules:', error);
+        sendError(res, error);
+    }
+});
+
+/**
+ * Get the Bigin pipelines and stages deals can be created in
+ */
+app.get('/api/bigin/pipelines', async(req, res) => {
+    try {
+        const pipelines = await integration.getBiginPipelines();
+
+        res.json({
+            success: true,
+            pipelines,
+            defaults: {
+                pipeline: process.env.BIGIN_DEAL_PIPELINE || '',
+                stage: process.env.BIGIN_DEAL_STAGE || '',
+                nameTemplate: process.env.BIGIN_DEAL_NAME_TEMPLATE || ''
+            }
+        });
+    } catch (error) {
+        console.error('Error getting Bigin pipelines:', error);
+        sendError(res, error);
+    }
+});
+
+/**
+ * Get the field metadata of a Bigin module (API names, data types, max lengths and picklist values)
+ * Pass refresh=true to reload it from Bigin
+ */
+app.get('/api/bigin/fields', async(req, res) => {
+    try {
+        const module = req.query.module || 'Contacts';
+        const fields = await biginFields.getFieldMetadata(module, req.query.refresh === 'true');
+
+        res.json({
+            success: true,
+            module,
+            fields
         });
+    } catch (error) {
+        console.error('Error getting Bigin fields:', error);
+        sendError(res, error);
     }
 });
 
 /**
  * Sync a single contact from Apollo to Bigin
+ * Pass deal: { pipeline, stage, nameTemplate } (or true for the configured defaults) to also create a deal
  */
 app.post('/api/sync/contact', async(req, res) => {
     try {
-        const { apolloContact } = req.body;
+        const { apolloContact, deal } = req.body;
 
         if (!apolloContact) {
             return res.status(400).json({ success: false, error: 'No contact data provided' });
         }
 
+        const dealOptions = deals.getDealOptions(deal);
+
         // Map Apollo contact to Bigin format
-        const biginContact = fieldMapping.mapApolloContactToBigin(apolloContact);
+        await integration.loadBiginPicklists();
+        // Unmapped values and invalid phones are only recorded once the contact is written
+        const mappingReport = fieldMapping.createMappingReport();
+        const biginContact = fieldMapping.mapApolloContactToBigin(apolloContact, null, mappingReport);
+        const rules = contactRules.applyRules(apolloContact, biginContact);
+
+        // Read before this sync is recorded, to tell first imports and title or company changes
+        const ledgerBefore = syncLedger.getEntry(apolloContact.id);
+
+        // Every record written is snapshotted, so the sync can be rolled back
+        const run = syncRuns.createRun({
+            source: 'contact',
+            description: [apolloContact.first_name, apolloContact.last_name].filter(Boolean).join(' ')
+        });
+        const snapshots = [];
+
+        let result;
+        try {
+            const assignOwner = await ownerAssignment.createAssigner();
+
+            // No need to explicitly refresh token, it's handled in createBiginContact
+            result = await integration.createBiginContact(biginContact, {
+                organization: accountMatcher.getOrganizationIdentity(apolloContact),
+                accountDetails: fieldMapping.mapContactOrganizationToBigin(apolloContact, null, null, mappingReport),
+                assignOwner: assignOwner && (() => assignOwner(apolloContact)),
+                snapshots
+            });
+        } catch (error) {
+            // An account may have been created before the contact failed
+            syncRuns.recordSnapshots(run, snapshots);
+            syncLedger.recordFailure(apolloContact, error);
+            throw error;
+        }
+
+        // A contact without an email that looks like an existing one isn't created;
+        // anything written on its way there stays undoable
+        if (result.needsReview) {
+            syncRuns.recordSnapshots(run, snapshots);
+            return res.status(409).json({
+                success: false,
+                error: `Possible duplicate of an existing Bigin contact (confidence ${result.duplicate.confidence}); review it before syncing`,
+                needsReview: true,
+                duplicate: result.duplicate,
+                apolloId: apolloContact.id
+            });
+        }
+
+        const ledgerEntry = syncLedger.recordSync(apolloContact, biginContact, result);
+        fieldMapping.recordMappingReport(mappingReport);
+
+        // Apollo context goes in notes so Description stays free for reps
+        const noteReason = notes.getContactNoteReason(apolloContact, ledgerBefore);
+        let noteResult = null;
+        try {
+            if (noteReason) {
+                const note = notes.buildContactNote(apolloContact, noteReason, ledgerBefore);
+                const [created] = await integration.createBiginNotes('Contacts', [{ ...note, parentId: result.id }]);
+                if (created && created.status === 'success') {
+                    snapshots.push({ module: 'Notes', id: created.details.id, action: 'create', label: note.Note_Title });
+                }
+                noteResult = {
+                    action: created && created.status === 'success' ? 'create' : 'failed',
+                    reason: noteReason,
+                    title: note.Note_Title,
+                    id: created && created.details ? created.details.id : null
+                };
+            }
+
+            const accountNote = result.account && result.account.status === 'none' && result.accountId ?
+                notes.buildAccountNote(apolloContact.organization) : null;
+            if (accountNote) {
+                const [created] = await integration.createBiginNotes('Accounts', [{ ...accountNote, parentId: result.accountId }]);
+                if (created && created.status === 'success') {
+                    snapshots.push({ module: 'Notes', id: created.details.id, action: 'create', label: accountNote.Note_Title });
+                }
+            }
+        } catch (error) {
+            console.error('Error adding Apollo notes in Bigin:', error.message);
+            noteResult = { action: 'failed', reason: noteReason, error: error.message };
+        }
+
+        // The contact is synced either way; a failed deal is only reported
+        let dealResult = null;
+        if (dealOptions) {
+            try {
+                [dealResult] = await deals.createDeals([{
+                    apolloContact,
+                    contactId: result.id,
+                    accountId: result.accountId
+                }], dealOptions);
+
+                if (dealResult.action === 'create' && dealResult.id) {
+                    snapshots.push({ module: 'Pipelines', id: dealResult.id, action: 'create', label: dealResult.name });
+                }
+            } catch (error) {
+                console.error('Error creating Bigin deal:', error.message);
+                dealResult = { action: 'failed', id: null, message: error.message };
+            }
+        }
 
-        // No need to explicitly refresh token, it's handled in createBiginContact
-        const result = await integration.createBiginContact(biginContact);
+        syncRuns.recordSnapshots(run, snapshots);
 
         res.json({
             success: true,
             contact: result,
-            apolloId: apolloContact.id
+            matchedRules: rules.matchedRules,
+            note: noteResult,
+            deal: dealResult,
+            apolloId: apolloContact.id,
+            ledger: ledgerEntry,
+            runId: snapshots.length > 0 ? run.id : null
         });
     } catch (error) {
         console.error('Error syncing contact:', error);
-        // If it's a rate limit error, return a more specific message
-        if (error.message && error.message.includes('rate limit')) {
-            return res.status(429).json({
-                success: false,
-                error: 'Rate limit exceeded. Please try again later.',
-                isRateLimit: true
-            });
-        }
-        res.status(500).json({
-            success: false,
-            error: error.message,
-            details: error.response && error.response.data
-        });
+        sendError(res, error);
     }
 });
 
 /**
  * Bulk sync contacts from Apollo to Bigin
+ * Pass dryRun: true to preview the sync without writing anything to Bigin
+ * Pass deal: { pipeline, stage, nameTemplate } (or true for the configured defaults) to create a deal per contact
  */
 app.post('/api/sync/contacts/bulk', async(req, res) => {
     try {
-        const { contacts } = req.body;
+        const { contacts, dryRun = false, deal } = req.body;
 
         if (!contacts || !Array.isArray(contacts) || contacts.length === 0) {
             return res.status(400).json({ success: false, error: 'No contacts provided for bulk sync' });
         }
 
-        // No need to explicitly refresh token, it's handled in createBiginContact
+        // Contacts are grouped into batches and written with Bigin's multi-record upsert
+        const { results, summary, runId } = await syncEngine.syncContacts(contacts, {
+            dryRun,
+            deal: deals.getDealOptions(deal)
+        });
+
+        // Return the results
+        res.json({
+            success: true,
+            dryRun,
+            results,
+            summary,
+            runId
+        });
+    } catch (error) {
+        console.error('Error in bulk sync operation:', error);
+        sendError(res, error);
+    }
+});
+
+/**
+ * Sync Apollo organizations to Bigin accounts
+ * Each organization creates an account, or updates the matching one using the Accounts merge policies
+ */
+app.post('/api/sync/organizations', async(req, res) => {
+    try {
+        const { organizations } = req.body;
+
+        if (!organizations || !Array.isArray(organizations) || organizations.length === 0) {
+            return res.status(400).json({ success: false, error: 'No organizations provided for sync' });
+        }
 
-        // Process contacts in batches
         const results = [];
-        const batchSize = 5; // Process 5 contacts at a time to avoid rate limits
-        const batchDelay = 2000; // 2 second delay between batches
+        let rateLimitError = null;
 
-        for (let i = 0; i < contacts.length; i += batchSize) {
-            const batch = contacts.slice(i, Math.min(i + batchSize, contacts.length));
+        // Every account written is snapshotted, so the sync can be rolled back
+        const run = syncRuns.createRun({ source: 'organizations', description: `${organizations.length} organization(s)` });
+        const snapshots = [];
 
-            // Process each contact in the batch
-            const batchPromises = batch.map(async(apolloContact) => {
-                try {
-                    // Map Apollo contact to Bigin format
-                    const biginContact = fieldMapping.mapApolloContactToBigin(apolloContact);
-
-                    // Sync the contact
-                    const result = await integration.createBiginContact(biginContact);
-
-                    return {
-                        id: apolloContact.id,
-                        name: `${apolloContact.first_name} ${apolloContact.last_name}`,
-                        email: apolloContact.email,
-                        company: apolloContact.organization_name,
-                        success: true,
-                        bigin_id: result.id,
-                        message: 'Successfully synced to Bigin'
-                    };
-                } catch (error) {
-                    return {
-                        id: apolloContact.id,
-                        name: `${apolloContact.first_name} ${apolloContact.last_name}`,
-                        email: apolloContact.email,
-                        company: apolloContact.organization_name,
+        for (const organization of organizations) {
+            const result = {
+                id: organization.id,
+                name: organization.name,
+                website: organization.website_url || null
+            };
+
+            // Every remaining organization would hit the same limit
+            if (rateLimitError) {
+                results.push({ ...result, success: false, action: 'failed', message: `Not synced: ${rateLimitError.message}` });
+                continue;
+            }
+
+            try {
+                const account = await integration.createBiginAccount(organization, { snapshots });
+
+                if (account.isAmbiguous) {
+                    results.push({
+                        ...result,
                         success: false,
-                        message: error.message || 'Error syncing to Bigin'
-                    };
+                        action: 'ambiguous',
+                        candidates: account.candidates,
+                        message: `Not synced: ${account.reason}`
+                    });
+                    continue;
                 }
-            });
 
-            // Wait for all contacts in the batch to be processed
-            const batchResults = await Promise.all(batchPromises);
-            results.push(...batchResults);
+                const action = !account.isUpdate ? 'create' :
+                    account.changedFields.length > 0 ? 'update' : 'unchanged';
 
-            // Add a delay between batches to respect API rate limits
-            if (i + batchSize < contacts.length) {
-                await new Promise(resolve => setTimeout(resolve, batchDelay));
+                results.push({
+                    ...result,
+                    success: true,
+                    action,
+                    bigin_id: account.id,
+                    changed_fields: account.changedFields,
+                    skipped_fields: (account.skipped || []).map(skip => skip.field),
+                    message: action === 'create' ? 'Created account in Bigin' :
+                        action === 'update' ? `Updated account "${account.name}": ${account.changedFields.join(', ')}` :
+                            `Account "${account.name}" is already up to date`
+                });
+            } catch (error) {
+                if (apiErrors.isRateLimitError(error)) {
+                    rateLimitError = error;
+                }
+                results.push({ ...result, success: false, action: 'failed', message: error.message || 'Error syncing organization' });
             }
         }
 
-        // Return the results
+        syncRuns.recordSnapshots(run, snapshots);
+
         res.json({
             success: true,
+            runId: snapshots.length > 0 ? run.id : null,
             results,
             summary: {
-                total: contacts.length,
+                total: results.length,
                 success: results.filter(r => r.success).length,
-                error: results.filter(r => !r.success).length
+                error: results.filter(r => !r.success).length,
+                create: results.filter(r => r.action === 'create').length,
+                update: results.filter(r => r.action === 'update').length,
+                unchanged: results.filter(r => r.action === 'unchanged').length,
+                ambiguous: results.filter(r => r.action === 'ambiguous').length
             }
         });
     } catch (error) {
-        console.error('Error in bulk sync operation:', error);
-        // If it's a rate limit error, return a more specific message
-        if (error.message && error.message.includes('rate limit')) {
-            return res.status(429).json({
-                success: false,
-                error: 'Rate limit exceeded. Please try again later.',
-                isRateLimit: true
-            });
-        }
-        res.status(500).json({
-            success: false,
-            error: error.message,
-            details: error.response && error.response.data
-        });
+        console.error('Error syncing organizations:', error);
+        sendError(res, error);
     }
 });
 
 /**
- * Check Bigin connection status
+ * Look up existing Bigin contacts in Apollo and preview what enrichment would change
+ * Pass contactIds for selected contacts, or query to enrich the results of a Bigin search
  */
-app.get('/api/bigin/status', async(req, res) => {
+app.post('/api/enrich/preview', async(req, res) => {
     try {
-        // First check if we have cached data rather than making a new API call
-        const cachedContacts = await integration.getBiginContacts();
-        if (cachedContacts && cachedContacts.length > 0) {
-            return res.json({
-                success: true,
-                connected: true,
-                usingCache: true,
-                contactCount: cachedContacts.length
-            });
-        }
-
-        // If no cached data, try to refresh token
-        const token = await integration.refreshBiginToken();
+        const { contactIds, query } = req.body;
+        const { results, summary } = await enrichment.previewEnrichment({ contactIds, query });
 
         res.json({
             success: true,
-            connected: true,
-            tokenStatus: 'Valid'
+            results,
+            summary
         });
     } catch (error) {
-        console.error('Error checking Bigin connection:', error);
-        res.status(200).json({
-            success: false,
-            connected: false,
-            error: error.message,
-            details: error.response && error.response.data
-        });
+        console.error('Error previewing enrichment:', error);
+        sendError(res, error);
     }
 });
 
 /**
- * Webhook endpoint for receiving phone data from Apollo.io
+ * Write approved enrichment changes to Bigin
+ * Body: { updates: [{ id, fields: { Title: '...', Phone: '...' } }] }
  */
-app.post('/api/apollo/phone-webhook', async(req, res) => {
+app.post('/api/enrich/apply', async(req, res) => {
     try {
-        console.log('Received webhook callback from Apollo with phone data');
-        console.log('Webhook payload:', JSON.stringify(req.body, null, 2));
-        
-        const { people } = req.body;
-        
-        if (!people || !Array.isArray(people)) {
-            console.warn('Invalid webhook payload - missing people array');
-            // Still return 200 to prevent Apollo from retrying
-            return res.status(200).json({
-                success: false,
-                error: 'Invalid payload format'
-            });
-        }
-        
-        console.log(`Processing phone data for ${people.length} contacts`);
-        
-        // Process each person in the webhook data
-        const processedContacts = people.map(person => {
-            if (!person.phone_numbers || !person.phone_numbers.length) {
-                console.log(`No phone numbers found for contact ${person.id}`);
-                return {
-                    id: person.id,
-                    status: 'no_phone_numbers'
-                };
-            }
-            
-            // Get the best phone number (usually the first one with highest confidence)
-            const bestPhone = person.phone_numbers[0];
-            
-            // Store the phone number in our phoneStore
-            phoneStore.addPhone(person.id, bestPhone.raw_number);
-            
-            console.log(`Found phone number for contact ${person.id}: ${bestPhone.raw_number.substring(0, 3)}***`);
-            
-            return {
-                id: person.id,
-                status: 'success',
-                phone: bestPhone.raw_number,
-                sanitized_phone: bestPhone.sanitized_number,
-                confidence: bestPhone.confidence_cd
-            };
-        });
-        
-        // Return success to acknowledge receipt
-        res.status(200).json({
+        // Every contact updated is snapshotted, so the changes can be rolled back
+        const run = syncRuns.createRun({ source: 'enrichment', description: 'Re-enrichment' });
+        const snapshots = [];
+        const results = await enrichment.applyEnrichment(req.body.updates, { snapshots });
+        syncRuns.recordSnapshots(run, snapshots);
+
+        res.json({
             success: true,
-            message: 'Phone data received successfully',
-            processed: processedContacts.length
+            results,
+            updated: results.filter(result => result.success).length,
+            runId: snapshots.length > 0 ? run.id : null
         });
     } catch (error) {
-        console.error('Error processing Apollo phone webhook:', error);
-        // Always return 200 even on error to prevent Apollo from retrying
-        res.status(200).json({
-            success: false,
-            error: error.message
-        });
+        console.error('Error applying enrichment:', error);
+        sendError(res, error);
     }
 });
 
 /**
- * Get stored phone numbers from webhook callbacks
+ * Get the configured contact rules (contact-rules.json)
  */
-app.get('/api/apollo/stored-phones', (req, res) => {
+app.get('/api/rules', (req, res) => {
     try {
-        const { contactIds } = req.query;
-        
-        // If specific contact IDs are requested
+        const { path: rulesPath, rules, error } = contactRules.loadRules();
+
+        res.json({
+            success: true,
+            path: rulesPath,
+            rules,
+            error
+        });
+    } catch (error) {
+        console.error('Error loading contact rules:', error);
+        sendError(res, error);
+    }
+});
+
+/**
+ * Preview which rules match Apollo contacts and the tags and fields they'd get
+ * Pass rules to try out draft rules instead of the configured ones
+ */
+app.post('/api/rules/preview', (req, res) => {
+    try {
+        const { contacts, rules } = req.body;
+
+        if (!contacts || !Array.isArray(contacts) || contacts.length === 0) {
+            return res.status(400).json({ success: false, error: 'No contacts provided for the rules preview' });
+        }
+
+        const config = contactRules.loadRules();
+        const rulesToApply = rules ? contactRules.validateRules(rules) : config.rules;
+
+        const results = contacts.map(contact => ({
+            id: contact.id,
+            name: [contact.first_name, contact.last_name].filter(Boolean).join(' '),
+            company: contact.organization_name || null,
+            ...contactRules.evaluateRules(contact, rulesToApply)
+        }));
+
+        const matchesPerRule = {};
+        rulesToApply.forEach(rule => {
+            matchesPerRule[rule.name] = results.filter(result => result.matchedRules.includes(rule.name)).length;
+        });
+
+        res.json({
+            success: true,
+            results,
+            matchesPerRule,
+            error: rules ? null : config.error
+        });
+    } catch (error) {
+        console.error('Error previewing contact rules:', error);
+        sendError(res, error);
+    }
+});
+
+/**
+ * Get the field mapping configuration (field-mappings.json)
+ */
+app.get('/api/mapping', (req, res) => {
+    try {
+        const { path: configPath, config, error } = mappingConfig.loadConfig();
+
+        res.json({
+            success: true,
+            path: configPath,
+            config,
+            transforms: Object.keys(mappingConfig.TRANSFORMS),
+            error
+        });
+    } catch (error) {
+        console.error('Error loading field mappings:', error);
+        sendError(res, error);
+    }
+});
+
+/**
+ * Save the field mapping configuration
+ */
+app.put('/api/mapping', (req, res) => {
+    try {
+        const { config } = req.body;
+
+        if (!config) {
+            return res.status(400).json({ success: false, error: 'No field mapping provided' });
+        }
+
+        const { path: configPath, config: saved } = mappingConfig.saveConfig(config);
+
+        res.json({
+            success: true,
+            path: configPath,
+            config: saved
+        });
+    } catch (error) {
+        console.error('Error saving field mappings:', error);
+        sendError(res, error);
+    }
+});
+
+/**
+ * Preview the Bigin contact and account an Apollo person would be mapped to
+ * Pass config to try out a draft mapping instead of the saved one
+ */
+app.post('/api/mapping/preview', async(req, res) => {
+    try {
+        const { contact, config } = req.body;
+
+        if (!contact || typeof contact !== 'object') {
+            return res.status(400).json({ success: false, error: 'No Apollo contact provided for the mapping preview' });
+        }
+
+        const mapping = config ? mappingConfig.resolveConfig(config) : mappingConfig.loadConfig().config;
+        await integration.loadBiginPicklists();
+
+        res.json({
+            success: true,
+            contact: fieldMapping.mapApolloContactToBigin(contact, mapping),
+            account: fieldMapping.mapContactOrganizationToBigin(contact, null, mapping)
+        });
+    } catch (error) {
+        console.error('Error previewing field mappings:', error);
+        sendError(res, error);
+    }
+});
+
+/**
+ * List the Apollo values picklist lookups couldn't map (e.g. industries missing from the table), with counts
+ * Filter with module and field, e.g. ?field=Industry_Drop
+ */
+app.get('/api/mapping/unmapped', (req, res) => {
+    try {
+        const values = unmappedValues.listUnmapped({ module: req.query.module, field: req.query.field });
+
+        res.json({
+            success: true,
+            values,
+            total: values.reduce((sum, value) => sum + value.count, 0)
+        });
+    } catch (error) {
+        console.error('Error listing unmapped values:', error);
+        sendError(res, error);
+    }
+});
+
+/**
+ * Clear unmapped values from the report, e.g. after extending the lookup table
+ * Pass module, field and value to clear only part of it
+ */
+app.delete('/api/mapping/unmapped', (req, res) => {
+    try {
+        const { module, field, value } = req.query;
+        const removed = unmappedValues.clearUnmapped({ module, field, value });
+
+        res.json({
+            success: true,
+            removed
+        });
+    } catch (error) {
+        console.error('Error clearing unmapped values:', error);
+        sendError(res, error);
+    }
+});
+
+/**
+ * Check the saved field mapping against the Bigin field metadata
+ * Pass refresh=true to reload the metadata first
+ */
+app.get('/api/mapping/validate', async(req, res) => {
+    try {
+        const report = await biginFields.validateMapping({ forceRefresh: req.query.refresh === 'true' });
+
+        res.json({
+            success: true,
+            ...report
+        });
+    } catch (error) {
+        console.error('Error validating field mappings:', error);
+        sendError(res, error);
+    }
+});
+
+/**
+ * Check a draft field mapping against the Bigin field metadata
+ * Pass contacts to also check the values sample Apollo people would be mapped to
+ */
+app.post('/api/mapping/validate', async(req, res) => {
+    try {
+        const { config, contacts = [], refresh = false } = req.body;
+
+        if (!Array.isArray(contacts)) {
+            return res.status(400).json({ success: false, error: 'contacts must be a list of Apollo people' });
+        }
+
+        const report = await biginFields.validateMapping({
+            config: config ? mappingConfig.resolveConfig(config) : undefined,
+            contacts,
+            forceRefresh: refresh
+        });
+
+        res.json({
+            success: true,
+            ...report
+        });
+    } catch (error) {
+        console.error('Error validating field mappings:', error);
+        sendError(res, error);
+    }
+});
+
+/**
+ * Get sync status from the ledger
+ * Pass apolloIds (comma-separated) to look up specific contacts,
+ * otherwise returns a page of the most recently synced contacts
+ */
+app.get('/api/sync/status', (req, res) => {
+    try {
+        const { apolloIds, status, limit = 100, offset = 0 } = req.query;
+
+        if (apolloIds) {
+            const ids = apolloIds.split(',').map(id => id.trim()).filter(Boolean);
+
+            return res.json({
+                success: true,
+                entries: syncLedger.getEntries(ids)
+            });
+        }
+
+        const { total, entries } = syncLedger.listEntries({
+            status,
+            limit: parseInt(limit),
+            offset: parseInt(offset)
+        });
+
+        res.json({
+            success: true,
+            total,
+            entries
+        });
+    } catch (error) {
+        console.error('Error reading sync ledger:', error);
+        sendError(res, error);
+    }
+});
+
+/**
+ * Start a background sync job
+ * Returns the job ID immediately; follow progress with GET /api/jobs/:id or its event stream
+ */
+app.post('/api/jobs', (req, res) => {
+    try {
+        const { contacts, dryRun = false, deal } = req.body;
+
+        if (!contacts || !Array.isArray(contacts) || contacts.length === 0) {
+            return res.status(400).json({ success: false, error: 'No contacts provided for sync job' });
+        }
+
+        const job = syncJobs.createJob(contacts, {
+            dryRun: Boolean(dryRun),
+            deal: deals.getDealOptions(deal)
+        });
+
+        res.status(202).json({
+            success: true,
+            jobId: job.id,
+            job
+        });
+    } catch (error) {
+        console.error('Error creating sync job:', error);
+        sendError(res, error);
+    }
+});
+
+/**
+ * List recent sync jobs
+ */
+app.get('/api/jobs', (req, res) => {
+    try {
+        const { limit = 20 } = req.query;
+
+        res.json({
+            success: true,
+            jobs: syncJobs.listJobs(parseInt(limit))
+        });
+    } catch (error) {
+        console.error('Error listing sync jobs:', error);
+        sendError(res, error);
+    }
+});
+
+/**
+ * Get a sync job's status and per-contact results
+ */
+app.get('/api/jobs/:id', (req, res) => {
+    try {
+        const job = syncJobs.getJob(req.params.id);
+
+        if (!job) {
+            return res.status(404).json({ success: false, error: 'Job not found' });
+        }
+
+        res.json({
+            success: true,
+            job
+        });
+    } catch (error) {
+        console.error('Error reading sync job:', error);
+        sendError(res, error);
+    }
+});
+
+/**
+ * Stream a sync job's progress as Server-Sent Events
+ * Sends a snapshot event first, then status, progress and done events
+ */
+app.get('/api/jobs/:id/events', (req, res) => {
+    const job = syncJobs.getJob(req.params.id);
+
+    if (!job) {
+        return res.status(404).json({ success: false, error: 'Job not found' });
+    }
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive'
+    });
+    res.flushHeaders();
+
+    const send = (type, data) => {
+        res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    send('snapshot', syncJobs.getProgress(job));
+
+    // Nothing more will happen for a finished job
+    if (!['queued', 'running'].includes(job.status)) {
+        send('done', syncJobs.getProgress(job));
+        return res.end();
+    }
+
+    const unsubscribe = syncJobs.subscribe(job.id, event => {
+        send(event.type, event.data);
+        if (event.type === 'done') {
+            unsubscribe();
+            res.end();
+        }
+    });
+
+    req.on('close', unsubscribe);
+});
+
+/**
+ * Resume a failed, cancelled or interrupted sync job from its last checkpoint
+ * Contacts that already succeeded are not sent again
+ */
+app.post('/api/jobs/:id/resume', (req, res) => {
+    try {
+        const job = syncJobs.resumeJob(req.params.id);
+
+        if (!job) {
+            return res.status(404).json({ success: false, error: 'Job not found' });
+        }
+
+        res.status(202).json({
+            success: true,
+            jobId: job.id,
+            job
+        });
+    } catch (error) {
+        console.error('Error resuming sync job:', error);
+        res.status(error.statusCode || 500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * Cancel a sync job; a running job stops before its next batch
+ */
+app.post('/api/jobs/:id/cancel', (req, res) => {
+    try {
+        const job = syncJobs.cancelJob(req.params.id);
+
+        if (!job) {
+            return res.status(404).json({ success: false, error: 'Job not found' });
+        }
+
+        res.json({
+            success: true,
+            job
+        });
+    } catch (error) {
+        console.error('Error cancelling sync job:', error);
+        sendError(res, error);
+    }
+});
+
+/**
+ * List recent sync runs that wrote to Bigin
+ */
+app.get('/api/sync-runs', (req, res) => {
+    try {
+        const { limit = 20 } = req.query;
+
+        res.json({
+            success: true,
+            runs: syncRuns.listRuns(parseInt(limit))
+        });
+    } catch (error) {
+        console.error('Error listing sync runs:', error);
+        sendError(res, error);
+    }
+});
+
+/**
+ * Get a sync run with the records it created and the snapshots of the records it updated
+ */
+app.get('/api/sync-runs/:id', (req, res) => {
+    try {
+        const run = syncRuns.getRun(req.params.id);
+
+        if (!run) {
+            return res.status(404).json({ success: false, error: 'Sync run not found' });
+        }
+
+        res.json({
+            success: true,
+            run
+        });
+    } catch (error) {
+        console.error('Error reading sync run:', error);
+        sendError(res, error);
+    }
+});
+
+/**
+ * Roll back a sync run: restore updated records to their snapshots and delete created records
+ * Body: { dryRun, force }
+ * Records edited in Bigin after the run are reported first; the rollback stops at them unless force is set
+ */
+app.post('/api/sync-runs/:id/rollback', async(req, res) => {
+    try {
+        const { dryRun = false, force = false } = req.body || {};
+        const run = syncRuns.getRun(req.params.id);
+
+        if (!run) {
+            return res.status(404).json({ success: false, error: 'Sync run not found' });
+        }
+
+        // A job still writing would add records after the rollback
+        const job = run.jobId ? syncJobs.getJob(run.jobId) : null;
+        if (job && ['queued', 'running'].includes(job.status)) {
+            return res.status(409).json({ success: false, error: `Job is ${job.status}; cancel it or wait for it to finish before rolling back` });
+        }
+
+        const report = await syncRuns.rollbackRun(run.id, { dryRun, force });
+
+        if (!dryRun && !report.rolledBack) {
+            return res.status(409).json({
+                success: false,
+                error: `${report.edited.length} record(s) were edited in Bigin after this run; roll back with force to overwrite them`,
+                ...report
+            });
+        }
+
+        res.json({
+            success: true,
+            ...report
+        });
+    } catch (error) {
+        console.error('Error rolling back sync run:', error);
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ success: false, error: error.message });
+        }
+        sendError(res, error);
+    }
+});
+
+/**
+ * List saved Apollo searches with their most recent run
+ */
+app.get('/api/saved-searches', (req, res) => {
+    try {
+        res.json({
+            success: true,
+            searches: savedSearches.listSearches()
+        });
+    } catch (error) {
+        console.error('Error listing saved searches:', error);
+        sendError(res, error);
+    }
+});
+
+/**
+ * Save an Apollo search
+ * Body: { name, filters: { jobTitle, region, industry, keywords }, schedule, enabled, maxContacts }
+ */
+app.post('/api/saved-searches', (req, res) => {
+    try {
+        const search = savedSearches.createSearch(req.body);
+
+        res.status(201).json({
+            success: true,
+            search
+        });
+    } catch (error) {
+        console.error('Error saving search:', error);
+        sendError(res, error);
+    }
+});
+
+/**
+ * Get a saved search with its run history
+ */
+app.get('/api/saved-searches/:id', (req, res) => {
+    try {
+        const search = savedSearches.getSearch(req.params.id);
+
+        if (!search) {
+            return res.status(404).json({ success: false, error: 'Saved search not found' });
+        }
+
+        res.json({
+            success: true,
+            search
+        });
+    } catch (error) {
+        console.error('Error fetching saved search:', error);
+        sendError(res, error);
+    }
+});
+
+/**
+ * Change a saved search's name, filters, schedule or limits, or enable/disable it
+ */
+app.put('/api/saved-searches/:id', (req, res) => {
+    try {
+        const search = savedSearches.updateSearch(req.params.id, req.body);
+
+        if (!search) {
+            return res.status(404).json({ success: false, error: 'Saved search not found' });
+        }
+
+        res.json({
+            success: true,
+            search
+        });
+    } catch (error) {
+        console.error('Error updating saved search:', error);
+        sendError(res, error);
+    }
+});
+
+/**
+ * Delete a saved search and its run history
+ */
+app.delete('/api/saved-searches/:id', (req, res) => {
+    try {
+        if (!savedSearches.deleteSearch(req.params.id)) {
+            return res.status(404).json({ success: false, error: 'Saved search not found' });
+        }
+
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error deleting saved search:', error);
+        sendError(res, error);
+    }
+});
+
+/**
+ * Run a saved search now; new people are queued as a sync job
+ */
+app.post('/api/saved-searches/:id/run', async(req, res) => {
+    try {
+        const run = await savedSearches.runSearch(req.params.id);
+
+        if (!run) {
+            return res.status(404).json({ success: false, error: 'Saved search not found' });
+        }
+
+        res.json({
+            success: run.status !== 'failed',
+            run,
+            error: run.error || undefined
+        });
+    } catch (error) {
+        console.error('Error running saved search:', error);
+
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ success: false, error: error.message });
+        }
+        sendError(res, error);
+    }
+});
+
+/**
+ * Get the state of the outbound rate limiters
+ * Shows queue depth and expected wait per provider, e.g. to explain a slow sync
+ */
+app.get('/api/rate-limits', (req, res) => {
+    try {
+        res.json({
+            success: true,
+            limits: rateLimiter.getStatus()
+        });
+    } catch (error) {
+        console.error('Error reading rate limiter status:', error);
+        sendError(res, error);
+    }
+});
+
+/**
+ * Check Bigin connection status
+ */
+app.get('/api/bigin/status', async(req, res) => {
+    try {
+        // First check if we have cached data rather than making a new API call
+        const cachedContacts = await integration.getBiginContacts();
+        if (cachedContacts && cachedContacts.length > 0) {
+            return res.json({
+                success: true,
+                connected: true,
+                usingCache: true,
+                contactCount: cachedContacts.length
+            });
+        }
+
+        // If no cached data, make sure we can get a valid token
+        await integration.refreshBiginToken();
+
+        res.json({
+            success: true,
+            connected: true,
+            tokenStatus: 'Valid',
+            token: tokenManager.getStatus()
+        });
+    } catch (error) {
+        console.error('Error checking Bigin connection:', error);
+        res.status(200).json({
+            success: false,
+            connected: false,
+            error: error.message,
+            errorType: error.name,
+            details: error.details
+        });
+    }
+});
+
+/**
+ * Store the numbers Apollo delivered for one person and flag those that couldn't be normalized
+ * @param {Object} person - Entry of the webhook's people array
+ * @returns {Promise<Object>} - Processing result for the person
+ */
+async function processPhoneDelivery(person) {
+    if (!person.phone_numbers || !person.phone_numbers.length) {
+        console.log(`No phone numbers found for contact ${person.id}`);
+        return {
+            id: person.id,
+            status: 'no_phone_numbers'
+        };
+    }
+
+    // Store every number Apollo sent, best one (highest confidence) first,
+    // taking the country of numbers without a country code from the person or company
+    const countries = [person.country, (person.organization || {}).country].filter(Boolean);
+    const storedPhones = await phoneStore.addPhones(person.id, person.phone_numbers, { countries });
+    const bestPhone = storedPhones[0];
+
+    // Flag the numbers of this delivery that couldn't be normalized
+    const delivered = person.phone_numbers.map(phone => phone.raw_number || phone.sanitized_number);
+    const invalid = storedPhones.filter(record => record.invalidReason && delivered.includes(record.rawNumber));
+    invalidPhones.recordInvalidPhones(invalid.map(record => ({
+        source: 'webhook',
+        recordId: person.id,
+        name: person.name || [person.first_name, person.last_name].filter(Boolean).join(' '),
+        value: record.rawNumber,
+        reason: record.invalidReason
+    })));
+
+    if (!bestPhone) {
+        return {
+            id: person.id,
+            status: 'no_phone_numbers'
+        };
+    }
+
+    console.log(`Found ${storedPhones.length} phone number(s) for contact ${person.id}: ${bestPhone.rawNumber.substring(0, 3)}***`);
+
+    return {
+        id: person.id,
+        status: 'success',
+        phone: bestPhone.rawNumber,
+        sanitized_phone: bestPhone.sanitizedNumber,
+        e164_phone: bestPhone.e164Number,
+        confidence: bestPhone.confidence,
+        count: storedPhones.length,
+        invalid: invalid.length
+    };
+}
+
+/**
+ * Webhook endpoint for receiving phone data from Apollo.io
+ */
+app.post('/api/apollo/phone-webhook', async(req, res) => {
+    try {
+        console.log('Received webhook callback from Apollo with phone data');
+        console.log('Webhook payload:', JSON.stringify(req.body, null, 2));
+        
+        const { people } = req.body;
+        
+        if (!people || !Array.isArray(people)) {
+            console.warn('Invalid webhook payload - missing people array');
+            // Still return 200 to prevent Apollo from retrying
+            return res.status(200).json({
+                success: false,
+                error: 'Invalid payload format'
+            });
+        }
+        
+        console.log(`Processing phone data for ${people.length} contacts`);
+        
+        // Process each person in the webhook data, one at a time so their numbers are saved in turn
+        const processedContacts = [];
+        for (const person of people) {
+            processedContacts.push(await processPhoneDelivery(person));
+        }
+        
+        // Return success to acknowledge receipt
+        res.status(200).json({
+            success: true,
+            message: 'Phone data received successfully',
+            processed: processedContacts.length
+        });
+    } catch (error) {
+        console.error('Error processing Apollo phone webhook:', error);
+        // Always return 200 even on error to prevent Apollo from retrying
+        res.status(200).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * Get stored phone numbers from webhook callbacks
+ */
+app.get('/api/apollo/stored-phones', async(req, res) => {
+    try {
+        const { contactIds } = req.query;
+        
+        // If specific contact IDs are requested
         if (contactIds) {
             // Parse the comma-separated list of IDs
             const ids = contactIds.split(',');
             const phones = {};
+            const details = {};
             
-            ids.forEach(id => {
-                if (phoneStore.hasPhone(id)) {
-                    phones[id] = phoneStore.getPhone(id);
+            for (const id of ids) {
+                const stored = await phoneStore.getPhones(id);
+                if (stored.length > 0) {
+                    phones[id] = stored[0].e164Number || stored[0].rawNumber;
+                    details[id] = stored;
                 }
-            });
+            }
             
             return res.json({
                 success: true,
-                phones
+                phones,
+                details
             });
         }
         
         // Otherwise return all stored phones
-        const allPhones = phoneStore.getAllPhones();
+        const allPhones = await phoneStore.getAllPhones();
         
         res.json({
             success: true,
@@ -767,15 +1625,126 @@ app.get('/api/apollo/stored-phones', (req, res) => {
         });
     } catch (error) {
         console.error('Error retrieving stored phones:', error);
-        res.status(500).json({
-            success: false,
-            error: error.message
+        sendError(res, error);
+    }
+});
+
+/**
+ * Purge stored phone numbers
+ * Pass contactIds (comma-separated) and/or olderThanDays, expired=true to
+ * remove only expired numbers, or all=true to clear the store
+ */
+app.delete('/api/apollo/stored-phones', async(req, res) => {
+    try {
+        const { contactIds, olderThanDays, expired, all } = req.query;
+
+        if (!contactIds && !olderThanDays && expired !== 'true' && all !== 'true') {
+            return res.status(400).json({
+                success: false,
+                error: 'Specify contactIds, olderThanDays, expired=true or all=true'
+            });
+        }
+
+        const options = {
+            expiredOnly: expired === 'true'
+        };
+
+        if (contactIds) {
+            options.contactIds = contactIds.split(',');
+        }
+
+        if (olderThanDays) {
+            const days = parseFloat(olderThanDays);
+            if (isNaN(days)) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'olderThanDays must be a number'
+                });
+            }
+            options.receivedBefore = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+        }
+
+        const removed = await phoneStore.purge(options);
+
+        res.json({
+            success: true,
+            removed
+        });
+    } catch (error) {
+        console.error('Error purging stored phones:', error);
+        sendError(res, error);
+    }
+});
+
+/**
+ * List the phone numbers that couldn't be normalized to E.164, with the reason
+ * Filter with source, e.g. ?source=Contacts.Phone or ?source=webhook
+ */
+app.get('/api/phones/invalid', (req, res) => {
+    try {
+        const numbers = invalidPhones.listInvalidPhones({ source: req.query.source });
+
+        res.json({
+            success: true,
+            numbers,
+            count: numbers.length
+        });
+    } catch (error) {
+        console.error('Error listing invalid phone numbers:', error);
+        sendError(res, error);
+    }
+});
+
+/**
+ * Clear flagged phone numbers, e.g. after fixing them in Apollo
+ * Pass source, recordId and value to clear only part of the report
+ */
+app.delete('/api/phones/invalid', (req, res) => {
+    try {
+        const { source, recordId, value } = req.query;
+        const removed = invalidPhones.clearInvalidPhones({ source, recordId, value });
+
+        res.json({
+            success: true,
+            removed
         });
+    } catch (error) {
+        console.error('Error clearing invalid phone numbers:', error);
+        sendError(res, error);
     }
 });
 
 // Start the server
 app.listen(PORT, () => {
+    // Drop phone numbers whose retention period has passed
+    phoneStore.purgeExpired()
+        .then(expiredPhones => {
+            if (expiredPhones > 0) {
+                console.log(`Purged ${expiredPhones} expired phone number(s) from the phone store`);
+            }
+        })
+        .catch(error => console.error('Error purging expired phone numbers:', error.message));
+
+    // Jobs don't survive a restart; mark the ones that were cut off
+    const interruptedJobs = syncJobs.markInterruptedJobs();
+    if (interruptedJobs > 0) {
+        console.log(`Marked ${interruptedJobs} unfinished sync job(s) as interrupted`);
+    }
+
+    // Run saved searches on their schedules
+    savedSearches.startScheduler();
+
+    // Warn about mappings the connected Bigin org can't take
+    biginFields.validateMapping()
+        .then(({ issues }) => {
+            issues.forEach(issue => {
+                console.warn(`Field mapping ${issue.severity}: ${issue.message}${issue.source ? ` (from ${issue.source})` : ''}`);
+            });
+        })
+        .catch(error => {
+            console.error('Could not check the field mapping against Bigin:', error.message);
+        });
+
     console.log(`Server running on port ${PORT}`);
     console.log(`Visit http://localhost:${PORT} to access the Apollo to Bigin integration UI`);
 });
\ No newline at end of file
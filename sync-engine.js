@@ -0,0 +1,835 @@
+/**
+ * Sync engine for bulk Apollo.io to Bigin syncs
+ *
+ * Groups contacts into batches and syncs each batch with a handful of Bigin
+ * calls: accounts are matched once per batch, existing contacts are found
+ * with combined email searches (or LinkedIn, phone and name searches for
+ * contacts without an email), and all writes go through Bigin's
+ * multi-record upsert and update (up to 100 records per request).
+ */
+
+const integration = require('./integration');
+const fieldMapping = require('./field-mapping');
+const mergePolicies = require('./merge-policies');
+const syncLedger = require('./sync-ledger');
+const accountMatcher = require('./account-matcher');
+const contactMatcher = require('./contact-matcher');
+const deals = require('./deals');
+const contactRules = require('./contact-rules');
+const notes = require('./notes');
+const ownerAssignment = require('./owner-assignment');
+const syncRuns = require('./sync-runs');
+const { RateLimitError, isRateLimitError } = require('./api-errors');
+
+// Bigin accepts up to 100 records per upsert request
+const MAX_BATCH_SIZE = 100;
+
+/**
+ * Get the number of contacts synced per batch
+ * @returns {number} - Batch size (1-100)
+ */
+function getBatchSize() {
+    const size = parseInt(process.env.BIGIN_BATCH_SIZE);
+    if (isNaN(size) || size < 1) return MAX_BATCH_SIZE;
+    return Math.min(size, MAX_BATCH_SIZE);
+}
+
+/**
+ * Basic details used to identify a contact in sync results
+ * @param {Object} apolloContact - Apollo.io contact data
+ * @returns {Object} - Result fields describing the contact
+ */
+function describeContact(apolloContact) {
+    return {
+        id: apolloContact.id,
+        name: `${apolloContact.first_name} ${apolloContact.last_name}`,
+        email: apolloContact.email,
+        company: apolloContact.organization_name
+    };
+}
+
+/**
+ * Organization identity used to match a contact's account
+ * @param {Object} apolloContact - Apollo.io contact data
+ * @param {Object} biginContact - Bigin contact payload mapped from it
+ * @returns {Object|null} - { name, domain, website }, or null if the contact has no account
+ */
+function getAccountIdentity(apolloContact, biginContact) {
+    const accountName = biginContact.Account_Name && biginContact.Account_Name.name;
+    if (!accountName) return null;
+
+    return {
+        domain: '',
+        website: '',
+        ...accountMatcher.getOrganizationIdentity(apolloContact),
+        name: accountName
+    };
+}
+
+/**
+ * Resolve organizations to Bigin accounts, creating the missing ones in one request
+ * Accounts are matched by website domain, then by fuzzy name (see account-matcher.js);
+ * ambiguous matches are reported instead of creating a possible duplicate.
+ * New accounts get the details of the contact's Apollo organization, and
+ * matched accounts are backfilled with the details they're missing.
+ * @param {Array<Object>} items - Batch items ({ apolloContact, organization })
+ * @param {boolean} dryRun - Don't create or backfill accounts
+ * @param {Array<Object>} snapshots - Sync run snapshots; created and backfilled accounts are added
+ * @returns {Promise<Map>} - Identity key to { action, id, name, matchedOn, score, reason, candidates, backfilled, backfillError, error }
+ */
+async function resolveAccounts(items, dryRun, snapshots) {
+    const accounts = new Map();
+    const unique = new Map();
+
+    items.filter(item => item.organization).forEach(({ apolloContact, organization }) => {
+        const key = accountMatcher.getIdentityKey(organization);
+        if (!unique.has(key)) {
+            const report = fieldMapping.createMappingReport();
+            unique.set(key, {
+                identity: organization,
+                details: fieldMapping.mapContactOrganizationToBigin(apolloContact, organization.name, null, report),
+                report
+            });
+        }
+    });
+
+    if (unique.size === 0) {
+        return accounts;
+    }
+
+    const existing = await integration.getBiginAccountIndex();
+
+    // Accounts this batch will create, so "Pilgrim" and "Pilgrim Cosmetics" share one (but not "Apple" and "Apple Hospitality REIT")
+    const missing = [];
+
+    // Matched accounts missing details the Apollo organization has, by account ID
+    const backfills = new Map();
+
+    unique.forEach(({ identity, details, report }, key) => {
+        const match = accountMatcher.matchAccount(identity, existing);
+
+        if (match.status === 'matched') {
+            const resolution = {
+                action: 'link',
+                id: match.account.id,
+                name: match.account.Account_Name,
+                matchedOn: match.matchedOn,
+                score: match.score,
+                backfilled: [],
+                backfillError: null
+            };
+            accounts.set(key, resolution);
+
+            // Several organizations can match one account; it's backfilled once
+            const backfill = backfills.get(match.account.id);
+            if (backfill) {
+                backfill.resolutions.push(resolution);
+            } else {
+                const merge = integration.getBiginAccountBackfill(match.account, details);
+                if (merge.changedFields.length > 0) {
+                    backfills.set(match.account.id, { account: match.account, merge, resolutions: [resolution], report });
+                }
+            }
+            return;
+        }
+
+        if (match.status === 'ambiguous') {
+            accounts.set(key, {
+                action: 'ambiguous',
+                id: null,
+                name: identity.name,
+                reason: match.reason,
+                candidates: match.candidates
+            });
+            return;
+        }
+
+        const pendingMatch = accountMatcher.matchAccount(identity, missing.map(entry => entry.account));
+        const entry = pendingMatch.status === 'matched' ?
+            missing.find(candidate => candidate.account === pendingMatch.account) : null;
+
+        if (entry) {
+            entry.keys.push(key);
+            return;
+        }
+
+        const account = { ...details, id: `new-${missing.length}`, Account_Name: identity.name };
+        if (!account.Website && identity.website) {
+            account.Website = identity.website;
+        }
+        missing.push({ account, keys: [key], report });
+    });
+
+    await backfillAccounts([...backfills.values()], dryRun, snapshots);
+
+    if (missing.length === 0) {
+        return accounts;
+    }
+
+    const setResolution = (entry, resolution) => {
+        entry.keys.forEach(key => accounts.set(key, { action: 'create', name: entry.account.Account_Name, ...resolution }));
+    };
+
+    if (dryRun) {
+        missing.forEach(entry => setResolution(entry, { id: null }));
+        return accounts;
+    }
+
+    const records = missing.map(({ account: { id, ...record } }) => record);
+    const created = await integration.createBiginRecords('Accounts', records);
+
+    missing.forEach((entry, index) => {
+        const result = created[index] || {};
+
+        if (result.status === 'success') {
+            setResolution(entry, { id: result.details.id });
+            snapshots.push({
+                module: 'Accounts',
+                id: result.details.id,
+                action: 'create',
+                label: records[index].Account_Name,
+                after: records[index]
+            });
+            integration.addToBiginAccountIndex([{ ...records[index], id: result.details.id }]);
+            fieldMapping.recordMappingReport(entry.report);
+        } else {
+            setResolution(entry, { id: null, error: result.message || 'Failed to create account' });
+        }
+    });
+
+    return accounts;
+}
+
+/**
+ * Write the details matched accounts are missing, in one update request
+ * A failed backfill is reported on the account without failing its contacts
+ * @param {Array<Object>} backfills - { account, merge, resolutions } per account
+ * @param {boolean} dryRun - Only report the fields that would be filled
+ * @param {Array<Object>} snapshots - Sync run snapshots; the previous values of written accounts are added
+ */
+async function backfillAccounts(backfills, dryRun, snapshots) {
+    const setBackfill = (backfill, fields, error = null) => {
+        backfill.resolutions.forEach(resolution => {
+            resolution.backfilled = fields;
+            resolution.backfillError = error;
+        });
+    };
+
+    if (backfills.length === 0) return;
+
+    if (dryRun) {
+        backfills.forEach(backfill => setBackfill(backfill, backfill.merge.changedFields));
+        return;
+    }
+
+    const records = backfills.map(({ account, merge }) => ({ id: account.id, ...merge.payload }));
+
+    try {
+        const updated = await integration.updateBiginRecords('Accounts', records);
+
+        backfills.forEach((backfill, index) => {
+            const result = updated[index] || {};
+
+            if (result.status === 'success') {
+                setBackfill(backfill, backfill.merge.changedFields);
+                snapshots.push({
+                    module: 'Accounts',
+                    id: backfill.account.id,
+                    action: 'update',
+                    label: backfill.account.Account_Name,
+                    before: mergePolicies.getPreviousValues(backfill.merge.changes),
+                    after: backfill.merge.payload
+                });
+                integration.updateBiginAccountIndex([records[index]]);
+                fieldMapping.recordMappingReport(backfill.report);
+            } else {
+                setBackfill(backfill, [], result.message || 'Failed to backfill account');
+            }
+        });
+    } catch (error) {
+        if (isRateLimitError(error)) throw error;
+
+        console.error('Error backfilling Bigin accounts:', error.message);
+        backfills.forEach(backfill => setBackfill(backfill, [], error.message));
+    }
+}
+
+/**
+ * Copy a Bigin record without its owner
+ * @param {Object} record - Bigin record data
+ * @returns {Object} - Copy of the record without Owner
+ */
+function withoutOwner(record) {
+    const copy = { ...record };
+    delete copy.Owner;
+    return copy;
+}
+
+/**
+ * Give the contacts an email upsert created the owner the owner rules picked
+ * Upserts are sent without an owner because they can land on an existing contact the
+ * email search missed, and existing contacts keep theirs. Owner failures don't fail the contact.
+ * @param {Array<Object>} upserts - Writes sent through the email upsert
+ * @param {Map} responses - Upsert responses by write
+ * @param {Array<Object>} results - Per-contact results
+ */
+async function assignCreatedOwners(upserts, responses, results) {
+    const created = [];
+
+    upserts.forEach(write => {
+        const response = responses.get(write) || {};
+        if (!write.record.Owner || response.status !== 'success') return;
+
+        if (response.action === 'update') {
+            delete write.record.Owner;
+            results[write.index].owner = null;
+            return;
+        }
+
+        created.push({ write, record: { id: response.details.id, Owner: write.record.Owner } });
+    });
+
+    if (created.length === 0) return;
+
+    const failOwner = (write, message) => {
+        delete write.record.Owner;
+        results[write.index].owner = { ...results[write.index].owner, error: message };
+    };
+
+    try {
+        const updated = await integration.updateBiginRecords('Contacts', created.map(entry => entry.record));
+
+        created.forEach(({ write }, index) => {
+            const response = updated[index] || {};
+            if (response.status !== 'success') {
+                failOwner(write, response.message || 'Error assigning owner');
+            }
+        });
+    } catch (error) {
+        console.error('Error assigning Bigin contact owners:', error.message);
+        created.forEach(({ write }) => failOwner(write, error.message));
+    }
+}
+
+/**
+ * Attach Apollo context notes to the contacts and accounts a batch synced
+ * Contacts get a note on their first import and when their title or company changed;
+ * accounts get one when the batch created them. Note failures don't fail the contact.
+ * @param {Array<Object>} items - Batch items
+ * @param {Array<Object>} results - Per-contact results
+ * @param {Map} accounts - Account resolutions from resolveAccounts
+ * @param {Object} ledgerEntries - Ledger entries from before the sync, by Apollo ID
+ * @param {boolean} dryRun - Only report what would happen
+ * @param {Array<Object>} snapshots - Sync run snapshots; created notes are added
+ */
+async function attachNotes(items, results, accounts, ledgerEntries, dryRun, snapshots) {
+    const contactNotes = [];
+    const accountNotes = new Map();
+
+    results.forEach((result, index) => {
+        if (!result.success) return;
+
+        const { apolloContact, organization } = items[index];
+        const ledgerEntry = ledgerEntries[apolloContact.id] || null;
+        const reason = notes.getContactNoteReason(apolloContact, ledgerEntry);
+
+        if (reason) {
+            const note = notes.buildContactNote(apolloContact, reason, ledgerEntry);
+            result.note = { action: 'create', reason, title: note.Note_Title, id: null };
+
+            if (!dryRun && result.bigin_id) {
+                contactNotes.push({ result, note: { ...note, parentId: result.bigin_id } });
+            }
+        }
+
+        const account = organization ? accounts.get(accountMatcher.getIdentityKey(organization)) : null;
+        if (!dryRun && account && account.action === 'create' && account.id && !accountNotes.has(account.id)) {
+            const note = notes.buildAccountNote(apolloContact.organization);
+            if (note) {
+                accountNotes.set(account.id, { ...note, parentId: account.id });
+            }
+        }
+    });
+
+    if (contactNotes.length > 0) {
+        try {
+            const created = await integration.createBiginNotes('Contacts', contactNotes.map(entry => entry.note));
+
+            contactNotes.forEach(({ result }, index) => {
+                const response = created[index] || {};
+
+                if (response.status === 'success') {
+                    result.note.id = response.details.id;
+                    snapshots.push({ module: 'Notes', id: response.details.id, action: 'create', label: result.note.title });
+                } else {
+                    result.note.action = 'failed';
+                    result.note.error = response.message || 'Error creating note';
+                }
+            });
+        } catch (error) {
+            console.error('Error creating Bigin contact notes:', error.message);
+            contactNotes.forEach(({ result }) => {
+                result.note.action = 'failed';
+                result.note.error = error.message;
+            });
+        }
+    }
+
+    if (accountNotes.size > 0) {
+        try {
+            const accountNoteList = [...accountNotes.values()];
+            const created = await integration.createBiginNotes('Accounts', accountNoteList);
+
+            created.forEach((response, index) => {
+                if (response.status === 'success') {
+                    snapshots.push({ module: 'Notes', id: response.details.id, action: 'create', label: accountNoteList[index].Note_Title });
+                }
+            });
+        } catch (error) {
+            console.error('Error creating Bigin account notes:', error.message);
+        }
+    }
+}
+
+/**
+ * Create pipeline deals for the contacts a batch synced
+ * Deal failures are reported on each contact's result without failing the contact
+ * @param {Array<Object>} items - Batch items
+ * @param {Array<Object>} results - Per-contact results
+ * @param {Object} dealOptions - Options from deals.getDealOptions
+ * @param {boolean} dryRun - Only report what would happen
+ * @param {Array<Object>} snapshots - Sync run snapshots; created deals are added
+ */
+async function attachDeals(items, results, dealOptions, dryRun, snapshots) {
+    const synced = results
+        .map((result, index) => ({ result, item: items[index] }))
+        .filter(({ result }) => result.success);
+
+    if (synced.length === 0) return;
+
+    try {
+        const dealResults = await deals.createDeals(synced.map(({ result, item }) => ({
+            apolloContact: item.apolloContact,
+            contactId: result.bigin_id,
+            accountId: result.account_id
+        })), dealOptions, { dryRun });
+
+        synced.forEach(({ result }, index) => {
+            result.deal = dealResults[index];
+
+            if (result.deal.action === 'create' && result.deal.id) {
+                snapshots.push({ module: 'Pipelines', id: result.deal.id, action: 'create', label: result.deal.name });
+            }
+        });
+    } catch (error) {
+        console.error('Error creating Bigin deals:', error.message);
+        synced.forEach(({ result }) => {
+            result.deal = { action: 'failed', id: null, message: error.message || 'Error creating deal' };
+        });
+    }
+}
+
+/**
+ * Sync one batch of Apollo contacts to Bigin
+ * @param {Array<Object>} apolloContacts - Apollo.io contacts (at most 100)
+ * @param {boolean} dryRun - Only report what would happen
+ * @param {Object|null} dealOptions - Create a pipeline deal per synced contact (see deals.js)
+ * @param {Array<Object>} snapshots - Sync run snapshots; every record the batch writes is added, even if the batch fails part way
+ * @param {Function} onWrite - Called with each written contact's result and Bigin payload as soon as Bigin confirms the write, before notes and deals
+ * @returns {Promise<Object>} - Per-contact results and the Bigin payloads they were built from
+ */
+async function syncBatch(apolloContacts, dryRun, dealOptions = null, snapshots = [], onWrite = null) {
+    // Industries are mapped to the live Bigin picklist
+    await integration.loadBiginPicklists();
+
+    const items = apolloContacts.map(apolloContact => {
+        // Unmapped values and invalid phones are recorded once the contact is written
+        const report = fieldMapping.createMappingReport();
+        const biginContact = fieldMapping.mapApolloContactToBigin(apolloContact, null, report);
+        // Tags and checkbox fields from contact-rules.json
+        const rules = contactRules.applyRules(apolloContact, biginContact);
+
+        return {
+            apolloContact,
+            biginContact,
+            rules,
+            report,
+            organization: getAccountIdentity(apolloContact, biginContact)
+        };
+    });
+
+    // Resolve every account used by the batch once
+    const accounts = await resolveAccounts(items, dryRun, snapshots);
+
+    // Owner rules for the contacts this batch creates
+    const assignOwner = await ownerAssignment.createAssigner({ dryRun });
+
+    // Read before this sync is recorded, to tell first imports and title or company changes
+    const ledgerEntries = syncLedger.getEntries(apolloContacts.map(apolloContact => apolloContact.id));
+
+    // Find contacts that already exist in Bigin by email
+    const existingContacts = await integration.searchBiginRecordsByField(
+        'Contacts', 'Email', items.map(item => item.biginContact.Email)
+    );
+    const existingByEmail = new Map();
+    existingContacts.forEach(contact => {
+        if (contact.Email) existingByEmail.set(contact.Email.toLowerCase(), contact);
+    });
+
+    // Contacts without an email are matched on LinkedIn URL, phone and name instead
+    const withoutEmail = items.filter(item => !item.biginContact.Email).map(item => item.biginContact);
+    const duplicateCandidates = withoutEmail.length > 0 ?
+        await integration.findBiginContactCandidates(withoutEmail) : [];
+
+    const results = new Array(items.length);
+    const writes = [];
+
+    items.forEach((item, index) => {
+        const { apolloContact, biginContact, organization, rules } = item;
+        const account = organization ? accounts.get(accountMatcher.getIdentityKey(organization)) : null;
+
+        if (account && account.error) {
+            results[index] = {
+                ...describeContact(apolloContact),
+                success: false,
+                message: `Could not create account "${account.name}": ${account.error}`
+            };
+            return;
+        }
+
+        // Link the contact to its account by ID
+        if (account && account.id) {
+            biginContact.Account_Name = { id: account.id };
+        } else if (account && account.action === 'ambiguous') {
+            // Leave the account unset rather than guess; the result reports the candidates
+            delete biginContact.Account_Name;
+        }
+
+        let existing = null;
+        let duplicate = null;
+
+        if (biginContact.Email) {
+            existing = existingByEmail.get(biginContact.Email.toLowerCase()) || null;
+        } else {
+            const match = contactMatcher.matchContact(biginContact, duplicateCandidates);
+
+            if (match.status !== 'none') {
+                duplicate = {
+                    status: match.status,
+                    confidence: match.confidence,
+                    matchedOn: match.matchedOn,
+                    candidates: match.candidates
+                };
+            }
+
+            // Possible duplicates are flagged for review rather than created
+            if (match.status === 'review') {
+                results[index] = {
+                    ...describeContact(apolloContact),
+                    success: false,
+                    action: 'review',
+                    account,
+                    duplicate,
+                    message: `Possible duplicate of an existing Bigin contact (confidence ${match.confidence}); needs review`
+                };
+                return;
+            }
+
+            existing = match.contact;
+        }
+
+        let record = biginContact;
+        let changes;
+        let skipped = [];
+        let owner = null;
+
+        if (existing) {
+            // Existing contacts only receive the fields their merge policies allow
+            const merge = mergePolicies.mergeRecord('Contacts', biginContact, existing);
+            changes = merge.changes;
+            skipped = merge.skipped;
+            // Contacts matched without an email are updated by ID instead of through the email upsert
+            record = biginContact.Email ? { ...merge.payload, Email: existing.Email } : { ...merge.payload, id: existing.id };
+        } else {
+            // New contacts get their owner from the owner rules; existing ones keep theirs
+            owner = assignOwner ? assignOwner(apolloContact) : null;
+            if (owner) {
+                biginContact.Owner = { id: owner.owner.id, name: owner.owner.name };
+            }
+            changes = integration.diffBiginRecord(biginContact, null);
+        }
+
+        const result = {
+            ...describeContact(apolloContact),
+            success: true,
+            action: existing ? 'update' : 'create',
+            bigin_id: existing ? existing.id : null,
+            account_id: account ? account.id : null,
+            account,
+            duplicate,
+            matched_rules: rules.matchedRules,
+            owner,
+            changed_fields: changes.map(change => change.field),
+            skipped_fields: skipped.map(skip => skip.field)
+        };
+
+        if (dryRun) {
+            result.dryRun = true;
+            result.changes = changes;
+            result.skipped = skipped;
+            result.message = existing ?
+                `Would update existing Bigin contact (${changes.length} field(s) changed)` : 'Would create a new Bigin contact';
+            results[index] = result;
+            return;
+        }
+
+        if (existing && changes.length === 0) {
+            result.action = 'unchanged';
+            result.message = 'Already up to date in Bigin';
+            results[index] = result;
+            return;
+        }
+
+        results[index] = result;
+        writes.push({ index, item, record, changes, existing });
+    });
+
+    const upserts = writes.filter(write => !write.record.id);
+    const updates = writes.filter(write => write.record.id);
+    const responses = new Map();
+
+    if (upserts.length > 0) {
+        // The upsert can land on a contact the email search missed, so the owner is only set once Bigin says it created the contact
+        const upserted = await integration.upsertBiginRecords(
+            'Contacts', upserts.map(write => withoutOwner(write.record)), ['Email']
+        );
+        upserts.forEach((write, i) => responses.set(write, upserted[i]));
+
+        await assignCreatedOwners(upserts, responses, results);
+    }
+
+    if (updates.length > 0) {
+        const updated = await integration.updateBiginRecords('Contacts', updates.map(write => write.record));
+        updates.forEach((write, i) => responses.set(write, updated[i] && { ...updated[i], action: 'update' }));
+    }
+
+    writes.forEach(write => {
+        const response = responses.get(write) || {};
+        const result = results[write.index];
+
+        if (response.status === 'success') {
+            result.bigin_id = response.details.id;
+            result.action = response.action === 'update' ? 'update' : 'create';
+            snapshots.push({
+                module: 'Contacts',
+                id: result.bigin_id,
+                action: result.action,
+                label: result.name,
+                // An upsert can land on a contact the email search missed; its previous values aren't known
+                before: write.existing ? mergePolicies.getPreviousValues(write.changes) : {},
+                after: write.record
+            });
+            result.message = result.action === 'update' ?
+                `Updated in Bigin: ${result.changed_fields.join(', ')}` : 'Successfully synced to Bigin';
+            fieldMapping.recordMappingReport(write.item.report);
+
+            if (onWrite) {
+                onWrite(result, write.item.biginContact);
+            }
+        } else {
+            results[write.index] = {
+                ...describeContact(write.item.apolloContact),
+                success: false,
+                message: response.message || 'Error syncing to Bigin'
+            };
+        }
+    });
+
+    results.forEach(result => {
+        if (result.success && result.duplicate) {
+            result.message = `${result.message} (matched on ${result.duplicate.matchedOn.join(', ')}, confidence ${result.duplicate.confidence})`;
+        }
+        if (result.success && result.account && result.account.action === 'ambiguous') {
+            result.message = `${result.message} (account not linked: ${result.account.reason})`;
+        }
+    });
+
+    await attachNotes(items, results, accounts, ledgerEntries, dryRun, snapshots);
+
+    if (dealOptions) {
+        await attachDeals(items, results, dealOptions, dryRun, snapshots);
+    }
+
+    return {
+        results,
+        payloads: items.map(item => item.biginContact)
+    };
+}
+
+/**
+ * Record batch results in the sync ledger
+ * @param {Array<Object>} apolloContacts - Apollo.io contacts in the batch
+ * @param {Array<Object>} results - Per-contact results
+ * @param {Array<Object>} payloads - Bigin payloads built for each contact
+ */
+function recordResults(apolloContacts, results, payloads) {
+    results.forEach((result, index) => {
+        const apolloContact = apolloContacts[index];
+
+        if (result.success) {
+            syncLedger.recordSync(apolloContact, payloads[index], {
+                id: result.bigin_id,
+                accountId: result.account_id,
+                isUpdate: result.action !== 'create',
+                changedFields: result.changed_fields
+            });
+        } else {
+            syncLedger.recordFailure(apolloContact, new Error(result.message));
+        }
+    });
+}
+
+/**
+ * Summarize per-contact sync results
+ * @param {Array<Object>} results - Per-contact results
+ * @param {number} total - Number of contacts in the sync
+ * @returns {Object} - Counts per outcome
+ */
+function summarize(results, total = results.length) {
+    return {
+        total,
+        success: results.filter(r => r.success).length,
+        error: results.filter(r => !r.success).length,
+        create: results.filter(r => r.action === 'create').length,
+        update: results.filter(r => r.action === 'update').length,
+        unchanged: results.filter(r => r.action === 'unchanged').length,
+        review: results.filter(r => r.action === 'review').length,
+        ambiguousAccounts: results.filter(r => r.account && r.account.action === 'ambiguous').length,
+        accountsBackfilled: new Set(results
+            .filter(r => r.account && r.account.backfilled && r.account.backfilled.length > 0)
+            .map(r => r.account.id)).size,
+        notesCreated: results.filter(r => r.note && r.note.action === 'create').length,
+        dealsCreated: results.filter(r => r.deal && r.deal.action === 'create').length,
+        dealsExisting: results.filter(r => r.deal && r.deal.action === 'exists').length,
+        dealsFailed: results.filter(r => r.deal && r.deal.action === 'failed').length
+    };
+}
+
+/**
+ * Sync Apollo contacts to Bigin in batches
+ * @param {Array<Object>} apolloContacts - Apollo.io contacts
+ * @param {Object} options - Sync options
+ * @param {boolean} options.dryRun - Only report what would happen, without writing to Bigin
+ * @param {Object|null} options.deal - Deal options from deals.getDealOptions; creates a pipeline deal per synced contact
+ * @param {Function} options.onWrite - Called with each written contact's result and Bigin payload as soon as Bigin confirms the write
+ * @param {Function} options.onResult - Called with each contact's result as its batch completes
+ * @param {Function} options.onBatch - Called with each batch's results once the batch completes
+ * @param {Function} options.shouldCancel - Checked before each batch; return true to stop
+ * @param {Object} options.run - Sync run the writes are snapshotted under (see sync-runs.js); a new bulk run by default
+ * @returns {Promise<Object>} - Per-contact results, a summary, whether the sync was cancelled and the ID of the run if anything was written
+ * @throws {RateLimitError} - When Bigin rate limits the sync; completed results are on error.results and the run on error.runId
+ */
+async function syncContacts(apolloContacts, { dryRun = false, deal = null, onWrite, onResult, onBatch, shouldCancel, run } = {}) {
+    const batchSize = getBatchSize();
+    const results = [];
+    let cancelled = false;
+
+    const syncRun = dryRun ? null :
+        run || syncRuns.createRun({ source: 'bulk', description: `${apolloContacts.length} contact(s)` });
+    let wroteRecords = false;
+
+    for (let i = 0; i < apolloContacts.length; i += batchSize) {
+        if (shouldCancel && shouldCancel()) {
+            cancelled = true;
+            break;
+        }
+
+        const batch = apolloContacts.slice(i, i + batchSize);
+        const snapshots = [];
+        let batchResults;
+        let payloads;
+
+        // Contacts Bigin confirmed, kept in case the batch fails after their write
+        const written = new Map();
+        const onBatchWrite = (result, payload) => {
+            written.set(result.id, { result, payload });
+
+            if (onWrite) {
+                onWrite(result, payload);
+            }
+        };
+
+        try {
+            ({ results: batchResults, payloads } = await syncBatch(batch, dryRun, deal, snapshots, onBatchWrite));
+        } catch (error) {
+            console.error('Error syncing batch to Bigin:', error.message);
+            if (error.details) {
+                console.error('Bigin API error details:', error.details);
+            }
+
+            const writtenContacts = batch.filter(apolloContact => written.has(apolloContact.id));
+            const writtenResults = writtenContacts.map(apolloContact => written.get(apolloContact.id).result);
+
+            // Retrying the remaining batches would only hit the limit again, so stop here
+            if (isRateLimitError(error)) {
+                const rateLimitError = new RateLimitError(
+                    `Bigin rate limit reached after ${results.length + writtenResults.length} of ${apolloContacts.length} contacts`,
+                    { provider: error.provider, retryAfter: error.retryAfter, cause: error }
+                );
+                rateLimitError.results = [...results, ...writtenResults];
+
+                // Records written before the limit was hit are in Bigin, so they go in the ledger and can still be rolled back
+                if (!dryRun) {
+                    recordResults(writtenContacts, writtenResults,
+                        writtenContacts.map(apolloContact => written.get(apolloContact.id).payload));
+
+                    if (snapshots.length > 0) {
+                        syncRuns.recordSnapshots(syncRun, snapshots);
+                        wroteRecords = true;
+                    }
+                }
+                rateLimitError.runId = wroteRecords ? syncRun.id : null;
+                throw rateLimitError;
+            }
+
+            // Contacts already written keep their results; only the rest failed
+            batchResults = batch.map(apolloContact => (written.has(apolloContact.id) ? written.get(apolloContact.id).result : {
+                ...describeContact(apolloContact),
+                success: false,
+                message: error.message || 'Error syncing to Bigin'
+            }));
+            payloads = batch.map(apolloContact => (written.has(apolloContact.id) ? written.get(apolloContact.id).payload : null));
+        }
+
+        if (!dryRun) {
+            recordResults(batch, batchResults, payloads);
+
+            if (snapshots.length > 0) {
+                syncRuns.recordSnapshots(syncRun, snapshots);
+                wroteRecords = true;
+            }
+        }
+
+        results.push(...batchResults);
+
+        if (onResult) {
+            batchResults.forEach(result => onResult(result));
+        }
+
+        if (onBatch) {
+            onBatch(batchResults);
+        }
+    }
+
+    return {
+        results,
+        summary: summarize(results, apolloContacts.length),
+        cancelled,
+        runId: wroteRecords ? syncRun.id : null
+    };
+}
+
+module.exports = {
+    syncContacts,
+    summarize
+};
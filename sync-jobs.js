@@ -0,0 +1,523 @@
+/**
+ * Background sync jobs
+ *
+ * Large syncs run as jobs instead of holding one HTTP request open: creating
+ * a job returns its ID straight away, a worker processes queued jobs in the
+ * background, and progress is published per contact for polling and
+ * Server-Sent Events.
+ *
+ * Every job is checkpointed after each contact, so a run that failed, was
+ * cancelled or was cut off by a restart can be resumed without re-sending
+ * the contacts that already succeeded. A job's contacts are stored once;
+ * each outcome is appended to a progress log as it arrives, so
+ * checkpointing costs the same for the last contact as for the first.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const EventEmitter = require('events');
+const { createJsonStore } = require('./json-store');
+const syncEngine = require('./sync-engine');
+const syncRuns = require('./sync-runs');
+const { isRateLimitError } = require('./api-errors');
+
+const store = createJsonStore('sync-jobs', () => ({ jobs: {} }));
+
+// Finished jobs kept in the store
+const MAX_STORED_JOBS = 100;
+
+// Jobs in these states still have contacts worth sending
+const RESUMABLE_STATUSES = ['failed', 'cancelled', 'interrupted', 'completed_with_errors'];
+
+// Job progress events, keyed by job ID
+const jobEvents = new EventEmitter();
+jobEvents.setMaxListeners(0);
+
+// IDs of jobs waiting for the worker
+const queue = [];
+let workerRunning = false;
+
+/**
+ * Get the checkpoint store of a job
+ * Holds the job's contacts, written once when the job is created
+ * @param {string} jobId - Job ID
+ * @returns {Object} - JSON store
+ */
+function getCheckpointStore(jobId) {
+    return createJsonStore(`sync-checkpoints/${jobId}`, () => ({ contacts: [] }));
+}
+
+/**
+ * Get the path of a job's progress log
+ * One JSON line per contact outcome; a later line for the same contact replaces an earlier one
+ * @param {string} jobId - Job ID
+ * @returns {string} - File path next to the checkpoint store
+ */
+function getProgressPath(jobId) {
+    return getCheckpointStore(jobId).filePath.replace(/\.json$/, '.progress.jsonl');
+}
+
+/**
+ * Append a contact's outcome to a job's progress log
+ * @param {string} jobId - Job ID
+ * @param {Object} record - { result, checkpointedAt }
+ */
+function appendProgress(jobId, record) {
+    const progressPath = getProgressPath(jobId);
+
+    fs.mkdirSync(path.dirname(progressPath), { recursive: true });
+    fs.appendFileSync(progressPath, JSON.stringify(record) + '\n');
+}
+
+/**
+ * Load a job's checkpoint: its contacts and the latest outcome of every contact processed so far
+ * @param {string} jobId - Job ID
+ * @returns {Object} - { contacts, records } with records keyed by contact ID
+ */
+function loadCheckpoint(jobId) {
+    // Jobs checkpointed before the progress log kept their records in the store
+    const { contacts, records = {} } = getCheckpointStore(jobId).read();
+    const progressPath = getProgressPath(jobId);
+
+    if (fs.existsSync(progressPath)) {
+        fs.readFileSync(progressPath, 'utf8').split('\n').forEach(line => {
+            if (!line) return;
+
+            try {
+                const record = JSON.parse(line);
+                records[record.result.id] = record;
+            } catch (error) {
+                // A line cut off by a crash; the contact counts as not processed
+                console.error(`Skipping unreadable checkpoint line of sync job ${jobId}`);
+            }
+        });
+    }
+
+    return { contacts, records };
+}
+
+/**
+ * Save a job to the store, dropping the oldest finished jobs beyond the limit
+ * @param {Object} job - Job to save
+ */
+function saveJob(job) {
+    const dropped = store.update(data => {
+        // A cancellation requested through the API must survive the worker's saves
+        const stored = data.jobs[job.id];
+        if (stored && stored.cancelRequested && ['queued', 'running'].includes(job.status)) {
+            job.cancelRequested = true;
+        }
+
+        data.jobs[job.id] = job;
+
+        const finished = Object.values(data.jobs)
+            .filter(j => !['queued', 'running'].includes(j.status))
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+        return finished.slice(MAX_STORED_JOBS).map(j => {
+            delete data.jobs[j.id];
+            return j.id;
+        });
+    });
+
+    dropped.forEach(jobId => {
+        fs.rmSync(getCheckpointStore(jobId).filePath, { force: true });
+        fs.rmSync(getProgressPath(jobId), { force: true });
+    });
+}
+
+/**
+ * Publish a job event to subscribers
+ * @param {string} jobId - Job ID
+ * @param {string} type - Event type (status, progress or done)
+ * @param {Object} data - Event data
+ */
+function publish(jobId, type, data) {
+    jobEvents.emit(jobId, { type, data });
+}
+
+/**
+ * Progress snapshot of a job, without the per-contact results
+ * @param {Object} job - Job
+ * @returns {Object} - Job status
+ */
+function getProgress(job) {
+    const { results, pendingContacts, ...status } = job;
+    return status;
+}
+
+/**
+ * Work out a job's results and pending contacts from its checkpoints
+ * @param {Object} checkpoint - Checkpoint data ({ contacts, records })
+ * @returns {Object} - Results in contact order, pending contacts and counts
+ */
+function readCheckpoint(checkpoint) {
+    const results = [];
+    const pendingContacts = [];
+
+    checkpoint.contacts.forEach(contact => {
+        const record = checkpoint.records[contact.id];
+
+        if (record) {
+            results.push(record.result);
+        }
+
+        if (!record || !record.result.success) {
+            pendingContacts.push({
+                id: contact.id,
+                name: [contact.first_name, contact.last_name].filter(Boolean).join(' '),
+                email: contact.email || '',
+                reason: record ? record.result.message : 'Not processed yet'
+            });
+        }
+    });
+
+    const succeeded = results.filter(result => result.success).length;
+
+    return {
+        results,
+        pendingContacts,
+        processed: results.length,
+        succeeded,
+        failed: results.length - succeeded,
+        pending: pendingContacts.length
+    };
+}
+
+/**
+ * Get a job by ID
+ * @param {string} jobId - Job ID
+ * @returns {Object|null} - Job, including per-contact results and the contacts still pending
+ */
+function getJob(jobId) {
+    const job = store.read().jobs[jobId];
+    if (!job) return null;
+
+    const { results, pendingContacts } = readCheckpoint(loadCheckpoint(jobId));
+
+    return {
+        ...job,
+        results,
+        pendingContacts
+    };
+}
+
+/**
+ * List jobs, newest first
+ * @param {number} limit - Maximum number of jobs
+ * @returns {Array} - Job statuses without per-contact results
+ */
+function listJobs(limit = 20) {
+    return Object.values(store.read().jobs)
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+        .slice(0, limit);
+}
+
+/**
+ * Get the IDs of contacts in jobs that are queued or running
+ * Includes contacts those jobs already synced, since the ledger may not have them yet
+ * @returns {Set<string>} - Apollo contact IDs
+ */
+function getQueuedContactIds() {
+    const ids = new Set();
+
+    Object.values(store.read().jobs)
+        .filter(job => !job.dryRun && ['queued', 'running'].includes(job.status))
+        .forEach(job => {
+            getCheckpointStore(job.id).read().contacts.forEach(contact => ids.add(contact.id));
+        });
+
+    return ids;
+}
+
+/**
+ * Run a queued job, skipping contacts that already succeeded
+ * @param {Object} job - Job to run
+ */
+async function runJob(job) {
+    const checkpoint = loadCheckpoint(job.id);
+    const contacts = checkpoint.contacts.filter(contact => {
+        const record = checkpoint.records[contact.id];
+        return !record || !record.result.success;
+    });
+
+    // Resumed runs add to the same sync run, so the whole job is rolled back together
+    if (!job.dryRun && !job.run) {
+        job.run = syncRuns.createRun({ source: 'job', jobId: job.id, description: `${job.total} contact(s)` });
+    }
+
+    // Counts are kept up to date per contact instead of re-reading the whole checkpoint
+    const counts = readCheckpoint(checkpoint);
+    Object.assign(job, {
+        processed: counts.processed,
+        succeeded: counts.succeeded,
+        failed: counts.failed,
+        pending: counts.pending
+    });
+
+    const checkpointResult = result => {
+        const previous = checkpoint.records[result.id];
+        const record = { result, checkpointedAt: new Date().toISOString() };
+
+        appendProgress(job.id, record);
+        checkpoint.records[result.id] = record;
+
+        if (!previous) {
+            job.processed++;
+        } else if (previous.result.success) {
+            job.succeeded--;
+        } else {
+            job.failed--;
+        }
+
+        if (result.success) {
+            job.succeeded++;
+        } else {
+            job.failed++;
+        }
+        job.pending = job.total - job.succeeded;
+    };
+
+    job.status = 'running';
+    job.startedAt = job.startedAt || new Date().toISOString();
+    saveJob(job);
+    publish(job.id, 'status', job);
+
+    try {
+        const { cancelled } = await syncEngine.syncContacts(contacts, {
+            dryRun: job.dryRun,
+            deal: job.deal || null,
+            run: job.run,
+            shouldCancel: () => {
+                const stored = store.read().jobs[job.id];
+                return Boolean(stored && stored.cancelRequested);
+            },
+            // Checkpoint a contact as soon as Bigin confirms its write, so a crash
+            // before the batch finishes doesn't send it (and its notes) again on resume
+            onWrite: checkpointResult,
+            onResult: result => {
+                // The final result adds notes and deals to the write's checkpoint
+                checkpointResult(result);
+
+                publish(job.id, 'progress', {
+                    processed: job.processed,
+                    total: job.total,
+                    result
+                });
+            },
+            // Persist the job's counts once per batch
+            onBatch: () => saveJob(job)
+        });
+
+        job.status = cancelled ? 'cancelled' : 'completed';
+    } catch (error) {
+        console.error(`Error running sync job ${job.id}:`, error.message);
+        job.status = 'failed';
+        job.error = error.message;
+        job.isRateLimit = isRateLimitError(error);
+        job.retryAfter = error.retryAfter || null;
+    }
+
+    // Set once the job has written something that can be rolled back
+    job.runId = job.run && syncRuns.getRun(job.run.id) ? job.run.id : null;
+
+    // The summary covers the whole run, including earlier attempts
+    const { results, pending } = readCheckpoint(loadCheckpoint(job.id));
+    job.summary = {
+        ...syncEngine.summarize(results, job.total),
+        pending
+    };
+    job.pending = pending;
+
+    // A run that got through every contact can still have failures worth retrying
+    if (job.status === 'completed' && pending > 0) {
+        job.status = 'completed_with_errors';
+    }
+
+    job.finishedAt = new Date().toISOString();
+    saveJob(job);
+    publish(job.id, 'done', job);
+}
+
+/**
+ * Process queued jobs one at a time
+ */
+async function runWorker() {
+    if (workerRunning) return;
+    workerRunning = true;
+
+    try {
+        while (queue.length > 0) {
+            const job = store.read().jobs[queue.shift()];
+            if (!job) continue;
+
+            // Jobs cancelled while queued never start
+            if (job.cancelRequested) {
+                job.status = 'cancelled';
+                job.finishedAt = new Date().toISOString();
+                saveJob(job);
+                publish(job.id, 'done', job);
+                continue;
+            }
+
+            await runJob(job);
+        }
+    } finally {
+        workerRunning = false;
+    }
+}
+
+/**
+ * Add a job to the queue and make sure the worker is running
+ * @param {string} jobId - Job ID
+ */
+function enqueue(jobId) {
+    queue.push(jobId);
+
+    // Start the worker after the response has been sent
+    setImmediate(() => {
+        runWorker().catch(error => console.error('Sync job worker error:', error.message));
+    });
+}
+
+/**
+ * Create a contact sync job and queue it for the background worker
+ * @param {Array<Object>} contacts - Apollo.io contacts to sync
+ * @param {Object} options - Job options
+ * @param {boolean} options.dryRun - Only report what would happen
+ * @param {Object|null} options.deal - Deal options from deals.getDealOptions; creates a pipeline deal per synced contact
+ * @returns {Object} - Created job status
+ */
+function createJob(contacts, { dryRun = false, deal = null } = {}) {
+    const job = {
+        id: crypto.randomUUID(),
+        type: 'contact-sync',
+        status: 'queued',
+        dryRun,
+        deal,
+        total: contacts.length,
+        processed: 0,
+        succeeded: 0,
+        failed: 0,
+        pending: contacts.length,
+        cancelRequested: false,
+        resumeCount: 0,
+        summary: null,
+        error: null,
+        run: null,
+        runId: null,
+        createdAt: new Date().toISOString(),
+        startedAt: null,
+        resumedAt: null,
+        finishedAt: null
+    };
+
+    // Contacts are stored with the job so it can be resumed after a restart
+    getCheckpointStore(job.id).write({ contacts });
+    saveJob(job);
+    enqueue(job.id);
+
+    return job;
+}
+
+/**
+ * Resume a job that stopped before every contact succeeded
+ * Contacts that already succeeded are skipped; failed and unprocessed ones are sent again
+ * @param {string} jobId - Job ID
+ * @returns {Object|null} - Job status, or null if the job doesn't exist
+ */
+function resumeJob(jobId) {
+    const job = store.read().jobs[jobId];
+    if (!job) return null;
+
+    if (!RESUMABLE_STATUSES.includes(job.status)) {
+        const error = new Error(`Job is ${job.status} and can't be resumed`);
+        error.statusCode = 409;
+        throw error;
+    }
+
+    Object.assign(job, {
+        status: 'queued',
+        cancelRequested: false,
+        error: null,
+        isRateLimit: false,
+        retryAfter: null,
+        resumeCount: (job.resumeCount || 0) + 1,
+        resumedAt: new Date().toISOString(),
+        finishedAt: null
+    });
+
+    store.update(data => {
+        data.jobs[job.id] = job;
+    });
+    publish(job.id, 'status', job);
+    enqueue(job.id);
+
+    return job;
+}
+
+/**
+ * Request cancellation of a job; it stops before its next batch
+ * @param {string} jobId - Job ID
+ * @returns {Object|null} - Job status, or null if the job doesn't exist
+ */
+function cancelJob(jobId) {
+    return store.update(data => {
+        const job = data.jobs[jobId];
+        if (!job) return null;
+
+        if (['queued', 'running'].includes(job.status)) {
+            job.cancelRequested = true;
+            publish(jobId, 'status', job);
+        }
+
+        return job;
+    });
+}
+
+/**
+ * Subscribe to a job's events
+ * @param {string} jobId - Job ID
+ * @param {Function} listener - Called with { type, data } for each event
+ * @returns {Function} - Unsubscribe function
+ */
+function subscribe(jobId, listener) {
+    jobEvents.on(jobId, listener);
+    return () => jobEvents.off(jobId, listener);
+}
+
+/**
+ * Mark jobs that were queued or running when the server stopped as interrupted
+ * Their checkpoints are kept, so they can be resumed
+ * @returns {number} - Number of jobs marked
+ */
+function markInterruptedJobs() {
+    return store.update(data => {
+        let count = 0;
+
+        Object.values(data.jobs).forEach(job => {
+            if (['queued', 'running'].includes(job.status)) {
+                const { pending } = readCheckpoint(loadCheckpoint(job.id));
+                job.status = 'interrupted';
+                job.pending = pending;
+                job.finishedAt = new Date().toISOString();
+                count++;
+            }
+        });
+
+        return count;
+    });
+}
+
+module.exports = {
+    createJob,
+    getJob,
+    listJobs,
+    getQueuedContactIds,
+    resumeJob,
+    cancelJob,
+    subscribe,
+    getProgress,
+    markInterruptedJobs
+};
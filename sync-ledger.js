@@ -0,0 +1,213 @@
+/**
+ * Sync ledger for the Apollo.io to Bigin integration
+ *
+ * Keeps a server-side record of every Apollo person that has been synced,
+ * the Bigin records it became and when, so sync status is shared across
+ * sessions and users.
+ */
+
+const crypto = require('crypto');
+const { createJsonStore } = require('./json-store');
+
+const store = createJsonStore('sync-ledger', () => ({ entries: {} }));
+
+/**
+ * Serialize a value with sorted keys so equal payloads hash the same
+ * @param {*} value - Value to serialize
+ * @returns {string} - Stable JSON string
+ */
+function stableStringify(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(stableStringify).join(',')}]`;
+    }
+
+    if (value && typeof value === 'object') {
+        const keys = Object.keys(value).sort();
+        return `{${keys.map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+    }
+
+    return JSON.stringify(value);
+}
+
+/**
+ * Hash a Bigin payload so we can tell whether a record changed since its last sync
+ * @param {Object} payload - Bigin formatted record
+ * @returns {string} - SHA-256 hex digest
+ */
+function hashPayload(payload) {
+    return crypto.createHash('sha256').update(stableStringify(payload)).digest('hex');
+}
+
+/**
+ * Record a successful sync of an Apollo contact
+ * @param {Object} apolloContact - Apollo.io contact data
+ * @param {Object} biginContact - Bigin payload that was sent
+ * @param {Object} result - Result returned by createBiginContact
+ * @returns {Object} - Ledger entry
+ */
+function recordSync(apolloContact, biginContact, result) {
+    const now = new Date().toISOString();
+
+    return store.update(data => {
+        const existing = data.entries[apolloContact.id] || {};
+
+        const entry = {
+            apolloId: apolloContact.id,
+            name: [apolloContact.first_name, apolloContact.last_name].filter(Boolean).join(' '),
+            email: apolloContact.email || '',
+            company: apolloContact.organization_name || '',
+            // Kept so later syncs can tell when the title changed in Apollo
+            title: apolloContact.title || '',
+            biginContactId: result.id,
+            biginAccountId: result.accountId || existing.biginAccountId || null,
+            payloadHash: hashPayload(biginContact),
+            status: 'synced',
+            lastAction: result.isUpdate ? 'update' : 'create',
+            lastChangedFields: result.changedFields || [],
+            lastError: null,
+            syncCount: (existing.syncCount || 0) + 1,
+            firstSyncedAt: existing.firstSyncedAt || now,
+            lastSyncedAt: now,
+            updatedAt: now
+        };
+
+        data.entries[apolloContact.id] = entry;
+        return entry;
+    });
+}
+
+/**
+ * Record a failed sync attempt without losing the previous successful sync details
+ * @param {Object} apolloContact - Apollo.io contact data
+ * @param {Error} error - Error that caused the failure
+ * @returns {Object} - Ledger entry
+ */
+function recordFailure(apolloContact, error) {
+    const now = new Date().toISOString();
+
+    return store.update(data => {
+        const existing = data.entries[apolloContact.id];
+
+        const entry = {
+            apolloId: apolloContact.id,
+            name: [apolloContact.first_name, apolloContact.last_name].filter(Boolean).join(' '),
+            email: apolloContact.email || '',
+            company: apolloContact.organization_name || '',
+            biginContactId: null,
+            biginAccountId: null,
+            payloadHash: null,
+            syncCount: 0,
+            firstSyncedAt: null,
+            lastSyncedAt: null,
+            ...existing,
+            // A contact that synced before stays synced; the error is kept for reference
+            status: existing && existing.lastSyncedAt ? existing.status : 'failed',
+            lastError: error.message || 'Unknown error',
+            updatedAt: now
+        };
+
+        data.entries[apolloContact.id] = entry;
+        return entry;
+    });
+}
+
+/**
+ * Record that a sync run was rolled back
+ * Contacts the run created were deleted from Bigin, so they count as never synced;
+ * restored contacts keep their entry but no longer match the payload that was synced
+ * @param {Array<string>} deletedContactIds - Bigin IDs of deleted contacts
+ * @param {Array<string>} restoredContactIds - Bigin IDs of contacts restored to their snapshot
+ */
+function recordRollback(deletedContactIds, restoredContactIds = []) {
+    if (deletedContactIds.length === 0 && restoredContactIds.length === 0) return;
+
+    const deleted = new Set(deletedContactIds.map(String));
+    const restored = new Set(restoredContactIds.map(String));
+    const now = new Date().toISOString();
+
+    store.update(data => {
+        Object.values(data.entries).forEach(entry => {
+            const contactId = String(entry.biginContactId);
+
+            if (deleted.has(contactId)) {
+                Object.assign(entry, {
+                    status: 'rolled_back',
+                    biginContactId: null,
+                    payloadHash: null,
+                    lastAction: 'rollback',
+                    lastChangedFields: [],
+                    firstSyncedAt: null,
+                    lastSyncedAt: null,
+                    updatedAt: now
+                });
+            } else if (restored.has(contactId)) {
+                Object.assign(entry, {
+                    payloadHash: null,
+                    lastAction: 'rollback',
+                    lastChangedFields: [],
+                    updatedAt: now
+                });
+            }
+        });
+    });
+}
+
+/**
+ * Get the ledger entry for an Apollo contact
+ * @param {string} apolloId - Apollo person ID
+ * @returns {Object|null} - Ledger entry
+ */
+function getEntry(apolloId) {
+    return store.read().entries[apolloId] || null;
+}
+
+/**
+ * Get ledger entries for several Apollo contacts
+ * @param {Array<string>} apolloIds - Apollo person IDs
+ * @returns {Object} - Map of Apollo person ID to ledger entry (missing IDs are omitted)
+ */
+function getEntries(apolloIds) {
+    const { entries } = store.read();
+    const result = {};
+
+    apolloIds.forEach(id => {
+        if (entries[id]) {
+            result[id] = entries[id];
+        }
+    });
+
+    return result;
+}
+
+/**
+ * List ledger entries, most recently updated first
+ * @param {Object} options - Listing options
+ * @param {string} options.status - Only include entries with this status
+ * @param {number} options.limit - Maximum number of entries
+ * @param {number} options.offset - Number of entries to skip
+ * @returns {Object} - Total count and the requested page of entries
+ */
+function listEntries({ status, limit = 100, offset = 0 } = {}) {
+    let entries = Object.values(store.read().entries);
+
+    if (status) {
+        entries = entries.filter(entry => entry.status === status);
+    }
+
+    entries.sort((a, b) => (b.updatedAt || '').localeCompare(a.updatedAt || ''));
+
+    return {
+        total: entries.length,
+        entries: entries.slice(offset, offset + limit)
+    };
+}
+
+module.exports = {
+    hashPayload,
+    recordSync,
+    recordFailure,
+    recordRollback,
+    getEntry,
+    getEntries,
+    listEntries
+};
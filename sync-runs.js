@@ -0,0 +1,397 @@
+/**
+ * Sync runs and their snapshots, so a sync can be undone
+ *
+ * Every sync that writes to Bigin is recorded as a run. When a run updates a
+ * record, the values the changed fields had before are kept as a snapshot;
+ * records the run creates (contacts, accounts, deals and notes) are listed
+ * too. Rolling a run back restores updated records to their snapshots and
+ * deletes the records it created.
+ *
+ * Before anything is rolled back, the records are read from Bigin again.
+ * Records edited in Bigin after the run wrote them are reported, and the
+ * rollback only goes ahead over them when it's forced.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const integration = require('./integration');
+const syncLedger = require('./sync-ledger');
+const { createJsonStore } = require('./json-store');
+const { isRateLimitError } = require('./api-errors');
+
+const store = createJsonStore('sync-runs', () => ({ runs: {} }));
+
+// Runs kept in the store; older runs and their snapshots are dropped
+const MAX_STORED_RUNS = 100;
+
+// Our clock and Bigin's can differ a little, so edits this close to the run's write aren't reported
+const CLOCK_TOLERANCE = 60 * 1000; // 1 minute
+
+// Created records are deleted children first, so nothing points at a deleted record
+const DELETE_ORDER = ['Notes', 'Pipelines', 'Contacts', 'Accounts'];
+
+// Records in these rollback states are done and skipped by a later rollback
+const FINISHED_ROLLBACKS = ['restored', 'deleted', 'skipped'];
+
+/**
+ * Get the snapshot store of a run
+ * @param {string} runId - Run ID
+ * @returns {Object} - JSON store
+ */
+function getSnapshotStore(runId) {
+    return createJsonStore(`sync-snapshots/${runId}`, () => ({ records: [] }));
+}
+
+/**
+ * Start a sync run
+ * Nothing is stored until the run writes a record, so dry runs and syncs that change nothing leave no trace
+ * @param {Object} options - Run details
+ * @param {string} options.source - What started the run (contact, bulk, job, organizations or enrichment)
+ * @param {string} options.jobId - Background job the run belongs to
+ * @param {string} options.description - Short description for listings
+ * @returns {Object} - Run ({ id, source, jobId, description, startedAt })
+ */
+function createRun({ source, jobId = null, description = '' }) {
+    return {
+        id: crypto.randomUUID(),
+        source,
+        jobId,
+        description,
+        startedAt: new Date().toISOString()
+    };
+}
+
+/**
+ * Count the records of a run by what it did to them
+ * @param {Array<Object>} records - Snapshot records
+ * @returns {Object} - { created, updated }
+ */
+function countRecords(records) {
+    return {
+        created: records.filter(record => record.action === 'create').length,
+        updated: records.filter(record => record.action === 'update').length
+    };
+}
+
+/**
+ * Save a run to the store, dropping the oldest runs beyond the limit
+ * @param {Object} run - Run to save
+ */
+function saveRun(run) {
+    const dropped = store.update(data => {
+        data.runs[run.id] = run;
+
+        return Object.values(data.runs)
+            .sort((a, b) => b.startedAt.localeCompare(a.startedAt))
+            .slice(MAX_STORED_RUNS)
+            .map(stale => {
+                delete data.runs[stale.id];
+                return stale.id;
+            });
+    });
+
+    dropped.forEach(id => {
+        fs.rmSync(getSnapshotStore(id).filePath, { force: true });
+    });
+}
+
+/**
+ * Record the Bigin writes of a run
+ * A record written more than once keeps the values from before its first write,
+ * and a record the run created stays created
+ * @param {Object} run - Run from createRun
+ * @param {Array<Object>} snapshots - { module, id, action, label, before, after } per write; before holds the previous values of the changed fields
+ */
+function recordSnapshots(run, snapshots) {
+    const written = (snapshots || []).filter(snapshot => snapshot && snapshot.id);
+    if (!run || written.length === 0) return;
+
+    const now = new Date().toISOString();
+
+    const { records } = getSnapshotStore(run.id).update(data => {
+        written.forEach(snapshot => {
+            const id = String(snapshot.id);
+            const existing = data.records.find(record => record.module === snapshot.module && record.id === id);
+
+            if (existing) {
+                if (existing.action === 'update') {
+                    existing.before = { ...snapshot.before, ...existing.before };
+                }
+                existing.after = { ...existing.after, ...snapshot.after };
+                existing.writtenAt = now;
+                return;
+            }
+
+            data.records.push({
+                module: snapshot.module,
+                id,
+                action: snapshot.action,
+                label: snapshot.label || '',
+                before: snapshot.action === 'update' ? snapshot.before || {} : null,
+                after: snapshot.after || {},
+                writtenAt: now,
+                rollback: null
+            });
+        });
+
+        return data;
+    });
+
+    saveRun({
+        ...run,
+        status: 'synced',
+        rollback: null,
+        ...store.read().runs[run.id],
+        counts: countRecords(records),
+        updatedAt: now
+    });
+}
+
+/**
+ * List runs, newest first
+ * @param {number} limit - Maximum number of runs
+ * @returns {Array} - Runs without their snapshots
+ */
+function listRuns(limit = 20) {
+    return Object.values(store.read().runs)
+        .sort((a, b) => b.startedAt.localeCompare(a.startedAt))
+        .slice(0, limit);
+}
+
+/**
+ * Get a run with its snapshot records
+ * @param {string} runId - Run ID
+ * @returns {Object|null} - Run with records, or null if it doesn't exist
+ */
+function getRun(runId) {
+    const run = store.read().runs[runId];
+    if (!run) return null;
+
+    return { ...run, records: getSnapshotStore(runId).read().records };
+}
+
+/**
+ * Tell whether a record was edited in Bigin after the run wrote it
+ * @param {Object} record - Snapshot record
+ * @param {Object} current - Current Bigin record
+ * @returns {boolean} - True if Bigin's Modified_Time is later than the run's write
+ */
+function isEditedAfterRun(record, current) {
+    const modifiedAt = Date.parse(current.Modified_Time);
+    if (isNaN(modifiedAt)) return false;
+
+    return modifiedAt > Date.parse(record.writtenAt) + CLOCK_TOLERANCE;
+}
+
+/**
+ * Read the current Bigin state of snapshot records
+ * @param {Array<Object>} records - Snapshot records
+ * @returns {Promise<Array>} - { record, state, modifiedAt, modifiedBy } per record; state is ok, edited or missing
+ */
+async function checkRecords(records) {
+    const current = new Map();
+
+    for (const module of new Set(records.map(record => record.module))) {
+        const ids = records.filter(record => record.module === module).map(record => record.id);
+        const found = await integration.getBiginRecordsByIds(module, ids);
+        found.forEach((value, id) => current.set(`${module}:${id}`, value));
+    }
+
+    return records.map(record => {
+        const value = current.get(`${record.module}:${record.id}`);
+
+        if (!value) {
+            return { record, state: 'missing', modifiedAt: null, modifiedBy: null };
+        }
+
+        return {
+            record,
+            state: isEditedAfterRun(record, value) ? 'edited' : 'ok',
+            modifiedAt: value.Modified_Time || null,
+            modifiedBy: value.Modified_By ? value.Modified_By.name || value.Modified_By.id : null
+        };
+    });
+}
+
+/**
+ * Describe a checked record for rollback reports
+ * @param {Object} check - Entry from checkRecords
+ * @returns {Object} - Record summary
+ */
+function describeCheck({ record, state, modifiedAt, modifiedBy }) {
+    return {
+        module: record.module,
+        id: record.id,
+        label: record.label,
+        action: record.action,
+        state,
+        modifiedAt,
+        modifiedBy
+    };
+}
+
+/**
+ * Build the update that puts a record back to its snapshot
+ * Fields that were empty before the run are cleared
+ * @param {Object} record - Snapshot record
+ * @returns {Object} - Bigin record with id
+ */
+function getRestorePayload(record) {
+    const payload = { id: record.id };
+
+    Object.entries(record.before || {}).forEach(([field, value]) => {
+        payload[field] = value === undefined ? null : value;
+    });
+
+    return payload;
+}
+
+/**
+ * Apply per-record Bigin responses to rollback outcomes
+ * @param {Array<Object>} records - Snapshot records sent in one request
+ * @param {Array<Object>} responses - Per-record Bigin responses, in the same order
+ * @param {string} status - Outcome of a successful write (restored or deleted)
+ * @param {Map} outcomes - Record to outcome, updated in place
+ */
+function setOutcomes(records, responses, status, outcomes) {
+    records.forEach((record, index) => {
+        // Bigin echoes each record's ID; fall back to the order it was sent in
+        const response = responses.find(candidate => candidate && candidate.details &&
+            String(candidate.details.id) === record.id) || responses[index] || {};
+
+        outcomes.set(record, response.status === 'success' ?
+            { status, message: null } :
+            { status: 'failed', message: response.message || `Bigin didn't confirm the ${status === 'deleted' ? 'delete' : 'update'}` });
+    });
+}
+
+/**
+ * Roll back a sync run
+ * Updated records get their snapshot values back and created records are deleted.
+ * Records already rolled back are skipped, so a partly failed rollback can be run again.
+ * @param {string} runId - Run ID
+ * @param {Object} options - Rollback options
+ * @param {boolean} options.dryRun - Only report what would be rolled back
+ * @param {boolean} options.force - Roll back records edited in Bigin after the run too
+ * @returns {Promise<Object|null>} - Rollback report, or null if the run doesn't exist; rolledBack is false when it stopped at edited records
+ */
+async function rollbackRun(runId, { dryRun = false, force = false } = {}) {
+    const run = getRun(runId);
+    if (!run) return null;
+
+    const pending = run.records.filter(record => !record.rollback || !FINISHED_ROLLBACKS.includes(record.rollback.status));
+
+    if (pending.length === 0) {
+        const error = new Error('This run has already been rolled back');
+        error.statusCode = 409;
+        throw error;
+    }
+
+    const checks = await checkRecords(pending);
+    const edited = checks.filter(check => check.state === 'edited');
+
+    const report = {
+        runId,
+        total: pending.length,
+        restore: pending.filter(record => record.action === 'update').length,
+        delete: pending.filter(record => record.action === 'create').length,
+        edited: edited.map(describeCheck),
+        missing: checks.filter(check => check.state === 'missing').map(describeCheck)
+    };
+
+    if (dryRun || (edited.length > 0 && !force)) {
+        return { ...report, rolledBack: false };
+    }
+
+    const outcomes = new Map();
+    const available = checks.filter(check => check.state !== 'missing').map(check => check.record);
+
+    checks.filter(check => check.state === 'missing').forEach(({ record }) => {
+        outcomes.set(record, { status: 'skipped', message: 'No longer in Bigin' });
+    });
+
+    // Restore updates first, so contacts stop pointing at accounts this run created before those are deleted
+    const steps = [
+        ...['Contacts', 'Accounts'].map(module => ({ module, action: 'update' })),
+        ...DELETE_ORDER.map(module => ({ module, action: 'create' }))
+    ];
+
+    for (const { module, action } of steps) {
+        const records = available.filter(record => record.module === module && record.action === action);
+        if (records.length === 0) continue;
+
+        try {
+            if (action === 'update') {
+                const responses = await integration.updateBiginRecords(module, records.map(getRestorePayload));
+                setOutcomes(records, responses, 'restored', outcomes);
+            } else {
+                const responses = await integration.deleteBiginRecords(module, records.map(record => record.id));
+                setOutcomes(records, responses, 'deleted', outcomes);
+            }
+        } catch (error) {
+            console.error(`Error rolling back Bigin ${module}:`, error.message);
+            records.forEach(record => outcomes.set(record, { status: 'failed', message: error.message }));
+
+            // Every remaining request would hit the same limit
+            if (isRateLimitError(error)) break;
+        }
+    }
+
+    const now = new Date().toISOString();
+    pending.forEach(record => {
+        if (!outcomes.has(record)) {
+            outcomes.set(record, { status: 'failed', message: 'Not rolled back: Bigin rate limit reached' });
+        }
+    });
+
+    getSnapshotStore(runId).update(data => {
+        data.records.forEach(stored => {
+            const record = pending.find(candidate => candidate.module === stored.module && candidate.id === stored.id);
+            if (record) {
+                stored.rollback = { ...outcomes.get(record), at: now };
+            }
+        });
+    });
+
+    // Deleted contacts can be synced again as first imports
+    const deletedContacts = pending
+        .filter(record => record.module === 'Contacts' && outcomes.get(record).status === 'deleted')
+        .map(record => record.id);
+    const restoredContacts = pending
+        .filter(record => record.module === 'Contacts' && outcomes.get(record).status === 'restored')
+        .map(record => record.id);
+    syncLedger.recordRollback(deletedContacts, restoredContacts);
+
+    const results = pending.map(record => ({
+        module: record.module,
+        id: record.id,
+        label: record.label,
+        action: record.action,
+        ...outcomes.get(record)
+    }));
+
+    const summary = {
+        restored: results.filter(result => result.status === 'restored').length,
+        deleted: results.filter(result => result.status === 'deleted').length,
+        skipped: results.filter(result => result.status === 'skipped').length,
+        failed: results.filter(result => result.status === 'failed').length
+    };
+
+    const { records, ...stored } = run;
+    saveRun({
+        ...stored,
+        status: summary.failed > 0 ? 'partially_rolled_back' : 'rolled_back',
+        rollback: { ...summary, forced: force && edited.length > 0, at: now },
+        updatedAt: now
+    });
+
+    return { ...report, rolledBack: true, summary, results };
+}
+
+module.exports = {
+    createRun,
+    recordSnapshots,
+    listRuns,
+    getRun,
+    rollbackRun
+};
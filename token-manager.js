@@ -0,0 +1,358 @@
+/**
+ * Bigin token manager
+ *
+ * Single source of the Bigin access token for every Bigin API call. Tracks
+ * token expiry, shares one in-flight refresh between concurrent callers and
+ * persists the token through a storage adapter instead of rewriting .env.
+ */
+
+require('dotenv').config();
+const axios = require('axios');
+const crypto = require('crypto');
+const { createJsonStore } = require('./json-store');
+const { createKvStore } = require('./kv-store');
+const { RateLimitError, AuthError } = require('./api-errors');
+
+const BIGIN_AUTH_URL = process.env.BIGIN_AUTH_URL || 'https://accounts.zoho.com/oauth/v2/token';
+
+// Refresh this long before the token actually expires
+const EXPIRY_MARGIN = 5 * 60 * 1000; // 5 minutes
+
+// Wait this long before refreshing again after Zoho reports too many requests
+const REFRESH_BACKOFF = 60000; // 1 minute
+
+const KV_TOKEN_KEY = 'bigin-token';
+
+/**
+ * File adapter - stores the token as plain JSON in the data directory
+ * @returns {Object} - Adapter with async load and save methods
+ */
+function createFileAdapter() {
+    const store = createJsonStore('bigin-token', () => null);
+
+    return {
+        load: async() => store.read(),
+        save: async token => store.write(token)
+    };
+}
+
+/**
+ * Encrypted file adapter - stores the token encrypted with TOKEN_ENCRYPTION_KEY (AES-256-GCM)
+ * @returns {Object} - Adapter with async load and save methods
+ */
+function createEncryptedFileAdapter() {
+    if (!process.env.TOKEN_ENCRYPTION_KEY) {
+        throw new Error('TOKEN_ENCRYPTION_KEY is required for encrypted token storage');
+    }
+
+    const key = crypto.createHash('sha256').update(process.env.TOKEN_ENCRYPTION_KEY).digest();
+    const store = createJsonStore('bigin-token.enc', () => null);
+
+    return {
+        load: async() => {
+            const encrypted = store.read();
+            if (!encrypted) return null;
+
+            try {
+                const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(encrypted.iv, 'base64'));
+                decipher.setAuthTag(Buffer.from(encrypted.tag, 'base64'));
+                const decrypted = Buffer.concat([
+                    decipher.update(Buffer.from(encrypted.data, 'base64')),
+                    decipher.final()
+                ]);
+                return JSON.parse(decrypted.toString('utf8'));
+            } catch (error) {
+                console.error('Error decrypting stored Bigin token:', error.message);
+                return null;
+            }
+        },
+        save: async token => {
+            const iv = crypto.randomBytes(12);
+            const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+            const data = Buffer.concat([cipher.update(JSON.stringify(token), 'utf8'), cipher.final()]);
+
+            store.write({
+                iv: iv.toString('base64'),
+                tag: cipher.getAuthTag().toString('base64'),
+                data: data.toString('base64')
+            });
+        }
+    };
+}
+
+/**
+ * KV adapter - stores the token in a Redis-compatible REST KV store (Vercel KV / Upstash)
+ * so every serverless instance shares the same token
+ * @returns {Object} - Adapter with async load and save methods
+ */
+function createKvAdapter() {
+    return createKvStore(KV_TOKEN_KEY, 'token storage');
+}
+
+/**
+ * Memory adapter - keeps the token for the lifetime of the process only
+ * @returns {Object} - Adapter with async load and save methods
+ */
+function createMemoryAdapter() {
+    let token = null;
+
+    return {
+        load: async() => token,
+        save: async newToken => {
+            token = newToken;
+        }
+    };
+}
+
+// Available storage adapters, selected with BIGIN_TOKEN_STORAGE
+const adapters = {
+    'file': createFileAdapter,
+    'encrypted-file': createEncryptedFileAdapter,
+    'kv': createKvAdapter,
+    'memory': createMemoryAdapter
+};
+
+let storage = null;
+
+// Current token: { accessToken, expiresAt } - expiresAt is null when unknown
+let currentToken = null;
+let loadPromise = null;
+let refreshPromise = null;
+let refreshBlockedUntil = 0;
+
+/**
+ * Register a custom token storage adapter
+ * @param {string} name - Adapter name to use in BIGIN_TOKEN_STORAGE
+ * @param {Function} factory - Returns an object with async load() and save(token)
+ */
+function registerAdapter(name, factory) {
+    adapters[name] = factory;
+}
+
+/**
+ * Get the configured storage adapter
+ * @returns {Object} - Storage adapter
+ */
+function getStorage() {
+    if (!storage) {
+        const name = process.env.BIGIN_TOKEN_STORAGE || 'file';
+
+        if (!adapters[name]) {
+            throw new Error(`Unknown Bigin token storage: ${name}`);
+        }
+
+        storage = adapters[name]();
+    }
+
+    return storage;
+}
+
+/**
+ * Check whether a token can still be used
+ * @param {Object} token - Token to check
+ * @returns {boolean} - True if the token exists and hasn't reached its expiry margin
+ */
+function isUsable(token) {
+    if (!token || !token.accessToken) return false;
+
+    // Tokens with unknown expiry are used until Bigin rejects them
+    if (token.expiresAt === null || token.expiresAt === undefined) return true;
+
+    return token.expiresAt - EXPIRY_MARGIN > Date.now();
+}
+
+/**
+ * Load the persisted token the first time it's needed
+ * Every caller waits for the same load, so none of them sees the token missing while it's still being read
+ * Falls back to BIGIN_ACCESS_TOKEN from the environment when nothing is stored
+ * @returns {Promise<void>} - Resolves once the token has been loaded
+ */
+function loadToken() {
+    if (!loadPromise) {
+        loadPromise = (async() => {
+            try {
+                const stored = await getStorage().load();
+                if (stored && stored.accessToken) {
+                    currentToken = stored;
+                    return;
+                }
+            } catch (error) {
+                console.error('Error loading stored Bigin token:', error.message);
+            }
+
+            if (process.env.BIGIN_ACCESS_TOKEN) {
+                currentToken = {
+                    accessToken: process.env.BIGIN_ACCESS_TOKEN,
+                    expiresAt: null
+                };
+            }
+        })();
+    }
+
+    return loadPromise;
+}
+
+/**
+ * Exchange the refresh token for a new access token
+ * @returns {Promise<Object>} - New token
+ */
+async function requestNewToken() {
+    const now = Date.now();
+
+    if (now < refreshBlockedUntil) {
+        throw new RateLimitError('Bigin token refresh is rate limited. Please try again soon.', {
+            provider: 'zoho-auth',
+            retryAfter: Math.ceil((refreshBlockedUntil - now) / 1000)
+        });
+    }
+
+    const { BIGIN_CLIENT_ID, BIGIN_CLIENT_SECRET, BIGIN_REFRESH_TOKEN } = process.env;
+
+    if (!BIGIN_CLIENT_ID || !BIGIN_CLIENT_SECRET || !BIGIN_REFRESH_TOKEN) {
+        throw new AuthError('Bigin credentials not found. Please check your .env file.', { provider: 'zoho-auth' });
+    }
+
+    const params = new URLSearchParams();
+    params.append('refresh_token', BIGIN_REFRESH_TOKEN);
+    params.append('client_id', BIGIN_CLIENT_ID);
+    params.append('client_secret', BIGIN_CLIENT_SECRET);
+    params.append('grant_type', 'refresh_token');
+
+    try {
+        const response = await axios.post(BIGIN_AUTH_URL, params);
+
+        if (!response.data || !response.data.access_token) {
+            // Zoho reports some errors with a 200 status
+            const errorData = response.data || {};
+            const error = new Error(errorData.error_description || errorData.error || 'Failed to refresh Bigin access token');
+            error.response = response;
+            throw error;
+        }
+
+        const expiresIn = response.data.expires_in || 3600;
+
+        return {
+            accessToken: response.data.access_token,
+            expiresAt: now + expiresIn * 1000,
+            refreshedAt: now
+        };
+    } catch (error) {
+        const errorData = error.response && error.response.data;
+
+        if (errorData) {
+            console.error('Error refreshing Bigin token:', errorData);
+
+            const description = `${errorData.error || ''} ${errorData.error_description || ''}`;
+            if (description.includes('too many requests')) {
+                refreshBlockedUntil = Date.now() + REFRESH_BACKOFF;
+                throw new RateLimitError('Bigin token refresh is rate limited. Please try again soon.', {
+                    provider: 'zoho-auth',
+                    details: errorData,
+                    retryAfter: REFRESH_BACKOFF / 1000
+                });
+            }
+
+            // Zoho rejected the refresh token or client credentials
+            throw new AuthError(errorData.error_description || errorData.error || error.message, {
+                provider: 'zoho-auth',
+                status: error.response.status,
+                details: errorData
+            });
+        }
+
+        console.error('Error refreshing Bigin token:', error.message);
+        throw error;
+    }
+}
+
+/**
+ * Refresh the access token, sharing one in-flight refresh between concurrent callers
+ * @returns {Promise<string>} - New access token
+ */
+function refreshToken() {
+    if (!refreshPromise) {
+        refreshPromise = (async() => {
+            try {
+                const token = await requestNewToken();
+                currentToken = token;
+
+                try {
+                    await getStorage().save(token);
+                } catch (error) {
+                    // The token is still usable from memory even if it couldn't be persisted
+                    console.error('Error persisting Bigin token:', error.message);
+                }
+
+                console.log(`Bigin access token refreshed, valid until ${new Date(token.expiresAt).toISOString()}`);
+                return token.accessToken;
+            } finally {
+                refreshPromise = null;
+            }
+        })();
+    }
+
+    return refreshPromise;
+}
+
+/**
+ * Get a valid Bigin access token, refreshing it if needed
+ * @param {Object} options - Options
+ * @param {boolean} options.forceRefresh - Always fetch a new token
+ * @returns {Promise<string>} - Access token
+ */
+async function getAccessToken({ forceRefresh = false } = {}) {
+    await loadToken();
+
+    if (!forceRefresh && isUsable(currentToken)) {
+        return currentToken.accessToken;
+    }
+
+    return refreshToken();
+}
+
+/**
+ * Get headers for Bigin API calls with a valid access token
+ * @returns {Promise<Object>} - Request headers
+ */
+async function getHeaders() {
+    const accessToken = await getAccessToken();
+
+    return {
+        'Authorization': `Bearer ${accessToken}`,
+        'Content-Type': 'application/json'
+    };
+}
+
+/**
+ * Mark a token as rejected (e.g. after a 401) so the next call refreshes it
+ * Tokens other than the current one are ignored, so a late 401 for an old
+ * token doesn't throw away a freshly refreshed one
+ * @param {string} accessToken - Token that was rejected (defaults to the current token)
+ */
+function invalidate(accessToken) {
+    if (currentToken && (!accessToken || currentToken.accessToken === accessToken)) {
+        currentToken = { ...currentToken, expiresAt: 0 };
+    }
+}
+
+/**
+ * Get token status for diagnostics without exposing the token itself
+ * @returns {Object} - Token status
+ */
+function getStatus() {
+    return {
+        storage: process.env.BIGIN_TOKEN_STORAGE || 'file',
+        hasToken: Boolean(currentToken && currentToken.accessToken),
+        valid: isUsable(currentToken),
+        expiresAt: currentToken && currentToken.expiresAt ? new Date(currentToken.expiresAt).toISOString() : null,
+        refreshInProgress: Boolean(refreshPromise)
+    };
+}
+
+module.exports = {
+    registerAdapter,
+    getAccessToken,
+    getHeaders,
+    invalidate,
+    getStatus
+};
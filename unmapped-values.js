@@ -0,0 +1,71 @@
+/**
+ * Report of Apollo values the field mapping couldn't map to a Bigin picklist
+ *
+ * When a picklist lookup (such as the industry mapping) finds neither a
+ * table entry nor a matching picklist value, the field gets the fallback and
+ * the Apollo value is counted here, so the lookup table can be extended with
+ * the values that actually come up.
+ */
+
+const { createReportStore } = require('./report-store');
+
+// Unmapped values by "Module.Field", then by lowercase value
+const report = createReportStore('unmapped-values', {
+    groupsKey: 'fields',
+    groupOf: ({ module, field }) => `${module}.${field}`,
+    keyOf: ({ value }) => normalizeValue(value),
+    describeGroup: key => {
+        const [module, field] = key.split('.');
+        return { module, field };
+    }
+});
+
+/**
+ * Normalize a value for comparison, the way values are keyed in the report
+ * @param {*} value - Apollo value
+ * @returns {string} - Trimmed, lowercase value
+ */
+function normalizeValue(value) {
+    return String(value).trim().toLowerCase();
+}
+
+/**
+ * Count unmapped values
+ * @param {Array<Object>} entries - { module, field, value } per unmapped value
+ */
+function recordUnmapped(entries) {
+    report.record(entries);
+}
+
+/**
+ * List unmapped values, most frequent first
+ * @param {Object} filters - Optional filters
+ * @param {string} filters.module - Bigin module
+ * @param {string} filters.field - Bigin field API name
+ * @returns {Array<Object>} - { module, field, value, count, firstSeen, lastSeen }
+ */
+function listUnmapped({ module, field } = {}) {
+    return report
+        .list(entry => (!module || entry.module === module) && (!field || entry.field === field))
+        .sort((a, b) => b.count - a.count || a.value.localeCompare(b.value));
+}
+
+/**
+ * Remove unmapped values from the report, e.g. after adding them to the lookup table
+ * @param {Object} filters - Optional filters; without any, the whole report is cleared
+ * @param {string} filters.module - Bigin module
+ * @param {string} filters.field - Bigin field API name
+ * @param {string} filters.value - A single Apollo value
+ * @returns {number} - Number of values removed
+ */
+function clearUnmapped({ module, field, value } = {}) {
+    return report.clear(entry => (!module || entry.module === module)
+        && (!field || entry.field === field)
+        && (value === undefined || normalizeValue(entry.value) === normalizeValue(value)));
+}
+
+module.exports = {
+    recordUnmapped,
+    listUnmapped,
+    clearUnmapped
+};